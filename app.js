@@ -0,0 +1,124 @@
+const express = require("express")
+const cors = require("cors");
+const swaggerJsdoc = require('swagger-jsdoc');
+const swaggerUi = require('swagger-ui-express');
+
+const { authRouter } = require("./routes/auth");
+const { userRouter } = require("./routes/users");
+const { Post_Router } = require("./routes/posts");
+const { Comment_Router } = require("./routes/comments");
+const { Stock_Router } = require("./routes/stocks");
+const { Notification_Router } = require("./routes/notifications");
+const { Feed_Router } = require("./routes/feed");
+const { Search_Router } = require("./routes/search");
+const { Moderation_Router } = require("./routes/moderation");
+const { Trending_Router } = require("./routes/trending");
+const { Bookmark_Router } = require("./routes/bookmarks");
+const { Collection_Router } = require("./routes/collections");
+const { Watchlist_Router } = require("./routes/watchlists");
+const { Digest_Router } = require("./routes/digest");
+const { Media_Router } = require("./routes/media");
+const { Reaction_Router } = require("./routes/reactions");
+const { MEDIA_STORAGE, MEDIA } = require("./config/media");
+const { openApiComponents } = require("./validators");
+const { requestId } = require("./middleware/requestId");
+const { notFound, errorHandler } = require("./middleware/errorHandler");
+const { rateLimit } = require("./middleware/rateLimit");
+require("dotenv").config();
+
+const app = express();
+
+// Behind a proxy (e.g. Render) req.ip is only the client's address when the proxy is trusted
+if (process.env.TRUST_PROXY) {
+    app.set("trust proxy", Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY)
+}
+
+app.use(requestId)
+app.use(express.json())
+app.use(cors());
+
+
+// Swagger configuration
+const swaggerOptions = {
+    swaggerDefinition: {
+      openapi: '3.0.0',
+      info: {
+        title: 'Stock Discussion Platform Backend',
+        version: '1.0.0',
+        description: 'API documentation for the Stock Social Platform',
+      },
+      servers: [
+          {
+              url: 'https://alpha-tribe-stock-platform.onrender.com',
+              description: 'Production Server (Render)'
+            },
+            {
+              url: 'http://localhost:8080',
+              description: 'Local Development Server'
+            },
+      ],
+    components: {
+      ...openApiComponents(), // request schemas shared with the validate middleware
+      securitySchemes: {
+        BearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT', // Specify the format as JWT
+        },
+      },
+    },
+    security: [
+      {
+        BearerAuth: [], // Apply BearerAuth globally to all endpoints
+      },
+    ],
+  },
+    apis: ['./routes/*.js', './utils/response.js'], // Path to the API routes and shared response schemas
+  };
+
+
+// Initialize swagger-jsdoc
+const swaggerSpec = swaggerJsdoc(swaggerOptions);
+
+// Use Swagger UI
+app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
+
+// Locally stored uploads; their names are random and never reused, so they can be cached for good
+if (MEDIA_STORAGE === "local") {
+    app.use("/media", express.static(MEDIA.dir, {
+        immutable: true,
+        maxAge: "365d",
+        index: false,
+        setHeaders: (res) => res.set("X-Content-Type-Options", "nosniff")
+    }))
+}
+
+
+// Routes
+app.use("/api", rateLimit("api"))
+app.use("/api/auth",authRouter)
+app.use("/api/user", userRouter)
+app.use("/api/user", Collection_Router)
+app.use("/api/user/watchlists", Watchlist_Router)
+app.use("/api/posts", Post_Router)
+app.use("/api/posts", Comment_Router)
+app.use("/api/posts", Bookmark_Router)
+app.use("/api/posts", Reaction_Router)
+app.use("/api/stocks", Stock_Router)
+app.use("/api/notifications", Notification_Router)
+app.use("/api/feed", Feed_Router)
+app.use("/api/search", Search_Router)
+app.use("/api/mod", Moderation_Router)
+app.use("/api/trending", Trending_Router)
+app.use("/api/digest", Digest_Router)
+app.use("/api/media", Media_Router)
+
+app.get("/",(req, res)=>{
+    res.send("Welcome to Alpha-Trive: Stock Platform")
+})
+
+// Unknown routes and every error raised above end up in the standard error envelope
+app.use(notFound)
+app.use(errorHandler)
+
+module.exports = { app }
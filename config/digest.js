@@ -0,0 +1,16 @@
+require("dotenv").config();
+
+const number = (value, fallback) => (Number(value) > 0 ? Number(value) : fallback);
+
+const DIGEST = {
+  // How often the job looks for users whose digest is due
+  checkMs: number(process.env.DIGEST_CHECK_MINUTES, 60) * 60 * 1000,
+  // Signs unsubscribe links; changing it breaks the links already mailed
+  secret: process.env.DIGEST_SECRET_KEY || process.env.JWT_SECRET_KEY,
+  // Items listed per section; the mail gives the full counts
+  topPosts: 5,
+  replies: 5,
+  followers: 10,
+};
+
+module.exports = { DIGEST };
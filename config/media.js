@@ -0,0 +1,51 @@
+require("dotenv").config();
+
+// "local" keeps files in MEDIA_DIR and serves them at /media; "s3" uses any S3-compatible bucket
+const MEDIA_STORAGE = process.env.MEDIA_STORAGE === "s3" ? "s3" : "local";
+
+const MB = 1024 * 1024;
+
+const MEDIA = {
+  dir: process.env.MEDIA_DIR || "uploads",
+  // Public base of locally stored files, e.g. a CDN in front of the server
+  publicUrl: (process.env.MEDIA_PUBLIC_URL || `http://localhost:${process.env.PORT || 8080}/media`).replace(/\/+$/, ""),
+  /*
+  Limits per kind of upload. Sides are in pixels and checked before the image
+  is decoded, which also keeps decompression bombs out. Avatar thumbnails are
+  cropped square; post image thumbnails keep the aspect ratio.
+  */
+  kinds: {
+    avatar: {
+      folder: "avatars",
+      maxBytes: 2 * MB,
+      minSide: 64,
+      maxSide: 4096,
+      thumbnail: { width: 128, height: 128, fit: "cover" },
+    },
+    "post-image": {
+      folder: "posts",
+      maxBytes: 5 * MB,
+      minSide: 32,
+      maxSide: 8192,
+      thumbnail: { width: 480, height: 480, fit: "inside" },
+    },
+  },
+  maxAttachments: 4,
+  // Post images never attached to a post are deleted after this long
+  unattachedTtlMs: 24 * 60 * 60 * 1000,
+  cleanupMs: 60 * 60 * 1000,
+};
+
+// Leave S3_ENDPOINT unset for AWS; set it (and S3_FORCE_PATH_STYLE=true) for MinIO and other stand-ins
+const S3 = {
+  bucket: process.env.S3_BUCKET,
+  region: process.env.S3_REGION || "us-east-1",
+  endpoint: process.env.S3_ENDPOINT,
+  forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+  accessKeyId: process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+  // Public base of stored files; defaults to the bucket's own URL
+  publicUrl: process.env.S3_PUBLIC_URL,
+};
+
+module.exports = { MEDIA_STORAGE, MEDIA, S3 };
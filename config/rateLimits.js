@@ -0,0 +1,47 @@
+require("dotenv").config();
+
+const UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+
+/*
+Reads a limit written as "<max>/<window>", e.g. RATE_LIMIT_LOGIN="10/15m"
+for 10 requests per 15 minutes. Falls back to the default when the variable
+is unset or malformed.
+*/
+const limitFromEnv = (name, fallback) => {
+  const match = /^(\d+)\/(\d+)([smh])$/.exec((process.env[name] || "").trim());
+  if (!match) return fallback;
+  return { max: Number(match[1]), windowMs: Number(match[2]) * UNITS[match[3]] };
+};
+
+// `by` picks the bucket: the client IP, or the authenticated user
+const RATE_LIMITS = {
+  api: { by: "ip", ...limitFromEnv("RATE_LIMIT_API", { max: 600, windowMs: 15 * UNITS.m }) },
+  auth: { by: "ip", ...limitFromEnv("RATE_LIMIT_AUTH", { max: 20, windowMs: 15 * UNITS.m }) },
+  posts: { by: "user", ...limitFromEnv("RATE_LIMIT_POSTS", { max: 10, windowMs: UNITS.h }) },
+  comments: { by: "user", ...limitFromEnv("RATE_LIMIT_COMMENTS", { max: 30, windowMs: 10 * UNITS.m }) },
+  // RATE_LIMIT_LIKES is still read from before reactions replaced likes
+  reactions: {
+    by: "user",
+    ...limitFromEnv("RATE_LIMIT_REACTIONS", limitFromEnv("RATE_LIMIT_LIKES", { max: 120, windowMs: 10 * UNITS.m })),
+  },
+  reports: { by: "user", ...limitFromEnv("RATE_LIMIT_REPORTS", { max: 20, windowMs: UNITS.h }) },
+  bookmarks: { by: "user", ...limitFromEnv("RATE_LIMIT_BOOKMARKS", { max: 60, windowMs: 10 * UNITS.m }) },
+  votes: { by: "user", ...limitFromEnv("RATE_LIMIT_VOTES", { max: 60, windowMs: 10 * UNITS.m }) },
+  uploads: { by: "user", ...limitFromEnv("RATE_LIMIT_UPLOADS", { max: 30, windowMs: UNITS.h }) },
+  exports: { by: "user", ...limitFromEnv("RATE_LIMIT_EXPORTS", { max: 5, windowMs: UNITS.h }) },
+};
+
+// After `threshold` failed logins the account locks for `baseLockMs`, doubling
+// with every further failure up to `maxLockMs`. Failures are forgotten after
+// `failureWindowMs` without one, or on a successful login.
+const LOGIN_LOCKOUT = {
+  threshold: Number(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5,
+  baseLockMs: UNITS.m,
+  maxLockMs: UNITS.h,
+  failureWindowMs: 24 * UNITS.h,
+};
+
+// "memory" keeps counters in the process; "mongo" shares them between instances
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE === "mongo" ? "mongo" : "memory";
+
+module.exports = { RATE_LIMITS, LOGIN_LOCKOUT, RATE_LIMIT_STORE };
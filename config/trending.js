@@ -0,0 +1,20 @@
+require("dotenv").config();
+
+const number = (value, fallback) => (Number(value) > 0 ? Number(value) : fallback);
+
+/*
+Trending scores follow Hacker News: points / (ageHours + 2) ^ gravity, so a
+post's score falls as it ages and a higher gravity makes it fall faster.
+Only posts from the last `windowHours` are considered.
+*/
+const TRENDING = {
+  windowHours: number(process.env.TRENDING_WINDOW_HOURS, 48),
+  gravity: number(process.env.TRENDING_GRAVITY, 1.8),
+  // A comment is worth more than a reaction: it takes more effort
+  commentWeight: 2,
+  // How many posts and stocks each snapshot keeps
+  size: 100,
+  refreshMs: number(process.env.TRENDING_REFRESH_MINUTES, 5) * 60 * 1000,
+};
+
+module.exports = { TRENDING };
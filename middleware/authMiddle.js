@@ -1,5 +1,34 @@
 require("dotenv").config();
 const jwt = require("jsonwebtoken");
+const { isFamilyActive } = require("../utils/tokens");
+const { User_Model } = require("../models/user.model");
+const { isSuspended } = require("../utils/roles");
+const {
+  AppError,
+  ForbiddenError,
+  UnauthorizedError,
+} = require("../utils/errors");
+
+// Shared by the HTTP middleware and the Socket.io handshake
+const verifyToken = async (token) => {
+  const payload = jwt.verify(token, process.env.JWT_SECRET_KEY);
+  if (payload.type === "refresh") {
+    throw new Error("Refresh token cannot be used for authorization");
+  }
+
+  // Access tokens die with their family on logout or refresh-token reuse
+  if (!(await isFamilyActive(payload.family))) {
+    throw new Error("Token has been revoked");
+  }
+
+  // Role, suspension and verification are read fresh so changes apply to live sessions
+  const user = await User_Model.findById(payload.id).select("role suspendedAt suspendedUntil emailVerifiedAt");
+  if (!user) throw new Error("User no longer exists");
+  if (isSuspended(user)) {
+    throw new ForbiddenError("Your account is suspended", "ACCOUNT_SUSPENDED");
+  }
+  return { ...payload, role: user.role, emailVerified: Boolean(user.emailVerifiedAt) };
+};
 
 const authenticator = async (req, res, next) => {
   let token;
@@ -7,18 +36,50 @@ const authenticator = async (req, res, next) => {
   if (req.headers && req.headers.authorization) {
     token = req.headers.authorization.split(" ")[1];
   } else {
-    return res.status(401).json({ msg: "No token, authorization denied" });
+    return next(new UnauthorizedError("No token, authorization denied", "TOKEN_MISSING"));
   }
 
   try {
-    const isTokenValid = await jwt.verify(token, process.env.JWT_SECRET_KEY);
+    const isTokenValid = await verifyToken(token);
     req.user = isTokenValid;
-    console.log(isTokenValid);
-    next();
   } catch (error) {
     console.log("Error in Middleware", error.message);
-    res.status(401).send({ msg: "Token is not valid" });
+    return next(
+      error instanceof AppError
+        ? error
+        : new UnauthorizedError("Token is not valid", "TOKEN_INVALID")
+    );
+  }
+  next();
+};
+
+// For public routes that show more to signed-in users: authenticates when a
+// token is sent and lets anonymous requests through without req.user
+const optionalAuthenticator = (req, res, next) => {
+  if (!req.headers || !req.headers.authorization) return next();
+  authenticator(req, res, next);
+};
+
+// Use after authenticator: lets the request through only for the given roles
+const requireRole = (...roles) => (req, res, next) => {
+  if (!roles.includes(req.user.role)) {
+    return next(new ForbiddenError("You do not have permission to do this", "INSUFFICIENT_ROLE"));
   }
+  next();
 };
 
-module.exports = { authenticator };
+// Use after authenticator: keeps users who have not verified their email from posting
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.emailVerified) {
+    return next(new ForbiddenError("Verify your email address first", "EMAIL_NOT_VERIFIED"));
+  }
+  next();
+};
+
+module.exports = {
+  authenticator,
+  optionalAuthenticator,
+  requireRole,
+  requireVerifiedEmail,
+  verifyToken,
+};
@@ -0,0 +1,52 @@
+const {
+  AppError,
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+} = require("../utils/errors");
+const { sendError } = require("../utils/response");
+
+// Registered after every router, so only unmatched requests get here
+const notFound = (req, res, next) => {
+  next(new NotFoundError(`Cannot ${req.method} ${req.path}`, "ROUTE_NOT_FOUND"));
+};
+
+// Maps errors raised outside our handlers (body parser, Mongoose) to AppErrors
+const toAppError = (error) => {
+  if (error instanceof AppError) return error;
+  if (error.type === "entity.parse.failed") {
+    return new BadRequestError("Request body is not valid JSON", "INVALID_JSON");
+  }
+  if (error.name === "CastError") {
+    return new BadRequestError(`Invalid ${error.path}`, "INVALID_ID");
+  }
+  if (error.code === 11000) {
+    return new ConflictError("Resource already exists", "DUPLICATE");
+  }
+  if (error.expose && error.status < 500) {
+    return new AppError(error.status, "BAD_REQUEST", error.message);
+  }
+  return null;
+};
+
+/*
+Sends every error in the standard envelope. Unexpected errors are logged with
+the request id and answered with a generic 500 so internals never leak.
+Express only treats it as an error handler because it takes four arguments.
+*/
+const errorHandler = (error, req, res, next) => {
+  if (res.headersSent) return next(error);
+
+  const appError = toAppError(error);
+  if (!appError) {
+    console.error(`[${req.id}] ${req.method} ${req.originalUrl}`, error);
+    return sendError(res, 500, {
+      code: "INTERNAL_ERROR",
+      message: "Something went wrong",
+    });
+  }
+  if (appError.retryAfter) res.set("Retry-After", String(appError.retryAfter));
+  sendError(res, appError.status, appError);
+};
+
+module.exports = { notFound, errorHandler };
@@ -0,0 +1,44 @@
+const { RATE_LIMITS } = require("../config/rateLimits");
+const { getStore, secondsUntil } = require("../utils/rateLimitStore");
+const { TooManyRequestsError } = require("../utils/errors");
+
+/*
+Limits requests per client IP or per authenticated user with the named limit
+from config/rateLimits.js. Per-user limits go after authenticator and fall
+back to the IP for anonymous requests. Responses carry the standard
+RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset and RateLimit-Policy
+headers; rejected requests get a 429 RATE_LIMITED error with Retry-After.
+*/
+const rateLimit = (name) => {
+  const limit = RATE_LIMITS[name];
+  if (!limit) throw new Error(`No rate limit named ${name}`);
+  const policy = `${limit.max};w=${Math.round(limit.windowMs / 1000)}`;
+
+  return async (req, res, next) => {
+    const client = limit.by === "user" && req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+
+    let window;
+    try {
+      window = await getStore().increment(`${name}:${client}`, limit.windowMs);
+    } catch (error) {
+      // A broken store must not take the API down with it
+      console.error(`Rate limit store failed for ${name}:`, error.message);
+      return next();
+    }
+
+    const reset = secondsUntil(window.resetAt);
+    res.set({
+      "RateLimit-Limit": String(limit.max),
+      "RateLimit-Remaining": String(Math.max(limit.max - window.count, 0)),
+      "RateLimit-Reset": String(reset),
+      "RateLimit-Policy": policy,
+    });
+
+    if (window.count > limit.max) {
+      return next(new TooManyRequestsError("Too many requests, please try again later", "RATE_LIMITED", reset));
+    }
+    next();
+  };
+};
+
+module.exports = { rateLimit };
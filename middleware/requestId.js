@@ -0,0 +1,19 @@
+const crypto = require("crypto");
+
+const HEADER = "X-Request-Id";
+const VALID_ID = /^[\w.-]{1,128}$/;
+
+/*
+Tags every request with an id, reusing the caller's X-Request-Id when it is
+sane so a request can be traced across services. The id is echoed in the
+response header, the response envelope and server error logs.
+*/
+const requestId = (req, res, next) => {
+  const incoming = req.get(HEADER);
+  req.id = incoming && VALID_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.locals.requestId = req.id;
+  res.set(HEADER, req.id);
+  next();
+};
+
+module.exports = { requestId };
@@ -0,0 +1,35 @@
+const multer = require("multer");
+const { MEDIA } = require("../config/media");
+const { BadRequestError, PayloadTooLargeError } = require("../utils/errors");
+
+/*
+Accepts a multipart/form-data request with one file in the "image" field,
+kept in memory as req.file for processImage. Files over the size limit of
+the upload kind end with 413 FILE_TOO_LARGE; a missing file with 400
+FILE_MISSING. What the file really is gets checked later by sniffing it.
+*/
+const uploadImage = (kind) => {
+  const parse = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MEDIA.kinds[kind].maxBytes, files: 1, fields: 10 },
+  }).single("image");
+
+  return (req, res, next) => {
+    parse(req, res, (error) => {
+      if (error instanceof multer.MulterError) {
+        if (error.code === "LIMIT_FILE_SIZE") {
+          const megabytes = MEDIA.kinds[kind].maxBytes / (1024 * 1024);
+          return next(new PayloadTooLargeError(`Images can be at most ${megabytes} MB`, "FILE_TOO_LARGE"));
+        }
+        return next(new BadRequestError(`Invalid upload: ${error.message}`, "INVALID_UPLOAD"));
+      }
+      if (error) return next(error);
+      if (!req.file) {
+        return next(new BadRequestError('Send the image as multipart/form-data in the "image" field', "FILE_MISSING"));
+      }
+      next();
+    });
+  };
+};
+
+module.exports = { uploadImage };
@@ -0,0 +1,54 @@
+const Ajv = require("ajv");
+const { schemas } = require("../validators");
+const { ValidationError } = require("../utils/errors");
+
+// Path and query values arrive as strings, so they are coerced to the schema
+// types ("10" -> 10). Bodies are JSON and must already have the right types.
+const ajvFor = (coerceTypes) => {
+  const ajv = new Ajv({ allErrors: true, useDefaults: true, coerceTypes });
+  ajv.addKeyword("example");
+  return ajv;
+};
+const coercing = ajvFor(true);
+const strict = ajvFor(false);
+
+const LOCATIONS = ["params", "query", "body"];
+
+const formatError = (location) => (error) => {
+  const missing = error.keyword === "required" && error.params.missingProperty;
+  const path = error.instancePath.replace(/^\//, "").replace(/\//g, ".");
+  return {
+    location,
+    field: missing ? [path, missing].filter(Boolean).join(".") : path,
+    message: error.message,
+  };
+};
+
+/*
+Validates req.params, req.query and req.body against the named request
+schema from validators/, filling in defaults. Failures become a 400
+VALIDATION_FAILED error whose details list { location, field, message }.
+*/
+const validate = (routeName) => {
+  const schema = schemas[routeName];
+  if (!schema) throw new Error(`No request schema named ${routeName}`);
+
+  const checks = LOCATIONS.filter((location) => schema[location]).map((location) => ({
+    location,
+    check: (location === "body" ? strict : coercing).compile(schema[location]),
+  }));
+
+  return (req, res, next) => {
+    const errors = [];
+    checks.forEach(({ location, check }) => {
+      if (location === "body" && req.body === undefined) req.body = {};
+      if (!check(req[location])) {
+        errors.push(...check.errors.map(formatError(location)));
+      }
+    });
+
+    next(errors.length ? new ValidationError(errors) : undefined);
+  };
+};
+
+module.exports = { validate };
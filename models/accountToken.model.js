@@ -0,0 +1,46 @@
+const mongoose = require("mongoose");
+
+// A single-use token mailed to a user; only its SHA-256 hash is stored
+const AccountToken_Schema = mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    purpose: {
+        type: String,
+        enum: ['verify-email', 'reset-password'],
+        required: true
+    },
+    // Address a verification token was mailed to; differs from the user's while an email change is pending
+    email: {
+        type: String,
+        default: null
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    usedAt: {
+        type: Date,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+})
+
+// Let Mongo drop tokens once they can no longer be used
+AccountToken_Schema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AccountToken_Model = mongoose.model("AccountToken", AccountToken_Schema)
+
+
+module.exports = {AccountToken_Model}
@@ -0,0 +1,55 @@
+const mongoose = require("mongoose");
+
+// Append-only record of every moderation action
+const AuditLog_Schema = mongoose.Schema({
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    action: {
+        type: String,
+        enum: [
+            'hide_post', 'unhide_post', 'remove_post',
+            'hide_comment', 'unhide_comment', 'remove_comment',
+            'dismiss_report', 'suspend_user', 'unsuspend_user', 'change_role'
+        ],
+        required: true
+    },
+    targetType: {
+        type: String,
+        enum: ['post', 'comment', 'report', 'user'],
+        required: true
+    },
+    // Kept as a plain id so entries survive the removal of their target
+    targetId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    report: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Report',
+        default: null
+    },
+    reason: {
+        type: String,
+        default: ""
+    },
+    // Action specific context, e.g. the removed content or the new role
+    metadata: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+})
+
+AuditLog_Schema.index({ createdAt: -1 });
+AuditLog_Schema.index({ targetId: 1, createdAt: -1 });
+
+const AuditLog_Model = mongoose.model("AuditLog", AuditLog_Schema)
+
+
+module.exports = {AuditLog_Model}
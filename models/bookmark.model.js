@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+
+// A post a user saved; it may also be filed into any of their collections
+const Bookmark_Schema = mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    post: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Post',
+        required: true,
+        index: true
+    },
+    collections: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'BookmarkCollection'
+    }],
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+})
+
+Bookmark_Schema.index({ user: 1, post: 1 }, { unique: true });
+// Newest first, for the bookmark list and each collection
+Bookmark_Schema.index({ user: 1, _id: -1 });
+Bookmark_Schema.index({ collections: 1, _id: -1 });
+
+const Bookmark_Model = mongoose.model("Bookmark", Bookmark_Schema)
+
+
+module.exports = {Bookmark_Model}
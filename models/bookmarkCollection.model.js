@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+
+// A named group of bookmarks, e.g. "Q3 earnings ideas"; others can see it when public
+const BookmarkCollection_Schema = mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        default: ""
+    },
+    isPublic: {
+        type: Boolean,
+        default: false
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+})
+
+BookmarkCollection_Schema.index({ user: 1, name: 1 }, { unique: true });
+
+const BookmarkCollection_Model = mongoose.model("BookmarkCollection", BookmarkCollection_Schema)
+
+
+module.exports = {BookmarkCollection_Model}
@@ -15,12 +15,59 @@ const Comment_Schema = mongoose.Schema({
         type: String,
         required: true
     },
+    // Parsed from the content: "$TSLA" and "@alice"
+    cashtags: [{
+        type: String
+    }],
+    mentions: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    // null for top-level comments, otherwise the comment being replied to
+    parentComment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Comment",
+        default: null
+    },
+    depth: {
+        type: Number,
+        default: 0
+    },
+    // Reactions per type and in total, kept in step with the Reactions by the
+    // reaction handlers
+    reactions: {
+        rocket: { type: Number, default: 0 },
+        bear: { type: Number, default: 0 },
+        bull: { type: Number, default: 0 },
+        insightful: { type: Number, default: 0 },
+        funny: { type: Number, default: 0 }
+    },
+    reactionsCount: {
+        type: Number,
+        default: 0
+    },
     createdAt: {
         type: Date,
         default: Date.now
+    },
+    editedAt: {
+        type: Date,
+        default: null
+    },
+    // Set when a moderator hides the comment; hidden comments are left out of every listing
+    hiddenAt: {
+        type: Date,
+        default: null
     }
 })
 
+// Cursor pagination walks a single thread level in _id order
+Comment_Schema.index({ post: 1, parentComment: 1, _id: 1 });
+// Watchlist digests count the comments written since a given time
+Comment_Schema.index({ createdAt: -1 });
+// Full-text search
+Comment_Schema.index({ content: "text" }, { name: "comment_text" });
+
 const Comment_Model =  mongoose.model("Comment", Comment_Schema);
 
 module.exports = {Comment_Model}
\ No newline at end of file
@@ -0,0 +1,27 @@
+const mongoose = require("mongoose");
+
+// One document per follower -> followed user edge
+const Follow_Schema = mongoose.Schema({
+    follower: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    following: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+})
+
+Follow_Schema.index({ follower: 1, following: 1 }, { unique: true });
+Follow_Schema.index({ following: 1, createdAt: -1 });
+
+const Follow_Model = mongoose.model("Follow", Follow_Schema)
+
+
+module.exports = {Follow_Model}
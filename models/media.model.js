@@ -0,0 +1,60 @@
+const mongoose = require("mongoose");
+
+// An uploaded image and its thumbnail, both kept in the media storage
+const Media_Schema = mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    kind: {
+        type: String,
+        enum: ['avatar', 'post-image'],
+        required: true
+    },
+    // Storage keys of the image and its thumbnail
+    key: {
+        type: String,
+        required: true
+    },
+    thumbnailKey: {
+        type: String,
+        required: true
+    },
+    url: {
+        type: String,
+        required: true
+    },
+    thumbnailUrl: {
+        type: String,
+        required: true
+    },
+    // Sniffed from the file, never taken from the client
+    contentType: {
+        type: String,
+        required: true
+    },
+    width: Number,
+    height: Number,
+    size: Number,
+    // The post a post image is attached to; unattached ones are cleaned up after a while
+    post: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Post',
+        default: null,
+        index: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+})
+
+// Cleanup of post images that were uploaded but never attached
+Media_Schema.index({ kind: 1, post: 1, createdAt: 1 });
+
+const Media_Model = mongoose.model("Media", Media_Schema)
+
+
+module.exports = {Media_Model}
@@ -0,0 +1,57 @@
+const mongoose = require("mongoose");
+
+const Notification_Schema = mongoose.Schema({
+    recipient: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ['mention', 'reaction', 'comment', 'reply', 'follow'],
+        required: true
+    },
+    // Users who triggered the notification, newest first. Unread reactions
+    // to the same post or comment are aggregated into one notification.
+    actors: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    actorsCount: {
+        type: Number,
+        default: 1
+    },
+    post: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Post'
+    },
+    comment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Comment',
+        default: null
+    },
+    read: {
+        type: Boolean,
+        default: false
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Bumped when another actor joins an aggregated notification
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+})
+
+Notification_Schema.index({ recipient: 1, read: 1, updatedAt: -1 });
+// One unread reaction aggregate per post or comment and recipient
+Notification_Schema.index(
+    { recipient: 1, type: 1, post: 1, comment: 1 },
+    { unique: true, partialFilterExpression: { type: 'reaction', read: false } }
+);
+
+const Notification_Model = mongoose.model("Notification", Notification_Schema);
+
+module.exports = {Notification_Model}
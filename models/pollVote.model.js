@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+
+// One user's vote on the poll of a post; changing it updates the same document
+const PollVote_Schema = mongoose.Schema({
+    post: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Post',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    // Index into post.poll.options
+    option: {
+        type: Number,
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+})
+
+PollVote_Schema.index({ post: 1, user: 1 }, { unique: true });
+
+const PollVote_Model = mongoose.model("PollVote", PollVote_Schema)
+
+
+module.exports = {PollVote_Model}
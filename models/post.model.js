@@ -1,5 +1,29 @@
 const mongoose = require("mongoose");
 
+// A poll question is the post itself; votes are PollVotes and the counts here
+// are kept in step with them by the vote handler
+const Poll_Schema = mongoose.Schema({
+    options : [{
+        _id : false,
+        text : {
+            type : String,
+            required : true
+        },
+        votesCount : {
+            type : Number,
+            default : 0
+        }
+    }],
+    closesAt : {
+        type : Date,
+        required : true
+    },
+    votesCount : {
+        type : Number,
+        default : 0
+    }
+}, { _id : false })
+
 const Post_Schema = mongoose.Schema({
     user: {
         type : mongoose.Schema.Types.ObjectId,
@@ -8,7 +32,9 @@ const Post_Schema = mongoose.Schema({
     },
     stockSymbol : {
         type : String,
-        required : true
+        required : true,
+        uppercase : true,
+        trim : true
     },
     title : {
         type : String,
@@ -21,20 +47,114 @@ const Post_Schema = mongoose.Schema({
     tags : [{
         type: String
     }],
-    comments: [{
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'Comment' 
+    // Parsed from the description: "$TSLA" and "@alice"
+    cashtags : [{
+        type: String
     }],
-    likes : [{
+    mentions : [{
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
     }],
+    // Optional call on the stock
+    sentiment : {
+        type : String,
+        enum : ['bullish', 'bearish', 'neutral', null],
+        default : null
+    },
+    priceTarget : {
+        type : Number,
+        min : 0,
+        default : null
+    },
+    timeHorizon : {
+        type : String,
+        enum : ['day', 'week', 'month', 'quarter', 'year', null],
+        default : null
+    },
+    // Uploaded images (Media) in display order, copied here so posts render without a lookup
+    attachments : [{
+        _id : false,
+        media : {
+            type : mongoose.Schema.Types.ObjectId,
+            ref : 'Media',
+            required : true
+        },
+        url : String,
+        thumbnailUrl : String,
+        contentType : String,
+        width : Number,
+        height : Number
+    }],
+    // Optional poll of 2-6 options; read-only once closesAt has passed
+    poll : {
+        type : Poll_Schema,
+        default : null
+    },
+    comments: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Comment' 
+    }],
+    // Reactions per type and in total, kept in step with the Reactions by the
+    // reaction handlers
+    reactions : {
+        rocket : { type : Number, default : 0 },
+        bear : { type : Number, default : 0 },
+        bull : { type : Number, default : 0 },
+        insightful : { type : Number, default : 0 },
+        funny : { type : Number, default : 0 }
+    },
+    reactionsCount : {
+        type : Number,
+        default : 0
+    },
+    // Kept equal to comments.length by the handlers that change it, so listings
+    // never have to load the array
+    commentsCount : {
+        type : Number,
+        default : 0
+    },
+    // Number of users who bookmarked the post
+    bookmarksCount : {
+        type : Number,
+        default : 0
+    },
     createdAt: {
         type: Date,
         default: Date.now
+    },
+    // Set on every edit; previous versions are kept as PostRevisions
+    editedAt: {
+        type: Date,
+        default: null
+    },
+    // Set when a moderator hides the post; hidden posts are left out of every listing
+    hiddenAt: {
+        type: Date,
+        default: null
     }
 })
 
+// GET /api/posts pages by _id (newest first) or by reactionsCount, optionally
+// filtered by symbol (stockSymbol or cashtags) or tags; every filter has an
+// index that also yields the sort order. Hidden posts are rare enough to be
+// filtered out after the index scan.
+Post_Schema.index({ stockSymbol: 1, _id: -1 });
+Post_Schema.index({ cashtags: 1, _id: -1 });
+Post_Schema.index({ tags: 1, _id: -1 });
+Post_Schema.index({ reactionsCount: -1, _id: -1 });
+Post_Schema.index({ stockSymbol: 1, reactionsCount: -1, _id: -1 });
+Post_Schema.index({ cashtags: 1, reactionsCount: -1, _id: -1 });
+// The feed's followed-users branch, and a user's own posts; an $or only uses
+// indexes when every branch has one
+Post_Schema.index({ user: 1, _id: -1 });
+// Trending and sentiment windows
+Post_Schema.index({ createdAt: -1 });
+// Full-text search; title hits rank above description hits
+Post_Schema.index(
+    { title: "text", description: "text" },
+    { weights: { title: 3, description: 1 }, name: "post_text" }
+);
+
 const Post_Model = mongoose.model("Post", Post_Schema)
 
 
@@ -0,0 +1,42 @@
+const mongoose = require("mongoose");
+
+// Snapshot of a post as it was before an edit
+const PostRevision_Schema = mongoose.Schema({
+    post: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Post',
+        required: true
+    },
+    editor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    title: {
+        type: String,
+        required: true
+    },
+    description: {
+        type: String,
+        required: true
+    },
+    tags: [{
+        type: String
+    }],
+    // When the replaced version was written (post creation or the previous edit)
+    writtenAt: {
+        type: Date,
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+})
+
+PostRevision_Schema.index({ post: 1, createdAt: -1 });
+
+const PostRevision_Model = mongoose.model("PostRevision", PostRevision_Schema)
+
+
+module.exports = {PostRevision_Model}
@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+
+// A fixed-window counter for the Mongo rate limit store
+const RateLimit_Schema = mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    count: {
+        type: Number,
+        default: 0
+    },
+    // End of the current window; expired counters are removed by the TTL index
+    resetAt: {
+        type: Date,
+        required: true
+    }
+})
+
+RateLimit_Schema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimit_Model = mongoose.model("RateLimit", RateLimit_Schema)
+
+
+module.exports = {RateLimit_Model}
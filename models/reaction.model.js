@@ -0,0 +1,51 @@
+const mongoose = require("mongoose");
+
+/*
+One user's reaction of one type to a post or a comment. A user can leave
+several types on the same target, but each only once. The counters on the
+target are kept in step with these documents by the reaction handlers.
+*/
+const Reaction_Schema = mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    targetType: {
+        type: String,
+        enum: ['Post', 'Comment'],
+        required: true
+    },
+    target: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: 'targetType',
+        required: true
+    },
+    // The post itself, or the post of the comment, so deleting a post takes every reaction in it
+    post: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Post',
+        required: true,
+        index: true
+    },
+    type: {
+        type: String,
+        enum: ['rocket', 'bear', 'bull', 'insightful', 'funny'],
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+})
+
+Reaction_Schema.index({ target: 1, user: 1, type: 1 }, { unique: true });
+// Who reacted, newest first, across all types or for one
+Reaction_Schema.index({ target: 1, _id: -1 });
+Reaction_Schema.index({ target: 1, type: 1, _id: -1 });
+
+const Reaction_Model = mongoose.model("Reaction", Reaction_Schema)
+
+
+module.exports = {Reaction_Model}
@@ -0,0 +1,44 @@
+const mongoose = require("mongoose");
+
+// One document per login session (token family); every refresh rotates currentJti
+const RefreshToken_Schema = mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    family: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    currentJti: {
+        type: String,
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedReason: {
+        type: String,
+        default: ""
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+})
+
+// Let Mongo drop families once their refresh window has passed
+RefreshToken_Schema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RefreshToken_Model = mongoose.model("RefreshToken", RefreshToken_Schema)
+
+
+module.exports = {RefreshToken_Model}
@@ -0,0 +1,67 @@
+const mongoose = require("mongoose");
+
+// A user's report of a post or comment, waiting in the moderator queue
+const Report_Schema = mongoose.Schema({
+    reporter: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    targetType: {
+        type: String,
+        enum: ['post', 'comment'],
+        required: true
+    },
+    post: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Post',
+        required: true
+    },
+    // Only set for comment reports
+    comment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Comment',
+        default: null
+    },
+    reason: {
+        type: String,
+        enum: ['spam', 'abuse', 'misinformation', 'market_manipulation', 'other'],
+        required: true
+    },
+    details: {
+        type: String,
+        default: ""
+    },
+    status: {
+        type: String,
+        enum: ['open', 'resolved', 'dismissed'],
+        default: 'open'
+    },
+    // Action taken when the report was closed: hide, remove or dismiss
+    resolution: {
+        type: String,
+        default: null
+    },
+    resolvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    resolvedAt: {
+        type: Date,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+})
+
+// One report per user and piece of content
+Report_Schema.index({ reporter: 1, post: 1, comment: 1 }, { unique: true });
+Report_Schema.index({ status: 1, createdAt: -1 });
+
+const Report_Model = mongoose.model("Report", Report_Schema)
+
+
+module.exports = {Report_Model}
@@ -0,0 +1,31 @@
+const mongoose = require("mongoose");
+
+const Stock_Schema = mongoose.Schema({
+    symbol: {
+        type: String,
+        required: true,
+        unique: true,
+        uppercase: true,
+        trim: true
+    },
+    name: {
+        type: String,
+        required: true
+    },
+    exchange: {
+        type: String,
+        default: ""
+    },
+    sector: {
+        type: String,
+        default: ""
+    }
+})
+
+// Autocomplete matches company names by prefix too
+Stock_Schema.index({ name: 1 });
+
+const Stock_Model = mongoose.model("Stock", Stock_Schema)
+
+
+module.exports = {Stock_Model}
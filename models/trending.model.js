@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+
+// The latest precomputed ranking of one kind; replaced on every refresh
+const Trending_Schema = mongoose.Schema({
+    kind: {
+        type: String,
+        enum: ['posts', 'stocks'],
+        required: true,
+        unique: true
+    },
+    windowHours: {
+        type: Number,
+        required: true
+    },
+    // Best first; posts fill `post`, stocks fill `symbol` and `name`
+    items: [{
+        _id: false,
+        post: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Post'
+        },
+        symbol: String,
+        name: String,
+        score: Number,
+        postsCount: Number,
+        reactionsCount: Number,
+        commentsCount: Number
+    }],
+    computedAt: {
+        type: Date,
+        required: true
+    }
+})
+
+const Trending_Model = mongoose.model("Trending", Trending_Schema)
+
+
+module.exports = {Trending_Model}
@@ -15,14 +15,72 @@ const UserSchema = mongoose.Schema({
         type : String,
         required : true
     },
+    // Set once the user follows the link mailed to them; posting needs it
+    emailVerifiedAt : {
+        type : Date,
+        default : null
+    },
     bio : {
         type : String,
         default : ""
     },
+    // URLs of the uploaded avatar (Media) and its thumbnail
     profilePicture : {
         type : String,
         default : ""
     },
+    profileThumbnail : {
+        type : String,
+        default : ""
+    },
+    avatar : {
+        type : mongoose.Schema.Types.ObjectId,
+        ref : 'Media',
+        default : null
+    },
+    // Stock symbols whose posts show up in the user's feed
+    followedStocks : [{
+        type : String
+    }],
+    role : {
+        type : String,
+        enum : ['user', 'moderator', 'admin'],
+        default : 'user'
+    },
+    // Suspended while suspendedAt is set and suspendedUntil is empty or in the future
+    suspendedAt : {
+        type : Date,
+        default : null
+    },
+    suspendedUntil : {
+        type : Date,
+        default : null
+    },
+    suspensionReason : {
+        type : String,
+        default : ""
+    },
+    // Email digest preferences; lastSentAt is when the last digest went out
+    digest : {
+        frequency : {
+            type : String,
+            enum : ['off', 'daily', 'weekly'],
+            default : 'off'
+        },
+        // Post tags to include besides the followed and watched stocks
+        tags : [{
+            type : String
+        }],
+        lastSentAt : {
+            type : Date,
+            default : null
+        }
+    },
+    // Closed accounts are kept as anonymous tombstones so their content stays attributed
+    deletedAt : {
+        type : Date,
+        default : null
+    },
     createdAt: {
         type: Date,
         default: Date.now
@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+
+// A named list of stock symbols a user keeps an eye on
+const Watchlist_Schema = mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // Normalized symbols of registered stocks, in the order they were added
+    symbols: [{
+        type: String
+    }],
+    // When the owner last read the list's activity; the next digest starts here
+    lastVisitedAt: {
+        type: Date,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+})
+
+Watchlist_Schema.index({ user: 1, name: 1 }, { unique: true });
+
+const Watchlist_Model = mongoose.model("Watchlist", Watchlist_Schema)
+
+
+module.exports = {Watchlist_Model}
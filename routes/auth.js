@@ -1,16 +1,41 @@
 
 const express = require("express");
-const jwt = require("jsonwebtoken");
 const bcrypt = require("bcrypt")
+const crypto = require("crypto");
 const { User_Model } = require("../models/user.model");
+const { authenticator } = require("../middleware/authMiddle");
+const { validate } = require("../middleware/validate");
+const { rateLimit } = require("../middleware/rateLimit");
+const { issueTokens, rotateTokens, revokeFamily, revokeUserSessions } = require("../utils/tokens");
+const { consumeAccountToken, sendVerificationEmail, sendPasswordResetEmail } = require("../utils/accountTokens");
+const { isSuspended } = require("../utils/roles");
+const { lockedFor, recordFailure, clearFailures } = require("../utils/loginLockout");
+const {
+    BadRequestError,
+    ConflictError,
+    ForbiddenError,
+    TooManyRequestsError,
+    UnauthorizedError
+} = require("../utils/errors");
+const { sendData } = require("../utils/response");
 require("dotenv").config();
 
+// Compared against when the email is unknown; as costly as a real hash, matches nothing
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString("hex"), 10);
+
 const authRouter = express.Router();
 
+// Mail goes out after the response so a slow or broken transport cannot fail the
+// request, and so response times do not reveal whether an account exists
+const mailInBackground = (send, user) => {
+    send(user).catch((error) => console.error(`Could not mail ${user.email}:`, error.message));
+};
+
 /*
 1.	User Registration - POST /api/auth/register
 ○	Request Body: { username, email, password }
-○	Response: { success: true, message: 'User registered successfully', userId }
+○	Response: { message: 'User registered successfully', userId }
+○	A verification link is mailed to the new address
 */
 /**
  * @swagger
@@ -18,50 +43,50 @@ const authRouter = express.Router();
  *   post:
  *     summary: Register a new user
  *     tags: [Auth] 
- *     description: This endpoint allows users to register by providing necessary details like username, email, password, and other optional information.
+ *     description: This endpoint allows users to register by providing necessary details like username, email, password, and other optional information. A verification link is mailed to the address; posting is possible once it has been followed.
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - username
- *               - email
- *               - password
- *             properties:
- *               username:
- *                 type: string
- *               email:
- *                 type: string
- *               password:
- *                 type: string
+ *             $ref: '#/components/schemas/RegisterBody'
  *     responses:
  *       200:
  *         description: User registered successfully
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 message:
- *                   type: string
- *                 userId:
- *                   type: string
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         message:
+ *                           type: string
+ *                         userId:
+ *                           type: string
  *       400:
- *         description: User already exists
+ *         $ref: '#/components/responses/ValidationError'
+ *       409:
+ *         description: User already exists (USER_EXISTS)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  *       500:
- *         description: Server error
+ *         $ref: '#/components/responses/ServerError'
  */
-authRouter.post("/register", async(req, res)=>{
+authRouter.post("/register", rateLimit("auth"), validate("register"), async(req, res, next)=>{
     const {username, email, password} = req.body;
     
     try {
         let user = await User_Model.findOne({email});
         if(user){
-           return res.status(400).send({"msg":"User already exists, Please Login"});
+           throw new ConflictError("User already exists, Please Login", "USER_EXISTS");
         } 
         user = new User_Model({
             username,
@@ -72,18 +97,18 @@ authRouter.post("/register", async(req, res)=>{
         user.password = await bcrypt.hash(password, salt);
 
         await user.save();
-        res.status(200).send({ success: true, message: 'User registered successfully', userId: user._id });
+        mailInBackground(sendVerificationEmail, user);
+        sendData(res, { message: 'User registered successfully', userId: user._id });
 
     } catch (error) {
-        res.status(500).send({ success: false, message: 'Error registering user' });
-
+        next(error);
     }
 })
 
 /*
 2.	User Login - POST /api/auth/login
 ○	Request Body: { email, password }
-○	Response: { token, user: { id, username, email } }
+○	Response: { token, refreshToken, user: { id, username, email, emailVerified } }
 */
 
 
@@ -99,59 +124,451 @@ authRouter.post("/register", async(req, res)=>{
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - email
- *               - password
- *             properties:
- *               email:
- *                 type: string
- *               password:
- *                 type: string
+ *             $ref: '#/components/schemas/LoginBody'
  *     responses:
  *       200:
  *         description: Successful login
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 token:
- *                   type: string
- *                 user:
- *                   type: object
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
  *                   properties:
- *                     id:
- *                       type: string
- *                     username:
- *                       type: string
- *                     email:
- *                       type: string
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         token:
+ *                           type: string
+ *                         refreshToken:
+ *                           type: string
+ *                         user:
+ *                           type: object
+ *                           properties:
+ *                             id:
+ *                               type: string
+ *                             username:
+ *                               type: string
+ *                             email:
+ *                               type: string
+ *                             emailVerified:
+ *                               type: boolean
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
  *       401:
- *         description: Invalid credentials
- *       404:
- *         description: User not found
+ *         description: Unknown email or wrong password (INVALID_CREDENTIALS)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Account suspended (ACCOUNT_SUSPENDED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  *       500:
- *         description: Server error
+ *         $ref: '#/components/responses/ServerError'
  */
 
 
-authRouter.post("/login", async(req, res)=>{
+authRouter.post("/login", rateLimit("auth"), validate("login"), async(req, res, next)=>{
     const {email, password} = req.body;
     try {
+        const lockedSeconds = await lockedFor(email, req.ip);
+        if (lockedSeconds) {
+            throw new TooManyRequestsError('Too many failed logins, please try again later', 'ACCOUNT_LOCKED', lockedSeconds);
+        }
+
+        // Unknown email and wrong password look the same so accounts cannot be probed:
+        // same response, and a bcrypt compare either way so the timing matches too
         const user = await User_Model.findOne({ email });
-        if (!user) return res.status(404).send({ message: 'User not found' });
+        const isMatch = await bcrypt.compare(password, user ? user.password : DUMMY_PASSWORD_HASH);
+        if (!user || !isMatch) {
+            const lockSeconds = await recordFailure(email, req.ip);
+            if (lockSeconds) {
+                throw new TooManyRequestsError('Too many failed logins, please try again later', 'ACCOUNT_LOCKED', lockSeconds);
+            }
+            throw new UnauthorizedError('Invalid credentials', 'INVALID_CREDENTIALS');
+        }
+        await clearFailures(email, req.ip);
+        if (isSuspended(user)) throw new ForbiddenError('Your account is suspended', 'ACCOUNT_SUSPENDED');
+
+        const { token, refreshToken } = await issueTokens(user._id);
+        sendData(res, { token, refreshToken, user: { id: user._id, username: user.username, email: user.email, emailVerified: Boolean(user.emailVerifiedAt) } });
+
+    } catch (error) {
+        next(error);
+    }
+})
+
+/*
+Refresh Token - POST /api/auth/refresh
+○	Request Body: { refreshToken }
+○	Response: { token, refreshToken }
+*/
+
+/**
+ * @openapi
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Refresh the access token
+ *     tags: [Auth]
+ *     description: Exchange a refresh token for a new access token and a new refresh token. Each refresh token can be used only once; reusing one revokes the whole session.
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RefreshBody'
+ *     responses:
+ *       200:
+ *         description: New token pair
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         token:
+ *                           type: string
+ *                         refreshToken:
+ *                           type: string
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         description: Refresh token invalid, expired or revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+authRouter.post("/refresh", rateLimit("auth"), validate("refresh"), async(req, res, next)=>{
+    const { refreshToken } = req.body;
+    try {
+        const tokens = await rotateTokens(refreshToken);
+        if (!tokens) throw new UnauthorizedError('Invalid refresh token', 'REFRESH_TOKEN_INVALID');
+
+        sendData(res, tokens);
+    } catch (error) {
+        next(error);
+    }
+})
+
+/*
+Logout - POST /api/auth/logout
+○	Headers: { Authorization: Bearer <token> }
+○	Response: { message: 'Logged out successfully' }
+*/
+
+/**
+ * @openapi
+ * /api/auth/logout:
+ *   post:
+ *     summary: Log out
+ *     tags: [Auth]
+ *     description: Revoke the current session. The access token and every refresh token issued from the same login stop working.
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         message:
+ *                           type: string
+ *       401:
+ *         description: Token is not valid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+authRouter.post("/logout", authenticator, async(req, res, next)=>{
+    try {
+        await revokeFamily(req.user.family);
+        sendData(res, { message: 'Logged out successfully' });
+    } catch (error) {
+        next(error);
+    }
+})
+
+/*
+Verify Email - POST /api/auth/verify-email
+○	Request Body: { token }
+○	Response: { message: 'Email verified successfully' }
+*/
+
+/**
+ * @openapi
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: Verify the email address
+ *     tags: [Auth]
+ *     description: Redeem the token from the verification email. Tokens expire after 24 hours and work once. A token sent by an email change also switches the account to the new address.
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VerifyEmailBody'
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         message:
+ *                           type: string
+ *       400:
+ *         description: Invalid request body, or the token is unknown, expired or used (VERIFICATION_TOKEN_INVALID)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: The new address was taken in the meantime (EMAIL_IN_USE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
 
-        const isMatch = await bcrypt.compare(password, user.password);
-        if (!isMatch) return res.status(400).json({ message: 'Invalid credentials' });
+authRouter.post("/verify-email", rateLimit("auth"), validate("verifyEmail"), async(req, res, next)=>{
+    try {
+        const record = await consumeAccountToken(req.body.token, 'verify-email');
+        const user = record && await User_Model.findById(record.user);
+        if (!user) throw new BadRequestError('Invalid or expired verification token', 'VERIFICATION_TOKEN_INVALID');
+
+        // A token mailed to another address confirms a pending email change
+        const email = record.email || user.email;
+        if (email !== user.email) {
+            if (await User_Model.exists({ email })) throw new ConflictError('Email already in use', 'EMAIL_IN_USE');
+            user.email = email;
+        }
+        user.emailVerifiedAt = new Date();
+        await user.save();
+        sendData(res, { message: 'Email verified successfully' });
+    } catch (error) {
+        next(error);
+    }
+})
 
-        const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET_KEY, { expiresIn: '1h' });
-        res.status(200).send({ token, user: { id: user._id, username: user.username, email: user.email } });
+/*
+Resend Verification Email - POST /api/auth/verify-email/resend
+○	Headers: { Authorization: Bearer <token> }
+○	Response: { message: 'Verification email sent' }
+*/
+
+/**
+ * @openapi
+ * /api/auth/verify-email/resend:
+ *   post:
+ *     summary: Resend the verification email
+ *     tags: [Auth]
+ *     description: Mail a new verification link to the current user. Links sent earlier stop working.
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         message:
+ *                           type: string
+ *       401:
+ *         description: Token is not valid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Email already verified (EMAIL_ALREADY_VERIFIED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+authRouter.post("/verify-email/resend", authenticator, rateLimit("auth"), async(req, res, next)=>{
+    try {
+        const user = await User_Model.findById(req.user.id);
+        if (user.emailVerifiedAt) throw new ConflictError('Email already verified', 'EMAIL_ALREADY_VERIFIED');
+
+        await sendVerificationEmail(user);
+        sendData(res, { message: 'Verification email sent' });
+    } catch (error) {
+        next(error);
+    }
+})
+
+/*
+Forgot Password - POST /api/auth/forgot-password
+○	Request Body: { email }
+○	Response: { message } (the same whether or not the account exists)
+*/
+
+/**
+ * @openapi
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset
+ *     tags: [Auth]
+ *     description: Mail a password reset link if an account uses the address. The response is the same either way so accounts cannot be probed.
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ForgotPasswordBody'
+ *     responses:
+ *       200:
+ *         description: Request accepted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         message:
+ *                           type: string
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
 
+authRouter.post("/forgot-password", rateLimit("auth"), validate("forgotPassword"), async(req, res, next)=>{
+    try {
+        const user = await User_Model.findOne({ email: req.body.email });
+        if (user) mailInBackground(sendPasswordResetEmail, user);
 
+        sendData(res, { message: 'If an account uses this email, a reset link has been sent' });
     } catch (error) {
-        res.status(500).json({ message: 'Server error' });
+        next(error);
+    }
+})
+
+/*
+Reset Password - POST /api/auth/reset-password
+○	Request Body: { token, password }
+○	Response: { message: 'Password reset successfully' }
+○	Every session of the user is logged out
+*/
 
+/**
+ * @openapi
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Reset the password
+ *     tags: [Auth]
+ *     description: Set a new password with the token from the reset email. Tokens expire after an hour and work once. Every session of the user is logged out.
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ResetPasswordBody'
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         message:
+ *                           type: string
+ *       400:
+ *         description: Invalid request body, or the token is unknown, expired or used (RESET_TOKEN_INVALID)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+authRouter.post("/reset-password", rateLimit("auth"), validate("resetPassword"), async(req, res, next)=>{
+    const { token, password } = req.body;
+    try {
+        const record = await consumeAccountToken(token, 'reset-password');
+        const user = record && await User_Model.findById(record.user);
+        if (!user) throw new BadRequestError('Invalid or expired reset token', 'RESET_TOKEN_INVALID');
+
+        const salt = await bcrypt.genSalt(10);
+        user.password = await bcrypt.hash(password, salt);
+        // The reset link reached the inbox, which proves the address as well
+        if (!user.emailVerifiedAt) user.emailVerifiedAt = new Date();
+        await user.save();
+
+        await revokeUserSessions(user._id, 'password reset');
+        await clearFailures(user.email, req.ip);
+        sendData(res, { message: 'Password reset successfully' });
+    } catch (error) {
+        next(error);
     }
 })
 
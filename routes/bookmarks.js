@@ -0,0 +1,150 @@
+const express = require("express");
+const { authenticator } = require("../middleware/authMiddle");
+const { validate } = require("../middleware/validate");
+const { rateLimit } = require("../middleware/rateLimit");
+const { Post_Model } = require("../models/post.model");
+const { BookmarkCollection_Model } = require("../models/bookmarkCollection.model");
+const { addBookmark, removeBookmark } = require("../utils/bookmarks");
+const { VISIBLE } = require("../utils/moderation");
+const { ConflictError, NotFoundError } = require("../utils/errors");
+const { sendData } = require("../utils/response");
+
+const Bookmark_Router = express.Router();
+
+/*
+1.	Bookmark a Post - POST /api/posts/:postId/bookmark
+○	Headers: { Authorization: Bearer <token> }
+○	Request Body: { collectionId } (optional)
+○	Response: { message: 'Post bookmarked' }
+*/
+
+/**
+ * @swagger
+ * /api/posts/{postId}/bookmark:
+ *   post:
+ *     summary: Bookmark a post
+ *     description: Save a post to revisit later, optionally filing it into one of your collections right away. Filing an already bookmarked post into another collection succeeds.
+ *     tags: [Bookmarks]
+ *     parameters:
+ *       - $ref: '#/components/parameters/bookmarkPost.postId'
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BookmarkPostBody'
+ *     responses:
+ *       200:
+ *         description: Post bookmarked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         message:
+ *                           type: string
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: Post or collection not found (POST_NOT_FOUND, COLLECTION_NOT_FOUND)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Post already bookmarked, and already in the collection when collectionId is given (ALREADY_BOOKMARKED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+Bookmark_Router.post("/:postId/bookmark", authenticator, rateLimit("bookmarks"), validate("bookmarkPost"), async (req, res, next) => {
+  const { collectionId } = req.body;
+  try {
+    if (!(await Post_Model.exists({ _id: req.params.postId, ...VISIBLE }))) {
+      throw new NotFoundError("Post not found", "POST_NOT_FOUND");
+    }
+    if (collectionId && !(await BookmarkCollection_Model.exists({ _id: collectionId, user: req.user.id }))) {
+      throw new NotFoundError("Collection not found", "COLLECTION_NOT_FOUND");
+    }
+
+    if (!(await addBookmark(req.user.id, req.params.postId, collectionId))) {
+      throw new ConflictError("Post already bookmarked", "ALREADY_BOOKMARKED");
+    }
+    sendData(res, { message: "Post bookmarked" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/*
+2.	Remove a Bookmark - DELETE /api/posts/:postId/bookmark
+○	Headers: { Authorization: Bearer <token> }
+○	Response: { message: 'Bookmark removed' }
+○	The post also leaves every collection it was filed in
+*/
+
+/**
+ * @swagger
+ * /api/posts/{postId}/bookmark:
+ *   delete:
+ *     summary: Remove a bookmark
+ *     description: Remove a post from your bookmarks and from every collection it was filed in.
+ *     tags: [Bookmarks]
+ *     parameters:
+ *       - $ref: '#/components/parameters/unbookmarkPost.postId'
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Bookmark removed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         message:
+ *                           type: string
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       409:
+ *         description: Post is not bookmarked (NOT_BOOKMARKED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+Bookmark_Router.delete("/:postId/bookmark", authenticator, rateLimit("bookmarks"), validate("unbookmarkPost"), async (req, res, next) => {
+  try {
+    if (!(await removeBookmark(req.user.id, req.params.postId))) {
+      throw new ConflictError("Post is not bookmarked", "NOT_BOOKMARKED");
+    }
+    sendData(res, { message: "Bookmark removed" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = { Bookmark_Router };
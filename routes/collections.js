@@ -0,0 +1,647 @@
+const express = require("express");
+const { authenticator } = require("../middleware/authMiddle");
+const { validate } = require("../middleware/validate");
+const { rateLimit } = require("../middleware/rateLimit");
+const { Post_Model } = require("../models/post.model");
+const { Bookmark_Model } = require("../models/bookmark.model");
+const { BookmarkCollection_Model } = require("../models/bookmarkCollection.model");
+const { addBookmark, getBookmarksPage, formatCollection, listCollections } = require("../utils/bookmarks");
+const { VISIBLE } = require("../utils/moderation");
+const { ConflictError, NotFoundError } = require("../utils/errors");
+const { sendData } = require("../utils/response");
+
+const Collection_Router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Bookmark:
+ *       type: object
+ *       properties:
+ *         bookmarkId:
+ *           type: string
+ *         bookmarkedAt:
+ *           type: string
+ *           format: date-time
+ *         collectionIds:
+ *           type: array
+ *           description: Collections the post is filed in; only on your own bookmarks
+ *           items:
+ *             type: string
+ *         post:
+ *           type: object
+ *           properties:
+ *             postId:
+ *               type: string
+ *             stockSymbol:
+ *               type: string
+ *             title:
+ *               type: string
+ *             description:
+ *               type: string
+ *             sentiment:
+ *               type: string
+ *               nullable: true
+ *             reactions:
+ *               $ref: '#/components/schemas/ReactionCounts'
+ *             reactionsCount:
+ *               type: integer
+ *             bookmarksCount:
+ *               type: integer
+ *             hasPoll:
+ *               type: boolean
+ *             attachments:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Attachment'
+ *             createdAt:
+ *               type: string
+ *               format: date-time
+ *     BookmarkCollection:
+ *       type: object
+ *       properties:
+ *         collectionId:
+ *           type: string
+ *         userId:
+ *           type: string
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *         isPublic:
+ *           type: boolean
+ *         postsCount:
+ *           type: integer
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+// A collection the current user owns, or a 404 that does not reveal whether it exists
+const findOwnCollection = async (collectionId, userId) => {
+  const collection = await BookmarkCollection_Model.findOne({ _id: collectionId, user: userId });
+  if (!collection) throw new NotFoundError("Collection not found", "COLLECTION_NOT_FOUND");
+  return collection;
+};
+
+const checkNameFree = async (userId, name, exceptId = null) => {
+  const filter = { user: userId, name: name.trim() };
+  if (exceptId) filter._id = { $ne: exceptId };
+  if (await BookmarkCollection_Model.exists(filter)) {
+    throw new ConflictError("You already have a collection with this name", "COLLECTION_EXISTS");
+  }
+};
+
+/*
+1.	List Bookmarks - GET /api/user/bookmarks
+○	Headers: { Authorization: Bearer <token> }
+○	Query Parameters:
+■	cursor (optional, nextCursor from the previous page)
+■	limit (optional, default: 20, max: 100)
+○	Response: { bookmarks: [ { bookmarkId, bookmarkedAt, collectionIds, post } ], nextCursor }
+*/
+
+/**
+ * @swagger
+ * /api/user/bookmarks:
+ *   get:
+ *     summary: List your bookmarks
+ *     description: Your bookmarked posts, most recently bookmarked first. Bookmarks of hidden posts are left out.
+ *     tags: [Bookmarks]
+ *     parameters:
+ *       - $ref: '#/components/parameters/listBookmarks.cursor'
+ *       - $ref: '#/components/parameters/listBookmarks.limit'
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: A page of bookmarks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         bookmarks:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/Bookmark'
+ *                         nextCursor:
+ *                           type: string
+ *                           nullable: true
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+Collection_Router.get("/bookmarks", authenticator, validate("listBookmarks"), async (req, res, next) => {
+  const { cursor, limit } = req.query;
+  try {
+    sendData(res, await getBookmarksPage({ user: req.user.id }, { cursor, limit }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/*
+2.	List Your Collections - GET /api/user/collections
+○	Headers: { Authorization: Bearer <token> }
+○	Response: { collections: [ { collectionId, name, description, isPublic, postsCount, createdAt, updatedAt } ] }
+*/
+
+/**
+ * @swagger
+ * /api/user/collections:
+ *   get:
+ *     summary: List your collections
+ *     description: All of your collections, public and private, alphabetically.
+ *     tags: [Bookmarks]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Your collections
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         collections:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/BookmarkCollection'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+Collection_Router.get("/collections", authenticator, async (req, res, next) => {
+  try {
+    sendData(res, { collections: await listCollections({ user: req.user.id }) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/*
+3.	Create a Collection - POST /api/user/collections
+○	Headers: { Authorization: Bearer <token> }
+○	Request Body: { name, description, isPublic }
+○	Response: { collectionId, message: 'Collection created' }
+*/
+
+/**
+ * @swagger
+ * /api/user/collections:
+ *   post:
+ *     summary: Create a collection
+ *     description: Create a named collection of bookmarks. Collections are private unless isPublic is set.
+ *     tags: [Bookmarks]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreateCollectionBody'
+ *     responses:
+ *       200:
+ *         description: Collection created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         collectionId:
+ *                           type: string
+ *                         message:
+ *                           type: string
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       409:
+ *         description: You already have a collection with this name (COLLECTION_EXISTS)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+Collection_Router.post("/collections", authenticator, validate("createCollection"), async (req, res, next) => {
+  const { name, description, isPublic } = req.body;
+  try {
+    await checkNameFree(req.user.id, name);
+    const collection = await BookmarkCollection_Model.create({ user: req.user.id, name, description, isPublic });
+    sendData(res, { collectionId: collection._id, message: "Collection created" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/*
+4.	List a User's Collections - GET /api/user/:userId/collections
+○	Headers: { Authorization: Bearer <token> }
+○	Response: { collections: [ ... ] } (only public ones unless they are your own)
+*/
+
+/**
+ * @swagger
+ * /api/user/{userId}/collections:
+ *   get:
+ *     summary: List a user's collections
+ *     description: The public collections of a user; all of them when the user is you.
+ *     tags: [Bookmarks]
+ *     parameters:
+ *       - $ref: '#/components/parameters/listUserCollections.userId'
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The user's collections
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         collections:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/BookmarkCollection'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+Collection_Router.get("/:userId/collections", authenticator, validate("listUserCollections"), async (req, res, next) => {
+  const { userId } = req.params;
+  try {
+    const filter = { user: userId };
+    if (userId !== req.user.id) filter.isPublic = true;
+    sendData(res, { collections: await listCollections(filter) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/*
+5.	Update a Collection - PUT /api/user/collections/:collectionId
+○	Headers: { Authorization: Bearer <token> }
+○	Request Body: { name, description, isPublic }
+○	Response: { message: 'Collection updated' }
+*/
+
+/**
+ * @swagger
+ * /api/user/collections/{collectionId}:
+ *   put:
+ *     summary: Update a collection
+ *     description: Rename a collection, change its description, or make it public or private.
+ *     tags: [Bookmarks]
+ *     parameters:
+ *       - $ref: '#/components/parameters/updateCollection.collectionId'
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateCollectionBody'
+ *     responses:
+ *       200:
+ *         description: Collection updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         message:
+ *                           type: string
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: Collection not found (COLLECTION_NOT_FOUND)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: You already have a collection with this name (COLLECTION_EXISTS)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+Collection_Router.put("/collections/:collectionId", authenticator, validate("updateCollection"), async (req, res, next) => {
+  const { name, description, isPublic } = req.body;
+  try {
+    const collection = await findOwnCollection(req.params.collectionId, req.user.id);
+    if (name !== undefined) {
+      await checkNameFree(req.user.id, name, collection._id);
+      collection.name = name;
+    }
+    if (description !== undefined) collection.description = description;
+    if (isPublic !== undefined) collection.isPublic = isPublic;
+    collection.updatedAt = new Date();
+    await collection.save();
+
+    sendData(res, { message: "Collection updated" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/*
+6.	Delete a Collection - DELETE /api/user/collections/:collectionId
+○	Headers: { Authorization: Bearer <token> }
+○	Response: { message: 'Collection deleted' }
+○	The bookmarks in it are kept
+*/
+
+/**
+ * @swagger
+ * /api/user/collections/{collectionId}:
+ *   delete:
+ *     summary: Delete a collection
+ *     description: Delete a collection. The posts in it stay bookmarked.
+ *     tags: [Bookmarks]
+ *     parameters:
+ *       - $ref: '#/components/parameters/deleteCollection.collectionId'
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Collection deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         message:
+ *                           type: string
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: Collection not found (COLLECTION_NOT_FOUND)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+Collection_Router.delete("/collections/:collectionId", authenticator, validate("deleteCollection"), async (req, res, next) => {
+  try {
+    const collection = await findOwnCollection(req.params.collectionId, req.user.id);
+    await Bookmark_Model.updateMany({ collections: collection._id }, { $pull: { collections: collection._id } });
+    await collection.deleteOne();
+
+    sendData(res, { message: "Collection deleted" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/*
+7.	Posts in a Collection - GET /api/user/collections/:collectionId/posts
+○	Headers: { Authorization: Bearer <token> }
+○	Query Parameters:
+■	cursor (optional, nextCursor from the previous page)
+■	limit (optional, default: 20, max: 100)
+○	Response: { collection, bookmarks: [ { bookmarkId, bookmarkedAt, post } ], nextCursor }
+*/
+
+/**
+ * @swagger
+ * /api/user/collections/{collectionId}/posts:
+ *   get:
+ *     summary: List the posts in a collection
+ *     description: Posts in one of your collections, or in another user's public collection, most recently added first.
+ *     tags: [Bookmarks]
+ *     parameters:
+ *       - $ref: '#/components/parameters/listCollectionPosts.collectionId'
+ *       - $ref: '#/components/parameters/listCollectionPosts.cursor'
+ *       - $ref: '#/components/parameters/listCollectionPosts.limit'
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: A page of the collection
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         collection:
+ *                           $ref: '#/components/schemas/BookmarkCollection'
+ *                         bookmarks:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/Bookmark'
+ *                         nextCursor:
+ *                           type: string
+ *                           nullable: true
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: Collection not found, or private and not yours (COLLECTION_NOT_FOUND)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+Collection_Router.get("/collections/:collectionId/posts", authenticator, validate("listCollectionPosts"), async (req, res, next) => {
+  const { cursor, limit } = req.query;
+  try {
+    const collection = await BookmarkCollection_Model.findById(req.params.collectionId);
+    const isOwner = collection && String(collection.user) === req.user.id;
+    if (!collection || (!isOwner && !collection.isPublic)) {
+      throw new NotFoundError("Collection not found", "COLLECTION_NOT_FOUND");
+    }
+
+    const [postsCount, page] = await Promise.all([
+      Bookmark_Model.countDocuments({ collections: collection._id }),
+      getBookmarksPage({ collections: collection._id }, { cursor, limit, withCollections: isOwner }),
+    ]);
+    sendData(res, { collection: formatCollection(collection, postsCount), ...page });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/*
+8.	Add a Post to a Collection - POST /api/user/collections/:collectionId/posts/:postId
+○	Headers: { Authorization: Bearer <token> }
+○	Response: { message: 'Post added to collection' }
+○	Bookmarks the post if it is not bookmarked yet
+*/
+
+/**
+ * @swagger
+ * /api/user/collections/{collectionId}/posts/{postId}:
+ *   post:
+ *     summary: Add a post to a collection
+ *     description: File a post into one of your collections, bookmarking it first if needed. A post can be in several collections.
+ *     tags: [Bookmarks]
+ *     parameters:
+ *       - $ref: '#/components/parameters/addToCollection.collectionId'
+ *       - $ref: '#/components/parameters/addToCollection.postId'
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Post added to collection
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         message:
+ *                           type: string
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: Collection or post not found (COLLECTION_NOT_FOUND, POST_NOT_FOUND)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+Collection_Router.post("/collections/:collectionId/posts/:postId", authenticator, rateLimit("bookmarks"), validate("addToCollection"), async (req, res, next) => {
+  const { collectionId, postId } = req.params;
+  try {
+    const collection = await findOwnCollection(collectionId, req.user.id);
+    if (!(await Post_Model.exists({ _id: postId, ...VISIBLE }))) {
+      throw new NotFoundError("Post not found", "POST_NOT_FOUND");
+    }
+
+    await addBookmark(req.user.id, postId, collection._id);
+    sendData(res, { message: "Post added to collection" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/*
+9.	Remove a Post from a Collection - DELETE /api/user/collections/:collectionId/posts/:postId
+○	Headers: { Authorization: Bearer <token> }
+○	Response: { message: 'Post removed from collection' }
+○	The post stays bookmarked
+*/
+
+/**
+ * @swagger
+ * /api/user/collections/{collectionId}/posts/{postId}:
+ *   delete:
+ *     summary: Remove a post from a collection
+ *     description: Take a post out of one of your collections. It stays bookmarked and in your other collections.
+ *     tags: [Bookmarks]
+ *     parameters:
+ *       - $ref: '#/components/parameters/removeFromCollection.collectionId'
+ *       - $ref: '#/components/parameters/removeFromCollection.postId'
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Post removed from collection
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         message:
+ *                           type: string
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: Collection not found, or the post is not in it (COLLECTION_NOT_FOUND, NOT_IN_COLLECTION)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+Collection_Router.delete("/collections/:collectionId/posts/:postId", authenticator, validate("removeFromCollection"), async (req, res, next) => {
+  const { collectionId, postId } = req.params;
+  try {
+    const collection = await findOwnCollection(collectionId, req.user.id);
+    const result = await Bookmark_Model.updateOne(
+      { user: req.user.id, post: postId, collections: collection._id },
+      { $pull: { collections: collection._id } }
+    );
+    if (!result.modifiedCount) {
+      throw new NotFoundError("Post is not in this collection", "NOT_IN_COLLECTION");
+    }
+
+    sendData(res, { message: "Post removed from collection" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = { Collection_Router };
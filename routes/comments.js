@@ -1,7 +1,23 @@
 const express = require("express");
-const { authenticator } = require("../middleware/authMiddle");
+const { authenticator, optionalAuthenticator, requireVerifiedEmail } = require("../middleware/authMiddle");
+const { validate } = require("../middleware/validate");
+const { rateLimit } = require("../middleware/rateLimit");
 const { Post_Model } = require("../models/post.model");
 const { Comment_Model } = require("../models/comment.model");
+const { emitToPost } = require("../utils/socket");
+const { MAX_COMMENT_DEPTH, getCommentsPage } = require("../utils/comments");
+const { deleteCommentCascade } = require("../utils/cascade");
+const { parseEntities } = require("../utils/entities");
+const { notifyMentions, notifyComment } = require("../utils/notifications");
+const { VISIBLE, fileReport, moderateContent } = require("../utils/moderation");
+const { isModerator } = require("../utils/roles");
+const {
+    BadRequestError,
+    ConflictError,
+    ForbiddenError,
+    NotFoundError
+} = require("../utils/errors");
+const { sendData } = require("../utils/response");
 const Comment_Router = express.Router();
 
 
@@ -9,8 +25,8 @@ const Comment_Router = express.Router();
 /*
 1.	Add a Comment to a Post - POST /api/posts/:postId/comments
 ○	Headers: { Authorization: Bearer <token> }
-○	Request Body: { comment }
-○	Response: { success: true, commentId, message: 'Comment added successfully' }
+○	Request Body: { comment, parentCommentId (optional, to reply to a comment) }
+○	Response: { commentId, message: 'Comment added successfully' }
 */
 
 
@@ -19,15 +35,10 @@ const Comment_Router = express.Router();
  * /api/posts/{postId}/comments:
  *   post:
  *     summary: Add a comment to a post
- *     description: Add a new comment to a specific post.
+ *     description: Add a new comment to a specific post. The author must have verified their email address.
  *     tags: [Comments]
  *     parameters:
- *       - name: postId
- *         in: path
- *         description: ID of the post to add a comment to
- *         required: true
- *         schema:
- *           type: string
+ *       - $ref: '#/components/parameters/createComment.postId'
  *     security:
  *       - BearerAuth: []
  *     requestBody:
@@ -35,61 +46,333 @@ const Comment_Router = express.Router();
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               comment:
- *                 type: string
+ *             $ref: '#/components/schemas/CreateCommentBody'
  *     responses:
  *       200:
  *         description: Comment added successfully
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 commentId:
- *                   type: string
- *                 message:
- *                   type: string
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         commentId:
+ *                           type: string
+ *                         message:
+ *                           type: string
+ *       400:
+ *         description: Invalid request or maximum reply depth reached
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Email address not verified (EMAIL_NOT_VERIFIED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       404:
- *         description: Post not found
+ *         description: Post or parent comment not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  *       500:
- *         description: Server error
+ *         $ref: '#/components/responses/ServerError'
  */
 
-Comment_Router.post('/:postId/comments', authenticator, async (req, res) => {
+Comment_Router.post('/:postId/comments', authenticator, requireVerifiedEmail, rateLimit('comments'), validate('createComment'), async (req, res, next) => {
     try {
-        const post = await Post_Model.findById(req.params.postId);
+        const post = await Post_Model.findOne({ _id: req.params.postId, ...VISIBLE }).select('user');
         if (!post) {
-            return res.status(404).send({ msg: 'Post not found' });
+            throw new NotFoundError('Post not found', 'POST_NOT_FOUND');
+        }
+
+        const { parentCommentId } = req.body;
+        let depth = 0;
+        let parent = null;
+        if (parentCommentId) {
+            parent = await Comment_Model.findOne({ _id: parentCommentId, ...VISIBLE });
+            if (!parent || parent.post.toString() !== post.id) {
+                throw new NotFoundError('Parent comment not found', 'PARENT_COMMENT_NOT_FOUND');
+            }
+            if (parent.depth >= MAX_COMMENT_DEPTH) {
+                throw new BadRequestError('Maximum reply depth reached', 'MAX_DEPTH_REACHED');
+            }
+            depth = parent.depth + 1;
         }
 
+        const { cashtags, mentions } = await parseEntities(req.body.comment);
+
         const newComment = new Comment_Model({
             user: req.user.id,
             post: req.params.postId,
-            content: req.body.comment
+            content: req.body.comment,
+            parentComment: parentCommentId || null,
+            depth,
+            cashtags,
+            mentions
         });
 
         const comment = await newComment.save();
 
-        // Add comment ID to the post's comments array
-        post.comments.push(comment._id);
-        await post.save();
+        // Add comment ID to the post's comments array and count it in one atomic update,
+        // before anything else can fail; a post hidden or deleted meanwhile takes the comment back
+        const added = await Post_Model.updateOne(
+            { _id: post._id, ...VISIBLE },
+            { $addToSet: { comments: comment._id }, $inc: { commentsCount: 1 } }
+        );
+        if (!added.matchedCount) {
+            await Comment_Model.deleteOne({ _id: comment._id });
+            throw new NotFoundError('Post not found', 'POST_NOT_FOUND');
+        }
 
-        res.status(200).send({ success: true, commentId: comment.id, message: 'Comment added successfully' });
+        // Notifications are best-effort; the comment stands even when they fail
+        await Promise.all([
+            notifyComment({ actorId: req.user.id, post, comment, parent }),
+            notifyMentions({ actorId: req.user.id, mentions, post: post._id, comment: comment._id })
+        ]).catch((error) => console.error(`Notifications for comment ${comment._id} failed:`, error.message));
+
+        emitToPost(post._id, 'comment:created', {
+            postId: post._id,
+            commentId: comment._id,
+            userId: req.user.id,
+            comment: comment.content,
+            parentCommentId: comment.parentComment,
+            depth: comment.depth,
+            createdAt: comment.createdAt
+        });
+
+        sendData(res, { commentId: comment.id, message: 'Comment added successfully' });
     } catch (error) {
-        console.error(error.message);
-        res.status(500).send({'Server Error':error.message});
+        next(error);
+    }
+});
+
+/*
+Get Comments of a Post (cursor paginated) - GET /api/posts/:postId/comments
+○	Query Parameters:
+■	parentCommentId (optional, lists replies to that comment instead of top-level comments)
+■	cursor (optional, nextCursor from the previous page)
+■	limit (optional, default: 20, max: 100)
+○	Response: { comments: [ { commentId, userId, username, comment, parentCommentId, depth, replyCount, reactions, reactionsCount, myReactions, createdAt, editedAt } ], nextCursor }
+○	myReactions is only filled in when a token is sent
+*/
+
+/**
+ * @openapi
+ * /api/posts/{postId}/comments:
+ *   get:
+ *     summary: Get comments of a post
+ *     description: Retrieve one page of top-level comments, or of replies to a comment, oldest first.
+ *     tags: [Comments]
+ *     parameters:
+ *       - $ref: '#/components/parameters/listComments.postId'
+ *       - $ref: '#/components/parameters/listComments.parentCommentId'
+ *       - $ref: '#/components/parameters/listComments.cursor'
+ *       - $ref: '#/components/parameters/listComments.limit'
+ *     security:
+ *       - {}
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Page of comments
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         comments:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               commentId:
+ *                                 type: string
+ *                               userId:
+ *                                 type: string
+ *                               username:
+ *                                 type: string
+ *                               comment:
+ *                                 type: string
+ *                               parentCommentId:
+ *                                 type: string
+ *                                 nullable: true
+ *                               depth:
+ *                                 type: integer
+ *                               replyCount:
+ *                                 type: integer
+ *                               reactions:
+ *                                 $ref: '#/components/schemas/ReactionCounts'
+ *                               reactionsCount:
+ *                                 type: integer
+ *                               myReactions:
+ *                                 type: array
+ *                                 items:
+ *                                   type: string
+ *                                 description: Types of your reactions to the comment; always empty without a token
+ *                               createdAt:
+ *                                 type: string
+ *                                 format: date-time
+ *                               editedAt:
+ *                                 type: string
+ *                                 format: date-time
+ *                                 nullable: true
+ *                         nextCursor:
+ *                           type: string
+ *                           nullable: true
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: Post not found (POST_NOT_FOUND)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+Comment_Router.get('/:postId/comments', optionalAuthenticator, validate('listComments'), async (req, res, next) => {
+    const { parentCommentId, cursor, limit } = req.query;
+    try {
+        // Comments of hidden or deleted posts are not listed
+        if (!(await Post_Model.exists({ _id: req.params.postId, ...VISIBLE }))) {
+            throw new NotFoundError('Post not found', 'POST_NOT_FOUND');
+        }
+
+        const userId = req.user && req.user.id;
+        const page = await getCommentsPage(req.params.postId, { parentCommentId, cursor, limit, userId });
+        sendData(res, page);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/*
+Edit a Comment - PUT /api/posts/:postId/comments/:commentId
+○	Headers: { Authorization: Bearer <token> }
+○	Request Body: { comment }
+○	Response: { message: 'Comment updated successfully', editedAt }
+*/
+
+/**
+ * @openapi
+ * /api/posts/{postId}/comments/{commentId}:
+ *   put:
+ *     summary: Edit a comment
+ *     description: Update the content of your own comment. The comment is marked with editedAt.
+ *     tags: [Comments]
+ *     parameters:
+ *       - $ref: '#/components/parameters/updateComment.postId'
+ *       - $ref: '#/components/parameters/updateComment.commentId'
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateCommentBody'
+ *     responses:
+ *       200:
+ *         description: Comment updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         message:
+ *                           type: string
+ *                         editedAt:
+ *                           type: string
+ *                           format: date-time
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         description: Only the author can edit the comment (NOT_COMMENT_AUTHOR)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Comment or post not found, or hidden by a moderator (COMMENT_NOT_FOUND, POST_NOT_FOUND)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+Comment_Router.put('/:postId/comments/:commentId', authenticator, validate('updateComment'), async (req, res, next) => {
+    try {
+        // Hidden comments, and comments on hidden posts, stay as the moderator left them
+        if (!(await Post_Model.exists({ _id: req.params.postId, ...VISIBLE }))) {
+            throw new NotFoundError('Post not found', 'POST_NOT_FOUND');
+        }
+        const comment = await Comment_Model.findOne({ _id: req.params.commentId, ...VISIBLE });
+        if (!comment || comment.post.toString() !== req.params.postId) {
+            throw new NotFoundError('Comment not found', 'COMMENT_NOT_FOUND');
+        }
+
+        // Checking if the logged-in user is the one who wrote the comment
+        if (comment.user.toString() !== req.user.id) {
+            throw new ForbiddenError('User not authorized to edit the comment', 'NOT_COMMENT_AUTHOR');
+        }
+
+        const { cashtags, mentions } = await parseEntities(req.body.comment);
+        const previousMentions = [...comment.mentions];
+
+        comment.content = req.body.comment;
+        comment.cashtags = cashtags;
+        comment.mentions = mentions;
+        comment.editedAt = Date.now();
+        await comment.save();
+
+        // Only users newly mentioned by the edit are notified
+        await notifyMentions({
+            actorId: req.user.id,
+            mentions,
+            post: comment.post,
+            comment: comment._id,
+            alreadyNotified: previousMentions
+        });
+
+        emitToPost(comment.post, 'comment:updated', {
+            postId: comment.post,
+            commentId: comment._id,
+            comment: comment.content,
+            editedAt: comment.editedAt
+        });
+
+        sendData(res, { message: 'Comment updated successfully', editedAt: comment.editedAt });
+    } catch (error) {
+        next(error);
     }
 });
 
 /*
 2.	Delete a Comment - DELETE /api/posts/:postId/comments/:commentId
 ○	Headers: { Authorization: Bearer <token> }
-○	Response: { success: true, message: 'Comment deleted successfully' }
+○	Response: { message: 'Comment deleted successfully' }
 */
 
 /**
@@ -97,21 +380,11 @@ Comment_Router.post('/:postId/comments', authenticator, async (req, res) => {
  * /api/posts/{postId}/comments/{commentId}:
  *   delete:
  *     summary: Delete a comment
- *     description: Delete a specific comment from a post.
+ *     description: Delete a specific comment from a post, together with all replies to it. Moderators can delete any comment; the removal is written to the audit log.
  *     tags: [Comments]
  *     parameters:
- *       - name: postId
- *         in: path
- *         description: ID of the post
- *         required: true
- *         schema:
- *           type: string
- *       - name: commentId
- *         in: path
- *         description: ID of the comment to delete
- *         required: true
- *         schema:
- *           type: string
+ *       - $ref: '#/components/parameters/deleteComment.postId'
+ *       - $ref: '#/components/parameters/deleteComment.commentId'
  *     security:
  *       - BearerAuth: []
  *     responses:
@@ -120,48 +393,156 @@ Comment_Router.post('/:postId/comments', authenticator, async (req, res) => {
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 message:
- *                   type: string
- *       401:
- *         description: User not authorized to delete the comment
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         message:
+ *                           type: string
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         description: Only the author or a moderator can delete the comment (NOT_COMMENT_AUTHOR)
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 msg:
- *                   type: string
- *                   example: "User not authorized"
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       404:
  *         description: Comment or post not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       500:
- *         description: Server error
+ *         $ref: '#/components/responses/ServerError'
  */
 
-Comment_Router.delete('/:postId/comments/:commentId', authenticator, async (req, res) => {
+Comment_Router.delete('/:postId/comments/:commentId', authenticator, validate('deleteComment'), async (req, res, next) => {
     try {
         const comment = await Comment_Model.findById(req.params.commentId);
 
-        if (!comment) {
-            return res.status(404).send({ msg: 'Comment not found' });
+        if (!comment || comment.post.toString() !== req.params.postId) {
+            throw new NotFoundError('Comment not found', 'COMMENT_NOT_FOUND');
         }
 
-        // Checking if the logged-in user is the one who commented the post
-        if (comment.user.toString() !== req.user.id) {
-            return res.status(401).send({ msg: 'User not authorized to delete the comment' });
+        // Authors delete their own comments; moderators can remove anyone's
+        const isAuthor = comment.user.toString() === req.user.id;
+        if (!isAuthor && !isModerator(req.user)) {
+            throw new ForbiddenError('User not authorized to delete the comment', 'NOT_COMMENT_AUTHOR');
         }
 
-        await Comment_Model.findByIdAndDelete(req.params.commentId);
-        res.status(200).send({ success: true, message: 'Comment deleted successfully' });
-    } catch (err) {
-        console.error(err.message);
-        res.status(500).send('Server Error');
+        if (isAuthor) {
+            // Replies go with their parent and the post drops every removed id
+            const deletedIds = await deleteCommentCascade(comment);
+            emitToPost(comment.post, 'comment:deleted', {
+                postId: comment.post,
+                commentId: comment._id,
+                deletedIds
+            });
+        } else {
+            await moderateContent({
+                actorId: req.user.id,
+                action: 'remove',
+                targetType: 'comment',
+                target: comment
+            });
+        }
+        sendData(res, { message: 'Comment deleted successfully' });
+    } catch (error) {
+        next(error);
     }
 });
 
+/*
+Report a Comment - POST /api/posts/:postId/comments/:commentId/report
+○	Headers: { Authorization: Bearer <token> }
+○	Request Body: { reason, details }
+○	Response: { reportId, message: 'Report submitted' }
+*/
+
+/**
+ * @openapi
+ * /api/posts/{postId}/comments/{commentId}/report:
+ *   post:
+ *     summary: Report a comment
+ *     description: Flag a comment for the moderators. Each user can report a comment once.
+ *     tags: [Comments]
+ *     parameters:
+ *       - $ref: '#/components/parameters/reportComment.postId'
+ *       - $ref: '#/components/parameters/reportComment.commentId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReportCommentBody'
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Report submitted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         reportId:
+ *                           type: string
+ *                         message:
+ *                           type: string
+ *                           example: "Report submitted"
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: Comment not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Comment already reported by this user (ALREADY_REPORTED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+Comment_Router.post('/:postId/comments/:commentId/report', authenticator, rateLimit('reports'), validate('reportComment'), async (req, res, next) => {
+    const { reason, details } = req.body;
+    try {
+        const comment = await Comment_Model.findOne({ _id: req.params.commentId, ...VISIBLE });
+        if (!comment || comment.post.toString() !== req.params.postId) {
+            throw new NotFoundError('Comment not found', 'COMMENT_NOT_FOUND');
+        }
+
+        const report = await fileReport({
+            reporterId: req.user.id,
+            targetType: 'comment',
+            postId: comment.post,
+            commentId: comment._id,
+            reason,
+            details
+        });
+        if (!report) {
+            throw new ConflictError('You have already reported this comment', 'ALREADY_REPORTED');
+        }
+
+        sendData(res, { reportId: report._id, message: 'Report submitted' });
+    } catch (error) {
+        next(error);
+    }
+});
 
-module.exports = {Comment_Router}
\ No newline at end of file
+module.exports = {Comment_Router}
@@ -0,0 +1,177 @@
+const express = require("express");
+const { authenticator } = require("../middleware/authMiddle");
+const { validate } = require("../middleware/validate");
+const { rateLimit } = require("../middleware/rateLimit");
+const { User_Model } = require("../models/user.model");
+const { digestPreferences, verifyUnsubscribeToken } = require("../utils/digests");
+const { BadRequestError } = require("../utils/errors");
+const { sendData } = require("../utils/response");
+
+const Digest_Router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DigestPreferences:
+ *       type: object
+ *       properties:
+ *         frequency:
+ *           type: string
+ *           enum: [off, daily, weekly]
+ *           description: off until the user opts in
+ *         tags:
+ *           type: array
+ *           items:
+ *             type: string
+ *         lastSentAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ */
+
+/*
+1.	Digest Preferences - GET /api/digest/preferences, PUT /api/digest/preferences
+○	Headers: { Authorization: Bearer <token> }
+○	Request Body (PUT): { frequency, tags }
+○	Response: { frequency, tags, lastSentAt }
+*/
+
+/**
+ * @swagger
+ * /api/digest/preferences:
+ *   get:
+ *     summary: Get your email digest preferences
+ *     tags: [Digest]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Your digest preferences
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/DigestPreferences'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ *   put:
+ *     summary: Update your email digest preferences
+ *     description: The digest lists top posts on your followed stocks, watchlist symbols and chosen tags, comments on your posts and new followers. It is only sent to verified addresses and skipped when nothing happened.
+ *     tags: [Digest]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateDigestPreferencesBody'
+ *     responses:
+ *       200:
+ *         description: The updated preferences
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/DigestPreferences'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+Digest_Router.get("/preferences", authenticator, async (req, res, next) => {
+  try {
+    const user = await User_Model.findById(req.user.id).select("digest");
+    sendData(res, digestPreferences(user));
+  } catch (error) {
+    next(error);
+  }
+});
+
+Digest_Router.put("/preferences", authenticator, validate("updateDigestPreferences"), async (req, res, next) => {
+  const { frequency, tags } = req.body;
+  try {
+    const update = {};
+    if (frequency !== undefined) update["digest.frequency"] = frequency;
+    if (tags !== undefined) update["digest.tags"] = [...new Set(tags.map((tag) => tag.trim()).filter(Boolean))];
+
+    const user = await User_Model.findByIdAndUpdate(req.user.id, update, { new: true }).select("digest");
+    sendData(res, digestPreferences(user));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/*
+2.	Unsubscribe - POST /api/digest/unsubscribe
+○	Request Body: { token } (from the link at the bottom of every digest)
+○	Response: { message: 'Unsubscribed from digests' }
+*/
+
+/**
+ * @swagger
+ * /api/digest/unsubscribe:
+ *   post:
+ *     summary: Unsubscribe from email digests
+ *     description: Turns the digest off for the account the token was mailed to. Works without logging in; turn it back on with PUT /api/digest/preferences.
+ *     tags: [Digest]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UnsubscribeDigestBody'
+ *     responses:
+ *       200:
+ *         description: Unsubscribed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         message:
+ *                           type: string
+ *       400:
+ *         description: Invalid body, or a token that does not belong to any account (UNSUBSCRIBE_TOKEN_INVALID)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+Digest_Router.post("/unsubscribe", rateLimit("auth"), validate("unsubscribeDigest"), async (req, res, next) => {
+  try {
+    const userId = verifyUnsubscribeToken(req.body.token);
+    const result = userId
+      ? await User_Model.updateOne({ _id: userId, deletedAt: null }, { "digest.frequency": "off" })
+      : null;
+    if (!result || !result.matchedCount) {
+      throw new BadRequestError("Unsubscribe link is invalid", "UNSUBSCRIBE_TOKEN_INVALID");
+    }
+
+    sendData(res, { message: "Unsubscribed from digests" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = { Digest_Router };
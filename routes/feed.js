@@ -0,0 +1,136 @@
+const express = require("express");
+const { authenticator } = require("../middleware/authMiddle");
+const { validate } = require("../middleware/validate");
+const { Post_Model } = require("../models/post.model");
+const { User_Model } = require("../models/user.model");
+const { Follow_Model } = require("../models/follow.model");
+const { POST_SUMMARY_FIELDS, formatPostSummary } = require("../utils/posts");
+const { withMyReactions } = require("../utils/reactions");
+const { sendData } = require("../utils/response");
+const { VISIBLE } = require("../utils/moderation");
+
+const Feed_Router = express.Router();
+
+/*
+1.	Personalized Home Feed - GET /api/feed
+○	Headers: { Authorization: Bearer <token> }
+○	Query Parameters:
+■	cursor (optional, nextCursor from the previous page)
+■	limit (optional, default: 10, max: 50)
+○	Response: { posts: [ { postId, stockSymbol, title, description, sentiment, reactions, reactionsCount, myReactions, createdAt, username } ], nextCursor }
+*/
+
+/**
+ * @swagger
+ * /api/feed:
+ *   get:
+ *     summary: Get the personalized home feed
+ *     description: Posts from followed users and on followed stocks (including cashtag mentions), newest first.
+ *     tags: [Feed]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/getFeed.cursor'
+ *       - $ref: '#/components/parameters/getFeed.limit'
+ *     responses:
+ *       200:
+ *         description: Page of feed posts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         posts:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               postId:
+ *                                 type: string
+ *                               stockSymbol:
+ *                                 type: string
+ *                               title:
+ *                                 type: string
+ *                               description:
+ *                                 type: string
+ *                               sentiment:
+ *                                 type: string
+ *                                 nullable: true
+ *                               reactions:
+ *                                 $ref: '#/components/schemas/ReactionCounts'
+ *                               reactionsCount:
+ *                                 type: integer
+ *                               myReactions:
+ *                                 type: array
+ *                                 items:
+ *                                   type: string
+ *                               createdAt:
+ *                                 type: string
+ *                                 format: date-time
+ *                               editedAt:
+ *                                 type: string
+ *                                 format: date-time
+ *                                 nullable: true
+ *                               username:
+ *                                 type: string
+ *                         nextCursor:
+ *                           type: string
+ *                           nullable: true
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+Feed_Router.get("/", authenticator, validate("getFeed"), async (req, res, next) => {
+  const { cursor, limit } = req.query;
+
+  try {
+    const user = await User_Model.findById(req.user.id).select("followedStocks");
+    const follows = await Follow_Model.find({ follower: req.user.id }).select("following");
+    const followedUsers = follows.map((follow) => follow.following);
+    const followedStocks = user ? user.followedStocks : [];
+
+    if (!followedUsers.length && !followedStocks.length) {
+      return sendData(res, { posts: [], nextCursor: null });
+    }
+
+    const query = {
+      ...VISIBLE,
+      $or: [
+        { user: { $in: followedUsers } },
+        { stockSymbol: { $in: followedStocks } },
+        { cashtags: { $in: followedStocks } },
+      ],
+    };
+    // _id grows with creation time, so it doubles as a stable cursor
+    if (cursor) query._id = { $lt: cursor };
+
+    const posts = await Post_Model.find(query)
+      .sort({ _id: -1 })
+      .limit(limit + 1)
+      .select(`user ${POST_SUMMARY_FIELDS}`)
+      .populate("user", "username");
+
+    const hasMore = posts.length > limit;
+    const page = hasMore ? posts.slice(0, limit) : posts;
+
+    const summaries = page.map((post) => ({
+      ...formatPostSummary(post),
+      username: post.user && post.user.username,
+    }));
+    sendData(res, {
+      posts: await withMyReactions(req.user.id, summaries, "postId"),
+      nextCursor: hasMore ? page[page.length - 1]._id : null,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = { Feed_Router };
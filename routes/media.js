@@ -0,0 +1,195 @@
+const express = require("express");
+const { authenticator, requireVerifiedEmail } = require("../middleware/authMiddle");
+const { validate } = require("../middleware/validate");
+const { rateLimit } = require("../middleware/rateLimit");
+const { uploadImage } = require("../middleware/upload");
+const { Media_Model } = require("../models/media.model");
+const { processImage, storeImage, deleteMedia, formatAttachment } = require("../utils/media");
+const { ConflictError, NotFoundError } = require("../utils/errors");
+const { sendData } = require("../utils/response");
+
+const Media_Router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Attachment:
+ *       type: object
+ *       properties:
+ *         mediaId:
+ *           type: string
+ *         url:
+ *           type: string
+ *         thumbnailUrl:
+ *           type: string
+ *           description: WebP thumbnail
+ *         contentType:
+ *           type: string
+ *           enum: [image/jpeg, image/png, image/webp, image/gif]
+ *         width:
+ *           type: integer
+ *         height:
+ *           type: integer
+ *     ImageUpload:
+ *       type: object
+ *       required: [image]
+ *       properties:
+ *         image:
+ *           type: string
+ *           format: binary
+ *           description: A JPEG, PNG, WebP or GIF image; its type is detected from the content
+ */
+
+/*
+1.	Upload a Post Image - POST /api/media/images
+○	Headers: { Authorization: Bearer <token> }
+○	Request Body: multipart/form-data with the file in "image"
+○	Response: { mediaId, url, thumbnailUrl, contentType, width, height, size }
+○	Attach it by passing mediaId in attachments to POST /api/posts; unattached uploads are deleted after 24 hours
+*/
+
+/**
+ * @swagger
+ * /api/media/images:
+ *   post:
+ *     summary: Upload a post image
+ *     description: |
+ *       Upload a chart or screenshot (at most 5 MB, 32 to 8192 pixels a side) to attach to a post. The image is stored without its metadata and gets a thumbnail.
+ *       Pass the returned mediaId in attachments to POST /api/posts; uploads not attached within 24 hours are deleted. The author must have verified their email address.
+ *     tags: [Media]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             $ref: '#/components/schemas/ImageUpload'
+ *     responses:
+ *       200:
+ *         description: Image stored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/Attachment'
+ *                         - type: object
+ *                           properties:
+ *                             size:
+ *                               type: integer
+ *                               description: Stored size in bytes
+ *       400:
+ *         description: No file (FILE_MISSING), a malformed upload (INVALID_UPLOAD), an unreadable image (INVALID_IMAGE) or one too small or too large (INVALID_IMAGE_DIMENSIONS)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Email address not verified (EMAIL_NOT_VERIFIED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       413:
+ *         description: File larger than 5 MB (FILE_TOO_LARGE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       415:
+ *         description: Not a JPEG, PNG, WebP or GIF image (UNSUPPORTED_MEDIA_TYPE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+Media_Router.post("/images", authenticator, requireVerifiedEmail, rateLimit("uploads"), uploadImage("post-image"), async (req, res, next) => {
+  try {
+    const image = await processImage(req.file.buffer, "post-image");
+    const media = await storeImage(req.user.id, "post-image", image);
+    sendData(res, { ...formatAttachment(media), size: media.size });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/*
+2.	Delete an Unattached Upload - DELETE /api/media/:mediaId
+○	Headers: { Authorization: Bearer <token> }
+○	Response: { message: 'Upload deleted' }
+○	Images attached to a post go when the post is deleted
+*/
+
+/**
+ * @swagger
+ * /api/media/{mediaId}:
+ *   delete:
+ *     summary: Delete an unattached upload
+ *     description: Delete a post image you uploaded but have not attached, e.g. when a draft is discarded.
+ *     tags: [Media]
+ *     parameters:
+ *       - $ref: '#/components/parameters/deleteMedia.mediaId'
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Upload deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         message:
+ *                           type: string
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: Upload not found (MEDIA_NOT_FOUND)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: The image is attached to a post (MEDIA_IN_USE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+Media_Router.delete("/:mediaId", authenticator, validate("deleteMedia"), async (req, res, next) => {
+  try {
+    const media = await Media_Model.findOne({ _id: req.params.mediaId, user: req.user.id, kind: "post-image" });
+    if (!media) {
+      throw new NotFoundError("Upload not found", "MEDIA_NOT_FOUND");
+    }
+    if (media.post) {
+      throw new ConflictError("The image is attached to a post; delete the post instead", "MEDIA_IN_USE");
+    }
+
+    await deleteMedia({ _id: media._id, post: null });
+    sendData(res, { message: "Upload deleted" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = { Media_Router };
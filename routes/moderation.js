@@ -0,0 +1,921 @@
+const express = require("express");
+const { authenticator, requireRole } = require("../middleware/authMiddle");
+const { validate } = require("../middleware/validate");
+const { Post_Model } = require("../models/post.model");
+const { Comment_Model } = require("../models/comment.model");
+const { User_Model } = require("../models/user.model");
+const { Report_Model } = require("../models/report.model");
+const { AuditLog_Model } = require("../models/auditLog.model");
+const { closeReports, moderateContent, recordAction } = require("../utils/moderation");
+const { isSuspended } = require("../utils/roles");
+const { revokeUserSessions } = require("../utils/tokens");
+const {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+} = require("../utils/errors");
+const { sendData } = require("../utils/response");
+
+const Moderation_Router = express.Router();
+
+// Everything here is for moderators; role and audit log changes need an admin
+Moderation_Router.use(authenticator, requireRole("moderator", "admin"));
+
+const TARGETS = {
+  post: { model: Post_Model, label: "Post", code: "POST_NOT_FOUND" },
+  comment: { model: Comment_Model, label: "Comment", code: "COMMENT_NOT_FOUND" },
+};
+
+const summarizeUser = (user) => user && { id: user._id, username: user.username };
+
+const formatReport = (report) => {
+  const target = report.targetType === "post" ? report.post : report.comment;
+  return {
+    reportId: report._id,
+    targetType: report.targetType,
+    postId: report.post && report.post._id,
+    commentId: report.comment && report.comment._id,
+    reason: report.reason,
+    details: report.details,
+    status: report.status,
+    resolution: report.resolution,
+    resolvedAt: report.resolvedAt,
+    reporter: summarizeUser(report.reporter),
+    // The reported content as it is now, so it can be judged from the queue
+    target: target && {
+      title: target.title,
+      description: target.description,
+      content: target.content,
+      author: summarizeUser(target.user),
+      hidden: Boolean(target.hiddenAt),
+    },
+    createdAt: report.createdAt,
+  };
+};
+
+/*
+1.	Moderator Queue - GET /api/mod/reports
+○	Headers: { Authorization: Bearer <token> } (moderator or admin)
+○	Query Parameters: status (default: open), targetType, page, limit
+○	Response: { pagination, reports: [ { reportId, targetType, postId, commentId, reason, details, status, resolution, resolvedAt, reporter, target, createdAt } ] }
+*/
+
+/**
+ * @openapi
+ * /api/mod/reports:
+ *   get:
+ *     summary: List reports
+ *     description: The moderator queue. Open reports by default, oldest first so nothing waits forever.
+ *     tags: [Moderation]
+ *     parameters:
+ *       - $ref: '#/components/parameters/listReports.status'
+ *       - $ref: '#/components/parameters/listReports.targetType'
+ *       - $ref: '#/components/parameters/listReports.page'
+ *       - $ref: '#/components/parameters/listReports.limit'
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Page of reports
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         pagination:
+ *                           type: object
+ *                           properties:
+ *                             currentPage:
+ *                               type: integer
+ *                             totalPages:
+ *                               type: integer
+ *                             total:
+ *                               type: integer
+ *                         reports:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               reportId:
+ *                                 type: string
+ *                               targetType:
+ *                                 type: string
+ *                                 enum: [post, comment]
+ *                               postId:
+ *                                 type: string
+ *                               commentId:
+ *                                 type: string
+ *                               reason:
+ *                                 type: string
+ *                               details:
+ *                                 type: string
+ *                               status:
+ *                                 type: string
+ *                               resolution:
+ *                                 type: string
+ *                               resolvedAt:
+ *                                 type: string
+ *                                 format: date-time
+ *                               reporter:
+ *                                 $ref: '#/components/schemas/UserSummary'
+ *                               target:
+ *                                 type: object
+ *                                 description: Current state of the reported content; null once removed
+ *                                 properties:
+ *                                   title:
+ *                                     type: string
+ *                                   description:
+ *                                     type: string
+ *                                   content:
+ *                                     type: string
+ *                                   author:
+ *                                     $ref: '#/components/schemas/UserSummary'
+ *                                   hidden:
+ *                                     type: boolean
+ *                               createdAt:
+ *                                 type: string
+ *                                 format: date-time
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         description: Token is not valid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Not a moderator (INSUFFICIENT_ROLE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ *
+ * components:
+ *   schemas:
+ *     UserSummary:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         username:
+ *           type: string
+ */
+
+Moderation_Router.get("/reports", validate("listReports"), async (req, res, next) => {
+  const { status, targetType, page: pageNumber, limit: limitNumber } = req.query;
+
+  try {
+    const query = { status };
+    if (targetType) query.targetType = targetType;
+
+    const total = await Report_Model.countDocuments(query);
+    const reports = await Report_Model.find(query)
+      .sort({ createdAt: 1 })
+      .skip((pageNumber - 1) * limitNumber)
+      .limit(limitNumber)
+      .populate("reporter", "username")
+      .populate({
+        path: "post",
+        select: "title description user hiddenAt",
+        populate: { path: "user", select: "username" },
+      })
+      .populate({
+        path: "comment",
+        select: "content user hiddenAt",
+        populate: { path: "user", select: "username" },
+      });
+
+    sendData(res, {
+      pagination: {
+        currentPage: pageNumber,
+        totalPages: Math.ceil(total / limitNumber),
+        total,
+      },
+      reports: reports.map(formatReport),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/*
+2.	Resolve a Report - POST /api/mod/reports/:reportId/resolve
+○	Headers: { Authorization: Bearer <token> } (moderator or admin)
+○	Request Body: { action: 'hide' | 'remove' | 'dismiss', reason }
+○	Response: { reportId, action, closedReports }
+*/
+
+/**
+ * @openapi
+ * /api/mod/reports/{reportId}/resolve:
+ *   post:
+ *     summary: Act on a report
+ *     description: Hide or remove the reported content, or dismiss the report. Every open report on the same content is closed with it and the action is written to the audit log.
+ *     tags: [Moderation]
+ *     parameters:
+ *       - $ref: '#/components/parameters/resolveReport.reportId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ResolveReportBody'
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Report resolved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         reportId:
+ *                           type: string
+ *                         action:
+ *                           type: string
+ *                         closedReports:
+ *                           type: integer
+ *                           description: Open reports on the same content that were closed
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         description: Not a moderator (INSUFFICIENT_ROLE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Report or reported content not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Report already closed (REPORT_CLOSED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+Moderation_Router.post("/reports/:reportId/resolve", validate("resolveReport"), async (req, res, next) => {
+  const { action, reason } = req.body;
+
+  try {
+    const report = await Report_Model.findById(req.params.reportId);
+    if (!report) {
+      throw new NotFoundError("Report not found", "REPORT_NOT_FOUND");
+    }
+    if (report.status !== "open") {
+      throw new ConflictError("Report is already closed", "REPORT_CLOSED");
+    }
+
+    const { targetType } = report;
+    const { model, label, code } = TARGETS[targetType];
+    const target = await model.findById(report[targetType]);
+    if (!target) {
+      throw new NotFoundError(`${label} not found`, code);
+    }
+
+    // Reports are closed first because removing the content deletes them
+    const closedReports = await closeReports(targetType, target, {
+      actorId: req.user.id,
+      resolution: action,
+    });
+
+    if (action === "dismiss") {
+      await recordAction({
+        actorId: req.user.id,
+        action: "dismiss_report",
+        targetType: "report",
+        targetId: report._id,
+        report: report._id,
+        reason,
+        metadata: { targetType, postId: report.post, commentId: report.comment },
+      });
+    } else {
+      await moderateContent({
+        actorId: req.user.id,
+        action,
+        targetType,
+        target,
+        reason,
+        report,
+      });
+    }
+
+    sendData(res, { reportId: report._id, action, closedReports });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/*
+3.	Hide / Unhide Content - POST /api/mod/posts/:postId/hide, /unhide and POST /api/mod/comments/:commentId/hide, /unhide
+○	Headers: { Authorization: Bearer <token> } (moderator or admin)
+○	Request Body: { reason }
+○	Response: { message }
+*/
+
+// Hidden content drops out of every listing but can be restored
+const setHidden = (targetType, action) => async (req, res, next) => {
+  const { model, label, code } = TARGETS[targetType];
+
+  try {
+    const target = await model.findById(req.params[`${targetType}Id`]);
+    if (!target) {
+      throw new NotFoundError(`${label} not found`, code);
+    }
+    if (Boolean(target.hiddenAt) === (action === "hide")) {
+      throw new ConflictError(
+        `${label} is ${action === "hide" ? "already" : "not"} hidden`,
+        action === "hide" ? "ALREADY_HIDDEN" : "NOT_HIDDEN"
+      );
+    }
+
+    await moderateContent({
+      actorId: req.user.id,
+      action,
+      targetType,
+      target,
+      reason: req.body.reason,
+    });
+    // Hiding settles whatever reports were waiting on the content
+    if (action === "hide") {
+      await closeReports(targetType, target, { actorId: req.user.id, resolution: "hide" });
+    }
+
+    sendData(res, { message: `${label} ${action === "hide" ? "hidden" : "restored"}` });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @openapi
+ * /api/mod/posts/{postId}/hide:
+ *   post:
+ *     summary: Hide a post
+ *     description: Take a post out of every listing without deleting it. Open reports on the post are resolved.
+ *     tags: [Moderation]
+ *     parameters:
+ *       - $ref: '#/components/parameters/hidePost.postId'
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/HidePostBody'
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/ModerationMessage'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: Post not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Post already hidden (ALREADY_HIDDEN)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ *
+ * /api/mod/posts/{postId}/unhide:
+ *   post:
+ *     summary: Restore a hidden post
+ *     tags: [Moderation]
+ *     parameters:
+ *       - $ref: '#/components/parameters/unhidePost.postId'
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UnhidePostBody'
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/ModerationMessage'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: Post not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Post is not hidden (NOT_HIDDEN)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ *
+ * /api/mod/comments/{commentId}/hide:
+ *   post:
+ *     summary: Hide a comment
+ *     description: Take a comment out of its thread without deleting it. Open reports on the comment are resolved.
+ *     tags: [Moderation]
+ *     parameters:
+ *       - $ref: '#/components/parameters/hideComment.commentId'
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/HideCommentBody'
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/ModerationMessage'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: Comment not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Comment already hidden (ALREADY_HIDDEN)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ *
+ * /api/mod/comments/{commentId}/unhide:
+ *   post:
+ *     summary: Restore a hidden comment
+ *     tags: [Moderation]
+ *     parameters:
+ *       - $ref: '#/components/parameters/unhideComment.commentId'
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UnhideCommentBody'
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/ModerationMessage'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: Comment not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Comment is not hidden (NOT_HIDDEN)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ *
+ * components:
+ *   responses:
+ *     ModerationMessage:
+ *       description: Action applied and written to the audit log
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/SuccessResponse'
+ *               - type: object
+ *                 properties:
+ *                   data:
+ *                     type: object
+ *                     properties:
+ *                       message:
+ *                         type: string
+ */
+
+Moderation_Router.post("/posts/:postId/hide", validate("hidePost"), setHidden("post", "hide"));
+Moderation_Router.post("/posts/:postId/unhide", validate("unhidePost"), setHidden("post", "unhide"));
+Moderation_Router.post("/comments/:commentId/hide", validate("hideComment"), setHidden("comment", "hide"));
+Moderation_Router.post("/comments/:commentId/unhide", validate("unhideComment"), setHidden("comment", "unhide"));
+
+/*
+4.	Suspend / Unsuspend a User - POST /api/mod/users/:userId/suspend, POST /api/mod/users/:userId/unsuspend
+○	Headers: { Authorization: Bearer <token> } (moderator or admin; only admins can suspend staff)
+○	Request Body: { reason, until } / { reason }
+○	Response: { userId, suspendedUntil, message }
+*/
+
+/**
+ * @openapi
+ * /api/mod/users/{userId}/suspend:
+ *   post:
+ *     summary: Suspend a user
+ *     description: Blocks the user from the API until the given date, or indefinitely. Their sessions are revoked immediately. Only admins can suspend moderators and admins.
+ *     tags: [Moderation]
+ *     parameters:
+ *       - $ref: '#/components/parameters/suspendUser.userId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SuspendUserBody'
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/SuspensionResult'
+ *       400:
+ *         description: Invalid request, a past end date (INVALID_DATE) or suspending yourself (SELF_MODERATION)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Only admins can suspend moderators and admins (INSUFFICIENT_ROLE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ *
+ * /api/mod/users/{userId}/unsuspend:
+ *   post:
+ *     summary: Lift a suspension
+ *     tags: [Moderation]
+ *     parameters:
+ *       - $ref: '#/components/parameters/unsuspendUser.userId'
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UnsuspendUserBody'
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/SuspensionResult'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: User is not suspended (NOT_SUSPENDED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ *
+ * components:
+ *   responses:
+ *     SuspensionResult:
+ *       description: Suspension updated and written to the audit log
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/SuccessResponse'
+ *               - type: object
+ *                 properties:
+ *                   data:
+ *                     type: object
+ *                     properties:
+ *                       userId:
+ *                         type: string
+ *                       suspendedUntil:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                       message:
+ *                         type: string
+ */
+
+Moderation_Router.post("/users/:userId/suspend", validate("suspendUser"), async (req, res, next) => {
+  const { reason, until } = req.body;
+
+  try {
+    if (req.params.userId === req.user.id) {
+      throw new BadRequestError("You cannot suspend yourself", "SELF_MODERATION");
+    }
+    const suspendedUntil = until ? new Date(until) : null;
+    if (suspendedUntil && !(suspendedUntil > new Date())) {
+      throw new BadRequestError("until must be a date in the future", "INVALID_DATE");
+    }
+
+    const user = await User_Model.findById(req.params.userId);
+    if (!user) {
+      throw new NotFoundError("User not found", "USER_NOT_FOUND");
+    }
+    if (user.role !== "user" && req.user.role !== "admin") {
+      throw new ForbiddenError("Only admins can suspend moderators and admins", "INSUFFICIENT_ROLE");
+    }
+
+    user.suspendedAt = new Date();
+    user.suspendedUntil = suspendedUntil;
+    user.suspensionReason = reason;
+    await user.save();
+    await revokeUserSessions(user._id, "suspended");
+
+    await recordAction({
+      actorId: req.user.id,
+      action: "suspend_user",
+      targetType: "user",
+      targetId: user._id,
+      reason,
+      metadata: { until: suspendedUntil },
+    });
+
+    sendData(res, { userId: user._id, suspendedUntil, message: "User suspended" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+Moderation_Router.post("/users/:userId/unsuspend", validate("unsuspendUser"), async (req, res, next) => {
+  try {
+    const user = await User_Model.findById(req.params.userId);
+    if (!user) {
+      throw new NotFoundError("User not found", "USER_NOT_FOUND");
+    }
+    if (!isSuspended(user)) {
+      throw new ConflictError("User is not suspended", "NOT_SUSPENDED");
+    }
+
+    user.suspendedAt = null;
+    user.suspendedUntil = null;
+    user.suspensionReason = "";
+    await user.save();
+
+    await recordAction({
+      actorId: req.user.id,
+      action: "unsuspend_user",
+      targetType: "user",
+      targetId: user._id,
+      reason: req.body.reason,
+    });
+
+    sendData(res, { userId: user._id, suspendedUntil: null, message: "Suspension lifted" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/*
+5.	Change a User's Role - PUT /api/mod/users/:userId/role
+○	Headers: { Authorization: Bearer <token> } (admin)
+○	Request Body: { role: 'user' | 'moderator' | 'admin', reason }
+○	Response: { userId, role }
+*/
+
+/**
+ * @openapi
+ * /api/mod/users/{userId}/role:
+ *   put:
+ *     summary: Change a user's role
+ *     description: Admins only. Admins cannot change their own role, so there is always someone left to undo a mistake.
+ *     tags: [Moderation]
+ *     parameters:
+ *       - $ref: '#/components/parameters/changeRole.userId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ChangeRoleBody'
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Role changed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         userId:
+ *                           type: string
+ *                         role:
+ *                           type: string
+ *       400:
+ *         description: Invalid request or changing your own role (SELF_MODERATION)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Not an admin (INSUFFICIENT_ROLE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+Moderation_Router.put("/users/:userId/role", requireRole("admin"), validate("changeRole"), async (req, res, next) => {
+  const { role, reason } = req.body;
+
+  try {
+    if (req.params.userId === req.user.id) {
+      throw new BadRequestError("You cannot change your own role", "SELF_MODERATION");
+    }
+
+    const user = await User_Model.findById(req.params.userId);
+    if (!user) {
+      throw new NotFoundError("User not found", "USER_NOT_FOUND");
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save();
+
+    await recordAction({
+      actorId: req.user.id,
+      action: "change_role",
+      targetType: "user",
+      targetId: user._id,
+      reason,
+      metadata: { from: previousRole, to: role },
+    });
+
+    sendData(res, { userId: user._id, role: user.role });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/*
+6.	Audit Log - GET /api/mod/audit-log
+○	Headers: { Authorization: Bearer <token> } (admin)
+○	Query Parameters: actor, action, targetId, page, limit
+○	Response: { pagination, entries: [ { entryId, action, targetType, targetId, reportId, reason, metadata, actor, createdAt } ] }
+*/
+
+/**
+ * @openapi
+ * /api/mod/audit-log:
+ *   get:
+ *     summary: Browse the moderation audit log
+ *     description: Admins only. Newest entries first.
+ *     tags: [Moderation]
+ *     parameters:
+ *       - $ref: '#/components/parameters/listAuditLog.actor'
+ *       - $ref: '#/components/parameters/listAuditLog.action'
+ *       - $ref: '#/components/parameters/listAuditLog.targetId'
+ *       - $ref: '#/components/parameters/listAuditLog.page'
+ *       - $ref: '#/components/parameters/listAuditLog.limit'
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Page of audit log entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         pagination:
+ *                           type: object
+ *                           properties:
+ *                             currentPage:
+ *                               type: integer
+ *                             totalPages:
+ *                               type: integer
+ *                             total:
+ *                               type: integer
+ *                         entries:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               entryId:
+ *                                 type: string
+ *                               action:
+ *                                 type: string
+ *                                 example: remove_post
+ *                               targetType:
+ *                                 type: string
+ *                               targetId:
+ *                                 type: string
+ *                               reportId:
+ *                                 type: string
+ *                                 nullable: true
+ *                                 description: Null for removals, whose report is deleted with the content and copied into metadata.report
+ *                               reason:
+ *                                 type: string
+ *                               metadata:
+ *                                 type: object
+ *                               actor:
+ *                                 $ref: '#/components/schemas/UserSummary'
+ *                               createdAt:
+ *                                 type: string
+ *                                 format: date-time
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         description: Not an admin (INSUFFICIENT_ROLE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+Moderation_Router.get("/audit-log", requireRole("admin"), validate("listAuditLog"), async (req, res, next) => {
+  const { actor, action, targetId, page: pageNumber, limit: limitNumber } = req.query;
+
+  try {
+    const query = {};
+    if (actor) query.actor = actor;
+    if (action) query.action = action;
+    if (targetId) query.targetId = targetId;
+
+    const total = await AuditLog_Model.countDocuments(query);
+    const entries = await AuditLog_Model.find(query)
+      .sort({ createdAt: -1 })
+      .skip((pageNumber - 1) * limitNumber)
+      .limit(limitNumber)
+      .populate("actor", "username");
+
+    sendData(res, {
+      pagination: {
+        currentPage: pageNumber,
+        totalPages: Math.ceil(total / limitNumber),
+        total,
+      },
+      entries: entries.map((entry) => ({
+        entryId: entry._id,
+        action: entry.action,
+        targetType: entry.targetType,
+        targetId: entry.targetId,
+        reportId: entry.report,
+        reason: entry.reason,
+        metadata: entry.metadata,
+        actor: summarizeUser(entry.actor),
+        createdAt: entry.createdAt,
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = { Moderation_Router };
@@ -0,0 +1,232 @@
+const express = require("express");
+const { authenticator } = require("../middleware/authMiddle");
+const { validate } = require("../middleware/validate");
+const { Notification_Model } = require("../models/notification.model");
+const { formatNotification } = require("../utils/notifications");
+const { sendData } = require("../utils/response");
+
+const Notification_Router = express.Router();
+
+/*
+1.	Get Notifications - GET /api/notifications
+○	Headers: { Authorization: Bearer <token> }
+○	Query Parameters:
+■	unread (optional, "true" to list unread notifications only)
+■	page (optional, default: 1)
+■	limit (optional, default: 20, max: 100)
+○	Response: { pagination, notifications: [ { notificationId, type, message, actors, actorsCount, postId, commentId, read, createdAt, updatedAt } ] }
+*/
+
+/**
+ * @swagger
+ * /api/notifications:
+ *   get:
+ *     summary: Get notifications
+ *     description: The authenticated user's notifications, most recent activity first. Unread reactions to the same post or comment are aggregated into one notification.
+ *     tags: [Notifications]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/listNotifications.unread'
+ *       - $ref: '#/components/parameters/listNotifications.page'
+ *       - $ref: '#/components/parameters/listNotifications.limit'
+ *     responses:
+ *       200:
+ *         description: Page of notifications
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         pagination:
+ *                           type: object
+ *                           properties:
+ *                             currentPage:
+ *                               type: integer
+ *                             totalPages:
+ *                               type: integer
+ *                             totalNotifications:
+ *                               type: integer
+ *                         notifications:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               notificationId:
+ *                                 type: string
+ *                               type:
+ *                                 type: string
+ *                                 enum: [mention, reaction, comment, reply, follow]
+ *                               message:
+ *                                 type: string
+ *                                 example: 5 people reacted to your post
+ *                               actors:
+ *                                 type: array
+ *                                 items:
+ *                                   type: object
+ *                                   properties:
+ *                                     userId:
+ *                                       type: string
+ *                                     username:
+ *                                       type: string
+ *                               actorsCount:
+ *                                 type: integer
+ *                               postId:
+ *                                 type: string
+ *                               commentId:
+ *                                 type: string
+ *                                 nullable: true
+ *                               read:
+ *                                 type: boolean
+ *                               createdAt:
+ *                                 type: string
+ *                                 format: date-time
+ *                               updatedAt:
+ *                                 type: string
+ *                                 format: date-time
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+Notification_Router.get("/", authenticator, validate("listNotifications"), async (req, res, next) => {
+  const { unread, page: pageNumber, limit: limitNumber } = req.query;
+
+  try {
+    const query = { recipient: req.user.id };
+    if (unread) query.read = false;
+
+    const skip = (pageNumber - 1) * limitNumber;
+
+    const totalNotifications = await Notification_Model.countDocuments(query);
+
+    // Two actors are enough to phrase "alice and bob reacted to your post"
+    const notifications = await Notification_Model.find(query)
+      .sort({ updatedAt: -1 })
+      .slice("actors", 2)
+      .populate("actors", "username")
+      .skip(skip)
+      .limit(limitNumber);
+
+    sendData(res, {
+      pagination: {
+        currentPage: pageNumber,
+        totalPages: Math.ceil(totalNotifications / limitNumber),
+        totalNotifications,
+      },
+      notifications: notifications.map(formatNotification),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/*
+2.	Unread Count - GET /api/notifications/unread-count
+○	Headers: { Authorization: Bearer <token> }
+○	Response: { unreadCount }
+*/
+
+/**
+ * @swagger
+ * /api/notifications/unread-count:
+ *   get:
+ *     summary: Get the unread notification count
+ *     tags: [Notifications]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Number of unread notifications
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         unreadCount:
+ *                           type: integer
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+Notification_Router.get("/unread-count", authenticator, async (req, res, next) => {
+  try {
+    const unreadCount = await Notification_Model.countDocuments({
+      recipient: req.user.id,
+      read: false,
+    });
+    sendData(res, { unreadCount });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/*
+3.	Mark Notifications as Read - POST /api/notifications/read
+○	Headers: { Authorization: Bearer <token> }
+○	Request Body: { notificationIds (optional, all notifications when omitted) }
+○	Response: { updated }
+*/
+
+/**
+ * @swagger
+ * /api/notifications/read:
+ *   post:
+ *     summary: Mark notifications as read
+ *     description: Mark the given notifications as read, or all of them when notificationIds is omitted.
+ *     tags: [Notifications]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MarkNotificationsReadBody'
+ *     responses:
+ *       200:
+ *         description: Notifications marked as read
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         updated:
+ *                           type: integer
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+Notification_Router.post("/read", authenticator, validate("markNotificationsRead"), async (req, res, next) => {
+  const { notificationIds } = req.body;
+
+  try {
+    const query = { recipient: req.user.id, read: false };
+    if (notificationIds) query._id = { $in: notificationIds };
+
+    const result = await Notification_Model.updateMany(query, { read: true });
+    sendData(res, { updated: result.modifiedCount });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = { Notification_Router };
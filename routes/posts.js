@@ -1,14 +1,57 @@
 const express = require("express");
-const { authenticator } = require("../middleware/authMiddle");
+const mongoose = require("mongoose");
+const { authenticator, optionalAuthenticator, requireVerifiedEmail } = require("../middleware/authMiddle");
+const { validate } = require("../middleware/validate");
+const { rateLimit } = require("../middleware/rateLimit");
 const { Post_Model } = require("../models/post.model");
+const { emitToPost, emitToStock } = require("../utils/socket");
+const { PostRevision_Model } = require("../models/postRevision.model");
+const { getCommentsPage } = require("../utils/comments");
+const {
+  POST_SORTS,
+  POST_SUMMARY_FIELDS,
+  formatPostSummary,
+  getPostsPage,
+  postListFilter,
+} = require("../utils/posts");
+const { deletePostCascade } = require("../utils/cascade");
+const { bookmarkedPostIds } = require("../utils/bookmarks");
+const { formatReactionCounts, withMyReactions } = require("../utils/reactions");
+const { POLL_MAX_DURATION_MS, isPollClosed, formatPoll, findVotedOption, castVote } = require("../utils/polls");
+const { formatAttachment, claimAttachments, releaseAttachments } = require("../utils/media");
+const { findStock } = require("../utils/stocks");
+const { parseEntities } = require("../utils/entities");
+const { notifyMentions } = require("../utils/notifications");
+const { VISIBLE, fileReport, moderateContent } = require("../utils/moderation");
+const { isModerator } = require("../utils/roles");
+const {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+} = require("../utils/errors");
+const { sendData } = require("../utils/response");
 
 const Post_Router = express.Router();
 
+/*
+Adds what the signed-in user did to each summary: bookmarked and myReactions.
+Anonymous requests get false and an empty list.
+*/
+const withViewerState = async (req, summaries) => {
+  const userId = req.user && req.user.id;
+  const [bookmarked, withReactions] = await Promise.all([
+    bookmarkedPostIds(userId, summaries.map((post) => post.postId)),
+    withMyReactions(userId, summaries, "postId"),
+  ]);
+  return withReactions.map((post) => ({ ...post, bookmarked: bookmarked.has(String(post.postId)) }));
+};
+
 /*
 1.	Create a Stock Post - POST /api/posts
 ○	Headers: { Authorization: Bearer <token> }
-○	Request Body: { stockSymbol, title, description, tags }
-○	Response: { success: true, postId, message: 'Post created successfully' }
+○	Request Body: { stockSymbol, title, description, tags, sentiment, priceTarget, timeHorizon, poll: { options, closesAt }, attachments: [mediaId] }
+○	Response: { postId, message: 'Post created successfully' }
 */
 
 
@@ -17,7 +60,7 @@ const Post_Router = express.Router();
  * /api/posts:
  *   post:
  *     summary: Create a new stock post
- *     description: Create a new post related to a specific stock.
+ *     description: Create a new post related to a specific stock, optionally with a poll of 2-6 options that closes within 30 days and up to 4 images uploaded through POST /api/media/images. The author must have verified their email address.
  *     security:
  *       - BearerAuth: []
  *     tags: [Posts]
@@ -26,64 +69,113 @@ const Post_Router = express.Router();
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - stockSymbol
- *               - title
- *               - description
- *             properties:
- *               stockSymbol:
- *                 type: string
- *                 example: AMZN
- *               title:
- *                 type: string
- *                 example: Is Amazon's Cloud Division Driving Its Growth?
- *               description:
- *                 type: string
- *                 example: Amazon (AMZN) continues to dominate in e-commerce, but its AWS cloud division is quickly becoming a major profit center.
- *               tags:
- *                 type: array
- *                 items:
- *                   type: string
- *                 example: [tag1, tag2]
+ *             $ref: '#/components/schemas/CreatePostBody'
  *     responses:
  *       200:
  *         description: Post created successfully
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 postId:
- *                   type: string
- *                 message:
- *                   type: string
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         postId:
+ *                           type: string
+ *                         message:
+ *                           type: string
+ *       400:
+ *         description: Invalid request body, unknown stock symbol (UNKNOWN_STOCK), a poll closing time in the past or more than 30 days away (INVALID_DATE), or attachments that are not your own unattached uploads (INVALID_ATTACHMENT)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Email address not verified (EMAIL_NOT_VERIFIED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  *       500:
- *         description: Server error
+ *         $ref: '#/components/responses/ServerError'
  */
 
-Post_Router.post("/", authenticator, async (req, res) => {
-  const { stockSymbol, title, description, tags } = req.body;
+Post_Router.post("/", authenticator, requireVerifiedEmail, rateLimit("posts"), validate("createPost"), async (req, res, next) => {
+  const { stockSymbol, title, description, tags, sentiment, priceTarget, timeHorizon, poll, attachments = [] } = req.body;
   try {
+    const closesAt = poll ? new Date(poll.closesAt) : null;
+    if (closesAt && !(closesAt > new Date())) {
+      throw new BadRequestError("poll.closesAt must be a date in the future", "INVALID_DATE");
+    }
+    if (closesAt && closesAt - Date.now() > POLL_MAX_DURATION_MS) {
+      throw new BadRequestError("Polls can stay open for at most 30 days", "INVALID_DATE");
+    }
+
+    // Symbols are normalized ("$aapl " -> "AAPL") and must be in the stock registry
+    const stock = await findStock(stockSymbol);
+    if (!stock) {
+      throw new BadRequestError("Unknown stock symbol", "UNKNOWN_STOCK");
+    }
+
+    const { cashtags, mentions } = await parseEntities(`${title}\n${description}`);
+
+    // Only the author's own uploads that no other post has taken can be attached.
+    // They are claimed for the new post's id before it is saved, so two posts
+    // cannot take the same upload and the cleanup job cannot delete it meanwhile.
+    const postId = new mongoose.Types.ObjectId();
+    const media = await claimAttachments(req.user.id, attachments, postId);
+    const mediaById = new Map(media.map((item) => [String(item._id), item]));
+
     const newPost = new Post_Model({
+      _id: postId,
       user: req.user.id,
-      stockSymbol,
+      stockSymbol: stock.symbol,
       title,
       description,
       tags,
+      cashtags,
+      mentions,
+      sentiment,
+      priceTarget,
+      timeHorizon,
+      poll: poll && { options: poll.options.map((text) => ({ text: text.trim() })), closesAt },
+      attachments: attachments.map((id) => {
+        const { _id, url, thumbnailUrl, contentType, width, height } = mediaById.get(id.toLowerCase());
+        return { media: _id, url, thumbnailUrl, contentType, width, height };
+      }),
     });
-    const post = await newPost.save();
-    res.status(200).send({
-      success: true,
+    let post;
+    try {
+      post = await newPost.save();
+    } catch (error) {
+      await releaseAttachments(postId);
+      throw error;
+    }
+    await notifyMentions({ actorId: req.user.id, mentions, post: post._id });
+
+    // Reaches the room of its own symbol and of every ticker it discusses
+    const payload = {
+      postId: post._id,
+      userId: req.user.id,
+      stockSymbol: post.stockSymbol,
+      title: post.title,
+      createdAt: post.createdAt,
+    };
+    new Set([post.stockSymbol, ...post.cashtags]).forEach((symbol) =>
+      emitToStock(symbol, "post:created", payload)
+    );
+
+    sendData(res, {
       postId: post.id,
       message: "Post created successfully",
     });
   } catch (error) {
-    console.error(error.message);
-    res.status(500).send({ "Server Error": error.message });
+    next(error);
   }
 });
 
@@ -92,141 +184,160 @@ Post_Router.post("/", authenticator, async (req, res) => {
 ○	Query Parameters:
 ■	stockSymbol (optional)
 ■	tags (optional)
-■	sortBy (date or likes, optional)
-○	Response: [ { postId, stockSymbol, title, description, likesCount, createdAt } ]
+■	sortBy (date or reactions, optional, default: date; likes is still accepted for reactions)
+○	Response: { posts: [ { postId, stockSymbol, title, description, reactions: { rocket, bear, bull, insightful, funny }, reactionsCount, myReactions, bookmarksCount, bookmarked, createdAt } ], nextCursor }
+○	bookmarked and myReactions are only filled in when a token is sent
 
 Optional
 1.	Paginated Posts Retrieval - GET /api/posts
 ○	Query Parameters:
-■	page (optional, default: 1)
+■	cursor (optional, nextCursor from the previous page)
 ■	limit (optional, default: 10)
-○	Response: [ { postId, stockSymbol, title, description, likesCount, createdAt } ] with pagination metadata.
+○	page (optional) switches to offset pagination and adds pagination metadata: { currentPage, totalPages, totalPosts }
 */
 /**
  * @swagger
  * /api/posts:
  *   get:
  *     summary: Get all posts
+ *     description: Newest or most reacted to posts first. Page through them by passing nextCursor back as cursor with the same filters and sortBy. Passing page instead uses offset pagination with total counts, which gets slower the deeper the page.
  *     tags: [Posts]
-*     parameters:
- *       - name: stockSymbol
- *         in: query
- *         description: Filter posts by stock symbol
- *         required: false
- *         schema:
- *           type: string
- *       - name: tags
- *         in: query
- *         description: Filter posts by tags
- *         required: false
- *         schema:
- *           type: string
- *       - name: sortBy
- *         in: query
- *         description: Sort posts by date or likes
- *         required: false
- *         schema:
- *           type: string
- *           enum:
- *             - date
- *             - likes
- *       - name: page
- *         in: query
- *         description: Page number for pagination
- *         required: false
- *         schema:
- *           type: integer
- *           example: 1
- *       - name: limit
- *         in: query
- *         description: Number of posts per page
- *         required: false
- *         schema:
- *           type: integer
- *           example: 10
+ *     parameters:
+ *       - $ref: '#/components/parameters/listPosts.stockSymbol'
+ *       - $ref: '#/components/parameters/listPosts.tags'
+ *       - $ref: '#/components/parameters/listPosts.sortBy'
+ *       - $ref: '#/components/parameters/listPosts.cursor'
+ *       - $ref: '#/components/parameters/listPosts.page'
+ *       - $ref: '#/components/parameters/listPosts.limit'
+ *     security:
+ *       - {}
+ *       - BearerAuth: []
  *     responses:
  *       200:
  *         description: List of posts
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 type: object
- *                 properties:
- *                   stockSymbol:
- *                     type: string
- *                   title:
- *                     type: string
- *                   description:
- *                     type: string
- *                   likes:
- *                     type: array
- *                     items:
- *                       type: string
- *                   createdAt:
- *                     type: string
- *                     format: date-time
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         posts:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               postId:
+ *                                 type: string
+ *                               stockSymbol:
+ *                                 type: string
+ *                               title:
+ *                                 type: string
+ *                               description:
+ *                                 type: string
+ *                               sentiment:
+ *                                 type: string
+ *                                 nullable: true
+ *                               reactions:
+ *                                 $ref: '#/components/schemas/ReactionCounts'
+ *                               reactionsCount:
+ *                                 type: integer
+ *                               myReactions:
+ *                                 type: array
+ *                                 items:
+ *                                   type: string
+ *                                 description: Types of your reactions to the post; always empty without a token
+ *                               bookmarksCount:
+ *                                 type: integer
+ *                               bookmarked:
+ *                                 type: boolean
+ *                                 description: Whether you bookmarked the post; always false without a token
+ *                               hasPoll:
+ *                                 type: boolean
+ *                               attachments:
+ *                                 type: array
+ *                                 items:
+ *                                   $ref: '#/components/schemas/Attachment'
+ *                               createdAt:
+ *                                 type: string
+ *                                 format: date-time
+ *                               editedAt:
+ *                                 type: string
+ *                                 format: date-time
+ *                                 nullable: true
+ *                         nextCursor:
+ *                           type: string
+ *                           nullable: true
+ *                         pagination:
+ *                           type: object
+ *                           description: Only with page
+ *                           properties:
+ *                             currentPage:
+ *                               type: integer
+ *                             totalPages:
+ *                               type: integer
+ *                             totalPosts:
+ *                               type: integer
+ *       400:
+ *         description: Invalid query, or a cursor from a different sortBy (INVALID_CURSOR)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       500:
- *         description: Server error
+ *         $ref: '#/components/responses/ServerError'
  */
 
-Post_Router.get("/", async (req, res) => {
-  const { stockSymbol, tags, sortBy, page = 1, limit = 10 } = req.query;
+Post_Router.get("/", optionalAuthenticator, validate("listPosts"), async (req, res, next) => {
+  // limit is a validated integer with a default; page is only set for offset pagination
+  const { stockSymbol, tags, sortBy = "date", cursor, page: pageNumber, limit: limitNumber } = req.query;
 
   try {
-    let query = {};
-    if (stockSymbol) query.stockSymbol = stockSymbol;
-    if (tags) query.tags = { $in: tags.split(",") };
-
-    let sort = {};
-    if (sortBy === "date") sort.createdAt = -1;
-    if (sortBy === "likes") sort.likes = -1;
-
-    // Pagination
-    const pageNumber = parseInt(page);
-    const limitNumber = parseInt(limit);
-    const skip = (pageNumber - 1) * limitNumber;
-
-    const totalPosts = await Post_Model.countDocuments(query);
-
-    // posts with sorting, filtering, and pagination
-    const posts = await Post_Model.find(query)
-      .sort(sort)
-      .select("stockSymbol title description likes createdAt ")
-      .limit(limitNumber)
-      .skip(skip);
-
-    // Pagination metadata
-    const pagination = {
-      currentPage: pageNumber,
-      totalPages: Math.ceil(totalPosts / limitNumber),
-      totalPosts,
-    };
+    const filter = postListFilter({ stockSymbol, tags });
+
+    if (pageNumber) {
+      const [totalPosts, posts] = await Promise.all([
+        Post_Model.countDocuments(filter),
+        Post_Model.find(filter)
+          .sort(POST_SORTS[sortBy])
+          .skip((pageNumber - 1) * limitNumber)
+          .limit(limitNumber)
+          .select(POST_SUMMARY_FIELDS),
+      ]);
+
+      return sendData(res, {
+        pagination: {
+          currentPage: pageNumber,
+          totalPages: Math.ceil(totalPosts / limitNumber),
+          totalPosts,
+        },
+        posts: await withViewerState(req, posts.map(formatPostSummary)),
+        nextCursor: null,
+      });
+    }
 
-     // Format response: include likesCount
-     const formattedPosts = posts.map(post => ({
-        postId: post._id,
-        stockSymbol: post.stockSymbol,
-        title: post.title,
-        description: post.description,
-        likesCount: post.likes.length,  // Adding likes count here
-        createdAt: post.createdAt
-      }));
-
-    res.status(200).send({
-      pagination,
-      posts: formattedPosts,
+    const result = await getPostsPage(filter, { sortBy, cursor, limit: limitNumber });
+    if (!result) {
+      throw new BadRequestError("Cursor does not match sortBy", "INVALID_CURSOR");
+    }
+
+    sendData(res, {
+      posts: await withViewerState(req, result.posts.map(formatPostSummary)),
+      nextCursor: result.nextCursor,
     });
   } catch (error) {
-    console.error(error.message);
-    res.status(500).send({ "Server Error": error.message });
+    next(error);
   }
 });
 
 /*
 3.	Get a Single Stock Post (with comments) - GET /api/posts/:postId
-○	Response: { postId, stockSymbol, title, description, likesCount, comments: [ { commentId, userId, comment, createdAt } ] }
+○	Response: { postId, stockSymbol, title, description, reactions, reactionsCount, myReactions, bookmarksCount, bookmarked, poll, comments: [ { commentId, userId, comment, reactions, reactionsCount, myReactions, createdAt } ] }
+○	poll is null without a poll; its vote counts are only shown once you voted or the poll closed
+○	Only the first page of top-level comments is embedded; use commentsNextCursor with GET /api/posts/:postId/comments for the rest.
 */
 
 
@@ -235,71 +346,150 @@ Post_Router.get("/", async (req, res) => {
  * /api/posts/{postId}:
  *   get:
  *     summary: Get a single stock post
- *     description: Retrieve a single post along with comments.
+ *     description: Retrieve a single post along with the first page of top-level comments. Fetch further pages and replies from GET /api/posts/{postId}/comments.
  *     tags: [Posts]
  *     parameters:
- *       - name: postId
- *         in: path
- *         description: ID of the post to retrieve
- *         required: true
- *         schema:
- *           type: string
+ *       - $ref: '#/components/parameters/getPost.postId'
+ *     security:
+ *       - {}
+ *       - BearerAuth: []
  *     responses:
  *       200:
  *         description: Single post with comments
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 postId:
- *                   type: string
- *                 stockSymbol:
- *                   type: string
- *                 title:
- *                   type: string
- *                 description:
- *                   type: string
- *                 likesCount:
- *                   type: integer
- *                 comments:
- *                   type: array
- *                   items:
- *                     type: object
- *                     properties:
- *                       commentId:
- *                         type: string
- *                       userId:
- *                         type: string
- *                       comment:
- *                         type: string
- *                       createdAt:
- *                         type: string
- *                         format: date-time
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         postId:
+ *                           type: string
+ *                         stockSymbol:
+ *                           type: string
+ *                         title:
+ *                           type: string
+ *                         description:
+ *                           type: string
+ *                         reactions:
+ *                           $ref: '#/components/schemas/ReactionCounts'
+ *                         reactionsCount:
+ *                           type: integer
+ *                         myReactions:
+ *                           type: array
+ *                           items:
+ *                             type: string
+ *                           description: Types of your reactions to the post; always empty without a token
+ *                         bookmarksCount:
+ *                           type: integer
+ *                         bookmarked:
+ *                           type: boolean
+ *                           description: Whether you bookmarked the post; always false without a token
+ *                         poll:
+ *                           allOf:
+ *                             - $ref: '#/components/schemas/Poll'
+ *                           nullable: true
+ *                         attachments:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/Attachment'
+ *                         editedAt:
+ *                           type: string
+ *                           format: date-time
+ *                           nullable: true
+ *                           description: Set when the post has been edited
+ *                         comments:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               commentId:
+ *                                 type: string
+ *                               userId:
+ *                                 type: string
+ *                               username:
+ *                                 type: string
+ *                               comment:
+ *                                 type: string
+ *                               parentCommentId:
+ *                                 type: string
+ *                                 nullable: true
+ *                               depth:
+ *                                 type: integer
+ *                               replyCount:
+ *                                 type: integer
+ *                               reactions:
+ *                                 $ref: '#/components/schemas/ReactionCounts'
+ *                               reactionsCount:
+ *                                 type: integer
+ *                               myReactions:
+ *                                 type: array
+ *                                 items:
+ *                                   type: string
+ *                                 description: Types of your reactions to the comment; always empty without a token
+ *                               createdAt:
+ *                                 type: string
+ *                                 format: date-time
+ *                               editedAt:
+ *                                 type: string
+ *                                 format: date-time
+ *                                 nullable: true
+ *                         commentsCount:
+ *                           type: integer
+ *                         commentsNextCursor:
+ *                           type: string
+ *                           nullable: true
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
  *       404:
  *         description: Post not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       500:
- *         description: Server error
+ *         $ref: '#/components/responses/ServerError'
  */
 
 
-Post_Router.get("/:postId", async (req, res) => {
+Post_Router.get("/:postId", optionalAuthenticator, validate("getPost"), async (req, res, next) => {
   try {
-    const post = await Post_Model.findById(req.params.postId)
-      .populate("user", "username")
-      .populate({
-        path: "comments",
-        populate: { path: "user", select: "username" },
-      });
+    const post = await Post_Model.findOne({ _id: req.params.postId, ...VISIBLE }).populate(
+      "user",
+      "username"
+    );
 
     if (!post) {
-      return res.status(404).send({ msg: "Post not found" });
+      throw new NotFoundError("Post not found", "POST_NOT_FOUND");
     }
 
-    res.status(200).send(post);
+    // Busy threads are paginated instead of populating every comment
+    const userId = req.user && req.user.id;
+    const [{ comments, nextCursor }, [viewer], votedOption] = await Promise.all([
+      getCommentsPage(post._id, { userId }),
+      withViewerState(req, [{ postId: post._id }]),
+      post.poll ? findVotedOption(post._id, userId) : null,
+    ]);
+
+    sendData(res, {
+      ...post.toObject(),
+      postId: post._id,
+      reactions: formatReactionCounts(post),
+      reactionsCount: post.reactionsCount,
+      myReactions: viewer.myReactions,
+      commentsCount: post.commentsCount,
+      bookmarksCount: post.bookmarksCount,
+      bookmarked: viewer.bookmarked,
+      poll: post.poll && formatPoll(post.poll, votedOption),
+      attachments: post.attachments.map(formatAttachment),
+      comments,
+      commentsNextCursor: nextCursor,
+    });
   } catch (error) {
-    console.error(error.message);
-    res.status(500).send({ "Server Error": error.message });
+    next(error);
   }
 });
 
@@ -308,7 +498,7 @@ module.exports = { Post_Router };
 /*
 4.	Delete a Stock Post - DELETE /api/posts/:postId
 ○	Headers: { Authorization: Bearer <token> }
-○	Response: { success: true, message: 'Post deleted successfully' }
+○	Response: { message: 'Post deleted successfully' }
 */
 
 
@@ -317,15 +507,10 @@ module.exports = { Post_Router };
  * /api/posts/{postId}:
  *   delete:
  *     summary: Delete a stock post
- *     description: Delete a specific post.
+ *     description: Delete a specific post along with all of its comments and reactions. Moderators can delete any post; the removal is written to the audit log.
  *     tags: [Posts]
  *     parameters:
- *       - name: postId
- *         in: path
- *         description: ID of the post to delete
- *         required: true
- *         schema:
- *           type: string
+ *       - $ref: '#/components/parameters/deletePost.postId'
  *     security:
  *       - BearerAuth: []
  *     responses:
@@ -334,170 +519,487 @@ module.exports = { Post_Router };
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 message:
- *                   type: string
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         message:
+ *                           type: string
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         description: Only the author or a moderator can delete the post (NOT_POST_AUTHOR)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       404:
  *         description: Post not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       500:
- *         description: Server error
+ *         $ref: '#/components/responses/ServerError'
  */
 
-Post_Router.delete("/:postId", authenticator, async (req, res) => {
+Post_Router.delete("/:postId", authenticator, validate("deletePost"), async (req, res, next) => {
   try {
     const post = await Post_Model.findById(req.params.postId);
     if (!post) {
-      return res.status(404).send({ msg: "Post not found" });
+      throw new NotFoundError("Post not found", "POST_NOT_FOUND");
     }
 
-    // Checking if the logged-in user is the one who created the post
-    if (post.user.toString() !== req.user.id) {
-      return res.status(401).send({ msg: "User not authorized" });
+    // Authors delete their own posts; moderators can remove anyone's
+    const isAuthor = post.user.toString() === req.user.id;
+    if (!isAuthor && !isModerator(req.user)) {
+      throw new ForbiddenError("User not authorized", "NOT_POST_AUTHOR");
     }
 
-    await Post_Model.findByIdAndDelete(req.params.postId);
-    res
-      .status(200)
-      .send({ success: true, message: "Post deleted successfully" });
+    if (isAuthor) {
+      // Removes the post together with its comments and reactions
+      await deletePostCascade(post._id);
+      emitToPost(post._id, "post:deleted", { postId: post._id });
+    } else {
+      await moderateContent({
+        actorId: req.user.id,
+        action: "remove",
+        targetType: "post",
+        target: post,
+      });
+    }
+    sendData(res, { message: "Post deleted successfully" });
   } catch (error) {
-    console.error(error.message);
-    res.status(500).send({ "Server Error": error.message });
+    next(error);
   }
 });
 
 /*
-Like System:
-1.	Like a Post - POST /api/posts/:postId/like
+5.	Edit a Stock Post - PUT /api/posts/:postId
 ○	Headers: { Authorization: Bearer <token> }
-○	Response: { success: true, message: 'Post liked' }
+○	Request Body: { title, description, tags } (any of them)
+○	Response: { message: 'Post updated successfully', editedAt }
 */
 
 /**
- * @swagger
- * /api/posts/{postId}/like:
- *   post:
- *     summary: Like a post
- *     description: Add a like to a post by its ID.
+ * @openapi
+ * /api/posts/{postId}:
+ *   put:
+ *     summary: Edit a stock post
+ *     description: Update the title, description or tags of your own post. The previous version is kept as a revision and the post is marked with editedAt.
  *     tags: [Posts]
  *     parameters:
- *       - in: path
- *         name: postId
- *         required: true
- *         description: Post ID to like
- *         schema:
- *           type: string
+ *       - $ref: '#/components/parameters/updatePost.postId'
  *     security:
  *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdatePostBody'
  *     responses:
  *       200:
- *         description: Post liked
+ *         description: Post updated successfully
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 message:
- *                   type: string
- *       404:
- *         description: Post not found
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         message:
+ *                           type: string
+ *                         editedAt:
+ *                           type: string
+ *                           format: date-time
  *       400:
- *         description: Post already liked
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         description: Only the author can edit the post (NOT_POST_AUTHOR)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Post not found, or hidden by a moderator (POST_NOT_FOUND)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       500:
- *         description: Server error
+ *         $ref: '#/components/responses/ServerError'
  */
 
-Post_Router.post("/:postId/like", authenticator, async (req, res) => {
+Post_Router.put("/:postId", authenticator, validate("updatePost"), async (req, res, next) => {
+  const { title, description, tags } = req.body;
   try {
-    const post = await Post_Model.findById(req.params.postId);
-
+    // Posts a moderator hid stay as they were hidden
+    const post = await Post_Model.findOne({ _id: req.params.postId, ...VISIBLE });
     if (!post) {
-      return res.status(404).send({ msg: "Post not found" });
+      throw new NotFoundError("Post not found", "POST_NOT_FOUND");
     }
 
-    // Checking if the user has already liked the post
-    if (post.likes.includes(req.user.id)) {
-      return res.status(400).send({ msg: "Post already liked" });
+    // Checking if the logged-in user is the one who created the post
+    if (post.user.toString() !== req.user.id) {
+      throw new ForbiddenError("User not authorized", "NOT_POST_AUTHOR");
     }
-    // adding like to the beginning of the likes array
-    post.likes.unshift(req.user.id);
+
+    // The version being replaced, kept once the edit is saved
+    const previous = {
+      post: post._id,
+      editor: req.user.id,
+      title: post.title,
+      description: post.description,
+      tags: [...post.tags],
+      writtenAt: post.editedAt || post.createdAt,
+    };
+
+    if (title !== undefined) post.title = title;
+    if (description !== undefined) post.description = description;
+    if (tags !== undefined) post.tags = tags;
+
+    const previousMentions = [...post.mentions];
+    const { cashtags, mentions } = await parseEntities(`${post.title}\n${post.description}`);
+    post.cashtags = cashtags;
+    post.mentions = mentions;
+    post.editedAt = Date.now();
     await post.save();
+    await PostRevision_Model.create(previous);
+
+    // Only users newly mentioned by the edit are notified
+    await notifyMentions({
+      actorId: req.user.id,
+      mentions,
+      post: post._id,
+      alreadyNotified: previousMentions,
+    });
+    emitToPost(post._id, "post:updated", {
+      postId: post._id,
+      title: post.title,
+      editedAt: post.editedAt,
+    });
+
+    sendData(res, {
+      message: "Post updated successfully",
+      editedAt: post.editedAt,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    res.status(200).send({ success: true, message: "Post liked" });
+/*
+6.	Get Post Revisions - GET /api/posts/:postId/revisions
+○	Response: { postId, revisions: [ { revisionId, title, description, tags, editor: { id, username }, writtenAt, replacedAt } ] }
+*/
+
+/**
+ * @openapi
+ * /api/posts/{postId}/revisions:
+ *   get:
+ *     summary: Get the edit history of a post
+ *     description: Previous versions of a post, newest first. writtenAt is when that version was written and replacedAt when an edit replaced it.
+ *     tags: [Posts]
+ *     parameters:
+ *       - $ref: '#/components/parameters/listRevisions.postId'
+ *     responses:
+ *       200:
+ *         description: Revisions of the post
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         postId:
+ *                           type: string
+ *                         revisions:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               revisionId:
+ *                                 type: string
+ *                               title:
+ *                                 type: string
+ *                               description:
+ *                                 type: string
+ *                               tags:
+ *                                 type: array
+ *                                 items:
+ *                                   type: string
+ *                               editor:
+ *                                 type: object
+ *                                 properties:
+ *                                   id:
+ *                                     type: string
+ *                                   username:
+ *                                     type: string
+ *                               writtenAt:
+ *                                 type: string
+ *                                 format: date-time
+ *                               replacedAt:
+ *                                 type: string
+ *                                 format: date-time
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: Post not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+Post_Router.get("/:postId/revisions", validate("listRevisions"), async (req, res, next) => {
+  try {
+    const post = await Post_Model.findOne({ _id: req.params.postId, ...VISIBLE }).select("_id");
+    if (!post) {
+      throw new NotFoundError("Post not found", "POST_NOT_FOUND");
+    }
+
+    const revisions = await PostRevision_Model.find({ post: post._id })
+      .sort({ createdAt: -1 })
+      .populate("editor", "username");
+
+    sendData(res, {
+      postId: post._id,
+      revisions: revisions.map((revision) => ({
+        revisionId: revision._id,
+        title: revision.title,
+        description: revision.description,
+        tags: revision.tags,
+        editor: revision.editor && {
+          id: revision.editor._id,
+          username: revision.editor.username,
+        },
+        writtenAt: revision.writtenAt,
+        replacedAt: revision.createdAt,
+      })),
+    });
   } catch (error) {
-    console.error(error.message);
-    res.status(500).send({ "Server Error": error.message });
+    next(error);
   }
 });
 
 /*
-2.	Unlike a Post - DELETE /api/posts/:postId/like
+Report a Post - POST /api/posts/:postId/report
 ○	Headers: { Authorization: Bearer <token> }
-○	Response: { success: true, message: 'Post unliked' }
+○	Request Body: { reason, details }
+○	Response: { reportId, message: 'Report submitted' }
 */
 
 /**
  * @openapi
- * /api/posts/{postId}/like:
- *   delete:
- *     summary: Unlike a post
- *     description: Remove a like from a post by its ID.
+ * /api/posts/{postId}/report:
+ *   post:
+ *     summary: Report a post
+ *     description: Flag a post for the moderators. Each user can report a post once.
  *     tags: [Posts]
  *     parameters:
- *       - name: postId
- *         in: path
- *         description: ID of the post to unlike
- *         required: true
- *         schema:
- *           type: string
+ *       - $ref: '#/components/parameters/reportPost.postId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReportPostBody'
  *     security:
  *       - BearerAuth: []
  *     responses:
  *       200:
- *         description: Post unliked
+ *         description: Report submitted
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 message:
- *                   type: string
- *                   example: "Post unliked"
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         reportId:
+ *                           type: string
+ *                         message:
+ *                           type: string
+ *                           example: "Report submitted"
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
  *       404:
  *         description: Post not found
- *       400:
- *         description: Post has not yet been liked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Post already reported by this user (ALREADY_REPORTED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  *       500:
- *         description: Server error
+ *         $ref: '#/components/responses/ServerError'
  */
-Post_Router.delete("/:postId/like", authenticator, async (req, res) => {
+Post_Router.post("/:postId/report", authenticator, rateLimit("reports"), validate("reportPost"), async (req, res, next) => {
+  const { reason, details } = req.body;
   try {
-    const post = await Post_Model.findById(req.params.postId);
-
+    const post = await Post_Model.findOne({ _id: req.params.postId, ...VISIBLE }).select("_id");
     if (!post) {
-      return res.status(404).send({ msg: "Post not found" });
+      throw new NotFoundError("Post not found", "POST_NOT_FOUND");
     }
 
-    if (!post.likes.includes(req.user.id)) {
-      return res.status(400).send({ msg: "Post has not yet been liked" });
+    const report = await fileReport({
+      reporterId: req.user.id,
+      targetType: "post",
+      postId: post._id,
+      reason,
+      details,
+    });
+    if (!report) {
+      throw new ConflictError("You have already reported this post", "ALREADY_REPORTED");
     }
 
-    post.likes = post.likes.filter((like) => like.toString() !== req.user.id);
-    await post.save();
-
-    res.status(200).send({ success: true, message: "Post unliked" });
+    sendData(res, { reportId: report._id, message: "Report submitted" });
   } catch (error) {
-    console.error(error.message);
-    res.status(500).send({ "Server Error": error.message });
+    next(error);
   }
 });
 
+/*
+Vote in a Poll - POST /api/posts/:postId/poll/vote
+○	Headers: { Authorization: Bearer <token> }
+○	Request Body: { option } (index of the chosen option)
+○	Response: { message: 'Vote recorded', poll }
+○	Voting again moves the vote; closed polls are read-only
+*/
+
+/**
+ * @openapi
+ * /api/posts/{postId}/poll/vote:
+ *   post:
+ *     summary: Vote in a post's poll
+ *     description: Each user has one vote per poll and can change it until the poll closes. The response carries the results, which stay hidden from a user until they vote or the poll closes.
+ *     tags: [Posts]
+ *     parameters:
+ *       - $ref: '#/components/parameters/votePoll.postId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VotePollBody'
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Vote recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         message:
+ *                           type: string
+ *                         poll:
+ *                           $ref: '#/components/schemas/Poll'
+ *       400:
+ *         description: Invalid request, or an option the poll does not have (INVALID_POLL_OPTION)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Post not found, or it has no poll (POST_NOT_FOUND, POLL_NOT_FOUND)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: The poll has closed (POLL_CLOSED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ *
+ * components:
+ *   schemas:
+ *     Poll:
+ *       type: object
+ *       properties:
+ *         options:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               option:
+ *                 type: integer
+ *                 description: Index to vote with
+ *               text:
+ *                 type: string
+ *               votesCount:
+ *                 type: integer
+ *                 description: Only when resultsVisible
+ *         closesAt:
+ *           type: string
+ *           format: date-time
+ *         closed:
+ *           type: boolean
+ *         votesCount:
+ *           type: integer
+ *           description: Total number of votes
+ *         votedOption:
+ *           type: integer
+ *           nullable: true
+ *           description: The option you voted for
+ *         resultsVisible:
+ *           type: boolean
+ *           description: True once you voted or the poll closed
+ */
+Post_Router.post("/:postId/poll/vote", authenticator, rateLimit("votes"), validate("votePoll"), async (req, res, next) => {
+  const { option } = req.body;
+  try {
+    const post = await Post_Model.findOne({ _id: req.params.postId, ...VISIBLE }).select("poll");
+    if (!post) {
+      throw new NotFoundError("Post not found", "POST_NOT_FOUND");
+    }
+    if (!post.poll) {
+      throw new NotFoundError("This post has no poll", "POLL_NOT_FOUND");
+    }
+    if (isPollClosed(post.poll)) {
+      throw new ConflictError("This poll has closed", "POLL_CLOSED");
+    }
+    if (option >= post.poll.options.length) {
+      throw new BadRequestError("This poll has no such option", "INVALID_POLL_OPTION");
+    }
 
+    const poll = await castVote(post._id, req.user.id, option);
+    sendData(res, { message: "Vote recorded", poll: formatPoll(poll, option) });
+  } catch (error) {
+    next(error);
+  }
+});
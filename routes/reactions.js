@@ -0,0 +1,633 @@
+const express = require("express");
+const { authenticator } = require("../middleware/authMiddle");
+const { validate } = require("../middleware/validate");
+const { rateLimit } = require("../middleware/rateLimit");
+const { Post_Model } = require("../models/post.model");
+const { Comment_Model } = require("../models/comment.model");
+const {
+  LIKE_REACTION,
+  REACTION_FIELDS,
+  formatReactionCounts,
+  addReaction,
+  removeReaction,
+  hasReacted,
+  getReactionsPage,
+} = require("../utils/reactions");
+const { notifyReaction, retractReaction } = require("../utils/notifications");
+const { emitToPost } = require("../utils/socket");
+const { VISIBLE } = require("../utils/moderation");
+const { ConflictError, NotFoundError } = require("../utils/errors");
+const { sendData } = require("../utils/response");
+
+const Reaction_Router = express.Router();
+
+const findPost = async (postId) => {
+  const post = await Post_Model.findOne({ _id: postId, ...VISIBLE }).select(`user ${REACTION_FIELDS}`);
+  if (!post) throw new NotFoundError("Post not found", "POST_NOT_FOUND");
+  return post;
+};
+
+const findComment = async (postId, commentId) => {
+  const comment = await Comment_Model.findOne({ _id: commentId, ...VISIBLE }).select(`user post ${REACTION_FIELDS}`);
+  if (!comment || comment.post.toString() !== postId) {
+    throw new NotFoundError("Comment not found", "COMMENT_NOT_FOUND");
+  }
+  return comment;
+};
+
+/*
+Adds or removes one reaction, then tells the post room and the author. Returns
+the new counts, or null when the reaction was already there (adding) or
+missing (removing). Throws when the target was deleted while adding.
+*/
+const changeReaction = async ({ add, userId, targetType, target, type }) => {
+  const updated = await (add ? addReaction : removeReaction)(userId, targetType, target, type);
+  if (updated === false) {
+    throw targetType === "Post"
+      ? new NotFoundError("Post not found", "POST_NOT_FOUND")
+      : new NotFoundError("Comment not found", "COMMENT_NOT_FOUND");
+  }
+  if (!updated) return null;
+
+  const postId = targetType === "Post" ? updated._id : updated.post;
+  const commentId = targetType === "Comment" ? updated._id : null;
+  const counts = { reactions: formatReactionCounts(updated), reactionsCount: updated.reactionsCount };
+
+  const event = `${targetType === "Post" ? "post" : "comment"}:${add ? "reacted" : "unreacted"}`;
+  emitToPost(postId, event, { postId, ...(commentId && { commentId }), userId, type, ...counts });
+
+  const notification = { actorId: userId, target: updated, postId, commentId };
+  if (add) await notifyReaction(notification);
+  else if (!(await hasReacted(userId, updated._id))) await retractReaction(notification);
+
+  return counts;
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ReactionCounts:
+ *       type: object
+ *       description: Number of reactions of each type
+ *       properties:
+ *         rocket:
+ *           type: integer
+ *         bear:
+ *           type: integer
+ *         bull:
+ *           type: integer
+ *         insightful:
+ *           type: integer
+ *         funny:
+ *           type: integer
+ *     ReactionChange:
+ *       type: object
+ *       properties:
+ *         message:
+ *           type: string
+ *         type:
+ *           type: string
+ *         reactions:
+ *           $ref: '#/components/schemas/ReactionCounts'
+ *         reactionsCount:
+ *           type: integer
+ *     ReactionList:
+ *       type: object
+ *       properties:
+ *         reactions:
+ *           $ref: '#/components/schemas/ReactionCounts'
+ *         reactionsCount:
+ *           type: integer
+ *         users:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               reactionId:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *               userId:
+ *                 type: string
+ *               username:
+ *                 type: string
+ *               profileThumbnail:
+ *                 type: string
+ *               createdAt:
+ *                 type: string
+ *                 format: date-time
+ *         nextCursor:
+ *           type: string
+ *           nullable: true
+ */
+
+/*
+1.	React to a Post - POST /api/posts/:postId/reactions/:type
+○	Headers: { Authorization: Bearer <token> }
+○	type: rocket, bear, bull, insightful or funny; a user can leave several types, each once
+○	Response: { message: 'Reaction added', type, reactions: { rocket, bear, bull, insightful, funny }, reactionsCount }
+*/
+
+/**
+ * @swagger
+ * /api/posts/{postId}/reactions/{type}:
+ *   post:
+ *     summary: React to a post
+ *     description: Add a reaction of the given type. You can leave several types on the same post, each once.
+ *     tags: [Reactions]
+ *     parameters:
+ *       - $ref: '#/components/parameters/reactPost.postId'
+ *       - $ref: '#/components/parameters/reactPost.type'
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Reaction added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/ReactionChange'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: Post not found (POST_NOT_FOUND)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: You already left this reaction (ALREADY_REACTED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+Reaction_Router.post("/:postId/reactions/:type", authenticator, rateLimit("reactions"), validate("reactPost"), async (req, res, next) => {
+  const { type } = req.params;
+  try {
+    const post = await findPost(req.params.postId);
+    const counts = await changeReaction({ add: true, userId: req.user.id, targetType: "Post", target: post, type });
+    if (!counts) throw new ConflictError(`You already reacted to this post with ${type}`, "ALREADY_REACTED");
+
+    sendData(res, { message: "Reaction added", type, ...counts });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/*
+2.	Remove a Post Reaction - DELETE /api/posts/:postId/reactions/:type
+○	Headers: { Authorization: Bearer <token> }
+○	Response: { message: 'Reaction removed', type, reactions, reactionsCount }
+*/
+
+/**
+ * @swagger
+ * /api/posts/{postId}/reactions/{type}:
+ *   delete:
+ *     summary: Remove a reaction from a post
+ *     description: Take back your reaction of the given type.
+ *     tags: [Reactions]
+ *     parameters:
+ *       - $ref: '#/components/parameters/unreactPost.postId'
+ *       - $ref: '#/components/parameters/unreactPost.type'
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Reaction removed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/ReactionChange'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: Post not found (POST_NOT_FOUND)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: You have not left this reaction (NOT_REACTED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+Reaction_Router.delete("/:postId/reactions/:type", authenticator, rateLimit("reactions"), validate("unreactPost"), async (req, res, next) => {
+  const { type } = req.params;
+  try {
+    const post = await findPost(req.params.postId);
+    const counts = await changeReaction({ add: false, userId: req.user.id, targetType: "Post", target: post, type });
+    if (!counts) throw new ConflictError(`You have not reacted to this post with ${type}`, "NOT_REACTED");
+
+    sendData(res, { message: "Reaction removed", type, ...counts });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/*
+3.	List Post Reactions - GET /api/posts/:postId/reactions
+○	Query Parameters: type (optional), cursor (optional), limit (optional, default: 20)
+○	Response: { reactions: { rocket, ... }, reactionsCount, users: [ { reactionId, type, userId, username, profileThumbnail, createdAt } ], nextCursor }
+*/
+
+/**
+ * @swagger
+ * /api/posts/{postId}/reactions:
+ *   get:
+ *     summary: Who reacted to a post
+ *     description: The post's reaction counts and a page of the users who reacted, newest first, optionally of one type only.
+ *     tags: [Reactions]
+ *     parameters:
+ *       - $ref: '#/components/parameters/listPostReactions.postId'
+ *       - $ref: '#/components/parameters/listPostReactions.type'
+ *       - $ref: '#/components/parameters/listPostReactions.cursor'
+ *       - $ref: '#/components/parameters/listPostReactions.limit'
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Reactions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/ReactionList'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: Post not found (POST_NOT_FOUND)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+Reaction_Router.get("/:postId/reactions", validate("listPostReactions"), async (req, res, next) => {
+  try {
+    const post = await findPost(req.params.postId);
+    const page = await getReactionsPage(post._id, req.query);
+
+    sendData(res, {
+      reactions: formatReactionCounts(post),
+      reactionsCount: post.reactionsCount,
+      users: page.reactions,
+      nextCursor: page.nextCursor,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/*
+4.	React to a Comment - POST /api/posts/:postId/comments/:commentId/reactions/:type
+○	Headers: { Authorization: Bearer <token> }
+○	Response: { message: 'Reaction added', type, reactions, reactionsCount }
+*/
+
+/**
+ * @swagger
+ * /api/posts/{postId}/comments/{commentId}/reactions/{type}:
+ *   post:
+ *     summary: React to a comment
+ *     description: Add a reaction of the given type. You can leave several types on the same comment, each once.
+ *     tags: [Reactions]
+ *     parameters:
+ *       - $ref: '#/components/parameters/reactComment.postId'
+ *       - $ref: '#/components/parameters/reactComment.commentId'
+ *       - $ref: '#/components/parameters/reactComment.type'
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Reaction added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/ReactionChange'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: Comment not found (COMMENT_NOT_FOUND)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: You already left this reaction (ALREADY_REACTED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+Reaction_Router.post("/:postId/comments/:commentId/reactions/:type", authenticator, rateLimit("reactions"), validate("reactComment"), async (req, res, next) => {
+  const { type } = req.params;
+  try {
+    const comment = await findComment(req.params.postId, req.params.commentId);
+    const counts = await changeReaction({ add: true, userId: req.user.id, targetType: "Comment", target: comment, type });
+    if (!counts) throw new ConflictError(`You already reacted to this comment with ${type}`, "ALREADY_REACTED");
+
+    sendData(res, { message: "Reaction added", type, ...counts });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/*
+5.	Remove a Comment Reaction - DELETE /api/posts/:postId/comments/:commentId/reactions/:type
+○	Headers: { Authorization: Bearer <token> }
+○	Response: { message: 'Reaction removed', type, reactions, reactionsCount }
+*/
+
+/**
+ * @swagger
+ * /api/posts/{postId}/comments/{commentId}/reactions/{type}:
+ *   delete:
+ *     summary: Remove a reaction from a comment
+ *     description: Take back your reaction of the given type.
+ *     tags: [Reactions]
+ *     parameters:
+ *       - $ref: '#/components/parameters/unreactComment.postId'
+ *       - $ref: '#/components/parameters/unreactComment.commentId'
+ *       - $ref: '#/components/parameters/unreactComment.type'
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Reaction removed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/ReactionChange'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: Comment not found (COMMENT_NOT_FOUND)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: You have not left this reaction (NOT_REACTED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+Reaction_Router.delete("/:postId/comments/:commentId/reactions/:type", authenticator, rateLimit("reactions"), validate("unreactComment"), async (req, res, next) => {
+  const { type } = req.params;
+  try {
+    const comment = await findComment(req.params.postId, req.params.commentId);
+    const counts = await changeReaction({ add: false, userId: req.user.id, targetType: "Comment", target: comment, type });
+    if (!counts) throw new ConflictError(`You have not reacted to this comment with ${type}`, "NOT_REACTED");
+
+    sendData(res, { message: "Reaction removed", type, ...counts });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/*
+6.	List Comment Reactions - GET /api/posts/:postId/comments/:commentId/reactions
+○	Query Parameters: type (optional), cursor (optional), limit (optional, default: 20)
+○	Response: { reactions, reactionsCount, users: [ { reactionId, type, userId, username, profileThumbnail, createdAt } ], nextCursor }
+*/
+
+/**
+ * @swagger
+ * /api/posts/{postId}/comments/{commentId}/reactions:
+ *   get:
+ *     summary: Who reacted to a comment
+ *     description: The comment's reaction counts and a page of the users who reacted, newest first, optionally of one type only.
+ *     tags: [Reactions]
+ *     parameters:
+ *       - $ref: '#/components/parameters/listCommentReactions.postId'
+ *       - $ref: '#/components/parameters/listCommentReactions.commentId'
+ *       - $ref: '#/components/parameters/listCommentReactions.type'
+ *       - $ref: '#/components/parameters/listCommentReactions.cursor'
+ *       - $ref: '#/components/parameters/listCommentReactions.limit'
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Reactions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/ReactionList'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: Comment not found (COMMENT_NOT_FOUND)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+Reaction_Router.get("/:postId/comments/:commentId/reactions", validate("listCommentReactions"), async (req, res, next) => {
+  try {
+    const comment = await findComment(req.params.postId, req.params.commentId);
+    const page = await getReactionsPage(comment._id, req.query);
+
+    sendData(res, {
+      reactions: formatReactionCounts(comment),
+      reactionsCount: comment.reactionsCount,
+      users: page.reactions,
+      nextCursor: page.nextCursor,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/*
+Like System (deprecated, kept for older clients):
+1.	Like a Post - POST /api/posts/:postId/like
+○	Headers: { Authorization: Bearer <token> }
+○	Adds the rocket reaction
+○	Response: { message: 'Post liked' }
+*/
+
+/**
+ * @swagger
+ * /api/posts/{postId}/like:
+ *   post:
+ *     summary: Like a post
+ *     description: Deprecated; same as POST /api/posts/{postId}/reactions/rocket, which existing likes were migrated to.
+ *     deprecated: true
+ *     tags: [Reactions]
+ *     parameters:
+ *       - $ref: '#/components/parameters/likePost.postId'
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Post liked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         message:
+ *                           type: string
+ *       404:
+ *         description: Post not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       409:
+ *         description: Post already liked (ALREADY_LIKED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+Reaction_Router.post("/:postId/like", authenticator, rateLimit("reactions"), validate("likePost"), async (req, res, next) => {
+  try {
+    const post = await findPost(req.params.postId);
+    const counts = await changeReaction({ add: true, userId: req.user.id, targetType: "Post", target: post, type: LIKE_REACTION });
+    if (!counts) throw new ConflictError("Post already liked", "ALREADY_LIKED");
+
+    sendData(res, { message: "Post liked" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/*
+2.	Unlike a Post - DELETE /api/posts/:postId/like
+○	Headers: { Authorization: Bearer <token> }
+○	Removes the rocket reaction
+○	Response: { message: 'Post unliked' }
+*/
+
+/**
+ * @openapi
+ * /api/posts/{postId}/like:
+ *   delete:
+ *     summary: Unlike a post
+ *     description: Deprecated; same as DELETE /api/posts/{postId}/reactions/rocket.
+ *     deprecated: true
+ *     tags: [Reactions]
+ *     parameters:
+ *       - $ref: '#/components/parameters/unlikePost.postId'
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Post unliked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         message:
+ *                           type: string
+ *                           example: "Post unliked"
+ *       404:
+ *         description: Post not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       409:
+ *         description: Post has not yet been liked (NOT_LIKED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+Reaction_Router.delete("/:postId/like", authenticator, rateLimit("reactions"), validate("unlikePost"), async (req, res, next) => {
+  try {
+    const post = await findPost(req.params.postId);
+    const counts = await changeReaction({ add: false, userId: req.user.id, targetType: "Post", target: post, type: LIKE_REACTION });
+    if (!counts) throw new ConflictError("Post has not yet been liked", "NOT_LIKED");
+
+    sendData(res, { message: "Post unliked" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = { Reaction_Router };
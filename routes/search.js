@@ -0,0 +1,262 @@
+const express = require("express");
+const { validate } = require("../middleware/validate");
+const { Post_Model } = require("../models/post.model");
+const { Comment_Model } = require("../models/comment.model");
+const { User_Model } = require("../models/user.model");
+const { normalizeSymbol, escapeRegex } = require("../utils/stocks");
+const { searchTerms, highlight, snippet } = require("../utils/search");
+const { BadRequestError } = require("../utils/errors");
+const { sendData } = require("../utils/response");
+const { VISIBLE } = require("../utils/moderation");
+
+const Search_Router = express.Router();
+
+/*
+Post-level filters shared by post hits and by the posts that comment hits
+belong to. Returns null when the author filter names a user that does not exist.
+*/
+const buildPostFilter = async ({ stockSymbol, tag, author, from, to }) => {
+  const filter = {};
+  if (stockSymbol) {
+    const symbol = normalizeSymbol(stockSymbol);
+    filter.$or = [{ stockSymbol: symbol }, { cashtags: symbol }];
+  }
+  if (tag) filter.tags = tag;
+  if (author) {
+    const user = await User_Model.findOne({ username: author }).select("_id");
+    if (!user) return null;
+    filter.user = user._id;
+  }
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+  }
+  return filter;
+};
+
+const prefixed = (filter, prefix) =>
+  Object.fromEntries(
+    Object.entries(filter).map(([key, value]) =>
+      key === "$or"
+        ? [key, value.map((clause) => prefixed(clause, prefix))]
+        : [`${prefix}${key}`, value]
+    )
+  );
+
+const searchPosts = async (q, terms, postFilter, limit) => {
+  const posts = await Post_Model.find(
+    { $text: { $search: q }, ...postFilter, ...VISIBLE },
+    { score: { $meta: "textScore" } }
+  )
+    .sort({ score: { $meta: "textScore" } })
+    .limit(limit)
+    .select("user stockSymbol title description tags reactionsCount createdAt")
+    .populate("user", "username");
+
+  return posts.map((post) => ({
+    postId: post._id,
+    stockSymbol: post.stockSymbol,
+    title: highlight(post.title, terms),
+    snippet: snippet(post.description, terms),
+    tags: post.tags,
+    username: post.user && post.user.username,
+    reactionsCount: post.reactionsCount,
+    score: post.get("score"),
+    createdAt: post.createdAt,
+  }));
+};
+
+// Comment hits are filtered by the post they belong to; the comment's own
+// author and date are what author/from/to apply to
+const searchComments = async (q, terms, filters, limit) => {
+  const { author, from, to, ...postOnly } = filters;
+  const postFilter = await buildPostFilter(postOnly);
+  const ownFilter = await buildPostFilter({ author, from, to });
+  if (!postFilter || !ownFilter) return [];
+
+  const comments = await Comment_Model.aggregate([
+    { $match: { $text: { $search: q }, ...ownFilter, ...VISIBLE } },
+    { $addFields: { score: { $meta: "textScore" } } },
+    { $sort: { score: -1 } },
+    { $lookup: { from: "posts", localField: "post", foreignField: "_id", as: "post" } },
+    { $unwind: "$post" },
+    { $match: prefixed({ ...postFilter, ...VISIBLE }, "post.") },
+    { $limit: limit },
+    { $lookup: { from: "users", localField: "user", foreignField: "_id", as: "user" } },
+    { $unwind: { path: "$user", preserveNullAndEmptyArrays: true } },
+  ]);
+
+  return comments.map((comment) => ({
+    commentId: comment._id,
+    postId: comment.post._id,
+    postTitle: comment.post.title,
+    stockSymbol: comment.post.stockSymbol,
+    snippet: snippet(comment.content, terms),
+    username: comment.user && comment.user.username,
+    score: comment.score,
+    createdAt: comment.createdAt,
+  }));
+};
+
+const searchUsers = async (terms, limit) => {
+  if (!terms.length) return [];
+  const users = await User_Model.find({
+    deletedAt: null,
+    $or: terms.map((term) => ({
+      username: { $regex: `^${escapeRegex(term)}`, $options: "i" },
+    })),
+  })
+    .limit(limit)
+    .select("username bio profilePicture");
+
+  return users.map((user) => ({
+    id: user._id,
+    username: highlight(user.username, terms),
+    bio: user.bio,
+    profilePicture: user.profilePicture,
+  }));
+};
+
+/*
+1.	Search - GET /api/search
+○	Query Parameters:
+■	q (required, words or "quoted phrases"; prefix a word with - to exclude it)
+■	type (optional, posts, comments or users; all groups when omitted)
+■	stockSymbol, tag, author (username), from, to (ISO dates) (optional filters)
+■	limit (optional, results per group, default: 10, max: 50)
+○	Response: { query, posts: [...], comments: [...], users: [...] }
+*/
+
+/**
+ * @swagger
+ * /api/search:
+ *   get:
+ *     summary: Search posts, comments and users
+ *     description: Full-text search over post titles and descriptions and comment content, ranked by relevance, plus username prefix matches. Matched words are wrapped in <mark> tags.
+ *     tags: [Search]
+ *     parameters:
+ *       - $ref: '#/components/parameters/search.q'
+ *       - $ref: '#/components/parameters/search.type'
+ *       - $ref: '#/components/parameters/search.stockSymbol'
+ *       - $ref: '#/components/parameters/search.tag'
+ *       - $ref: '#/components/parameters/search.author'
+ *       - $ref: '#/components/parameters/search.from'
+ *       - $ref: '#/components/parameters/search.to'
+ *       - $ref: '#/components/parameters/search.limit'
+ *     responses:
+ *       200:
+ *         description: Results grouped by type
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         query:
+ *                           type: string
+ *                         posts:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               postId:
+ *                                 type: string
+ *                               stockSymbol:
+ *                                 type: string
+ *                               title:
+ *                                 type: string
+ *                               snippet:
+ *                                 type: string
+ *                               tags:
+ *                                 type: array
+ *                                 items:
+ *                                   type: string
+ *                               username:
+ *                                 type: string
+ *                               reactionsCount:
+ *                                 type: integer
+ *                               score:
+ *                                 type: number
+ *                               createdAt:
+ *                                 type: string
+ *                                 format: date-time
+ *                         comments:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               commentId:
+ *                                 type: string
+ *                               postId:
+ *                                 type: string
+ *                               postTitle:
+ *                                 type: string
+ *                               stockSymbol:
+ *                                 type: string
+ *                               snippet:
+ *                                 type: string
+ *                               username:
+ *                                 type: string
+ *                               score:
+ *                                 type: number
+ *                               createdAt:
+ *                                 type: string
+ *                                 format: date-time
+ *                         users:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               id:
+ *                                 type: string
+ *                               username:
+ *                                 type: string
+ *                               bio:
+ *                                 type: string
+ *                               profilePicture:
+ *                                 type: string
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+Search_Router.get("/", validate("search"), async (req, res, next) => {
+  const { q, type, stockSymbol, tag, author, from, to, limit } = req.query;
+  const query = q.trim();
+
+  try {
+    // The schema only checks the shape; "2024-13-01" still has to parse
+    if ([from, to].some((date) => date && isNaN(new Date(date)))) {
+      throw new BadRequestError("Invalid date", "INVALID_DATE");
+    }
+
+    const terms = searchTerms(query);
+    const filters = { stockSymbol, tag, author, from, to };
+    const wants = (group) => !type || type === group;
+
+    const postFilter = await buildPostFilter(filters);
+    const posts = wants("posts") && postFilter
+      ? await searchPosts(query, terms, postFilter, limit)
+      : [];
+    const comments = wants("comments")
+      ? await searchComments(query, terms, filters, limit)
+      : [];
+    // Users have no symbol, tag, author or date, so those filters exclude them
+    const postOnly = stockSymbol || tag || author || from || to;
+    const users = wants("users") && !postOnly
+      ? await searchUsers(terms, limit)
+      : [];
+
+    sendData(res, { query, posts, comments, users });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = { Search_Router };
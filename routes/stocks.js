@@ -0,0 +1,407 @@
+const express = require("express");
+const { authenticator } = require("../middleware/authMiddle");
+const { validate } = require("../middleware/validate");
+const { Stock_Model } = require("../models/stock.model");
+const { User_Model } = require("../models/user.model");
+const { Post_Model } = require("../models/post.model");
+const { normalizeSymbol, symbolQuery, escapeRegex } = require("../utils/stocks");
+const { sentimentBreakdown } = require("../utils/sentiment");
+const { NotFoundError } = require("../utils/errors");
+const { sendData } = require("../utils/response");
+const { VISIBLE } = require("../utils/moderation");
+
+const Stock_Router = express.Router();
+
+/*
+1.	Search Stocks (autocomplete) - GET /api/stocks
+○	Query Parameters:
+■	q (optional, prefix of a symbol or company name)
+■	limit (optional, default: 10, max: 50)
+○	Response: [ { symbol, name, exchange, sector } ]
+*/
+
+/**
+ * @swagger
+ * /api/stocks:
+ *   get:
+ *     summary: Search stocks
+ *     description: Prefix search over stock symbols and company names, for autocomplete. Symbol matches come first.
+ *     tags: [Stocks]
+ *     parameters:
+ *       - $ref: '#/components/parameters/searchStocks.q'
+ *       - $ref: '#/components/parameters/searchStocks.limit'
+ *     responses:
+ *       200:
+ *         description: Matching stocks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           symbol:
+ *                             type: string
+ *                           name:
+ *                             type: string
+ *                           exchange:
+ *                             type: string
+ *                           sector:
+ *                             type: string
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+Stock_Router.get("/", validate("searchStocks"), async (req, res, next) => {
+  const { q = "", limit } = req.query;
+
+  try {
+    const fields = "-_id symbol name exchange sector";
+    const symbolPrefix = normalizeSymbol(q);
+
+    // Symbol prefix matches rank above company name matches
+    const bySymbol = await Stock_Model.find({
+      symbol: { $regex: `^${escapeRegex(symbolPrefix)}` },
+    })
+      .sort({ symbol: 1 })
+      .limit(limit)
+      .select(fields);
+
+    let byName = [];
+    if (q.trim() && bySymbol.length < limit) {
+      byName = await Stock_Model.find({
+        name: { $regex: `^${escapeRegex(q.trim())}`, $options: "i" },
+        symbol: { $nin: bySymbol.map((stock) => stock.symbol) },
+      })
+        .sort({ name: 1 })
+        .limit(limit - bySymbol.length)
+        .select(fields);
+    }
+
+    sendData(res, [...bySymbol, ...byName]);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/*
+2.	Get a Stock Page - GET /api/stocks/:symbol
+○	Response: { symbol, name, exchange, sector, postCount, latestPosts: [ { postId, title, reactionsCount, createdAt } ], topTags: [ { tag, count } ] }
+*/
+
+/**
+ * @swagger
+ * /api/stocks/{symbol}:
+ *   get:
+ *     summary: Get a stock page
+ *     description: Stock details with its post count, latest posts and most used tags.
+ *     tags: [Stocks]
+ *     parameters:
+ *       - $ref: '#/components/parameters/getStock.symbol'
+ *     responses:
+ *       200:
+ *         description: Stock page
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         symbol:
+ *                           type: string
+ *                         name:
+ *                           type: string
+ *                         exchange:
+ *                           type: string
+ *                         sector:
+ *                           type: string
+ *                         postCount:
+ *                           type: integer
+ *                         latestPosts:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               postId:
+ *                                 type: string
+ *                               title:
+ *                                 type: string
+ *                               reactionsCount:
+ *                                 type: integer
+ *                               createdAt:
+ *                                 type: string
+ *                                 format: date-time
+ *                         topTags:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               tag:
+ *                                 type: string
+ *                               count:
+ *                                 type: integer
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: Stock not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+Stock_Router.get("/:symbol", validate("getStock"), async (req, res, next) => {
+  const symbol = normalizeSymbol(req.params.symbol);
+
+  try {
+    const stock = await Stock_Model.findOne({ symbol });
+    if (!stock) {
+      throw new NotFoundError("Stock not found", "STOCK_NOT_FOUND");
+    }
+
+    // Includes posts on other symbols that mention this one as a cashtag
+    const postQuery = { ...symbolQuery(symbol), ...VISIBLE };
+    const postCount = await Post_Model.countDocuments(postQuery);
+
+    const latestPosts = await Post_Model.find(postQuery)
+      .sort({ createdAt: -1 })
+      .limit(5)
+      .select("title reactionsCount createdAt");
+
+    const topTags = await Post_Model.aggregate([
+      { $match: postQuery },
+      { $unwind: "$tags" },
+      { $group: { _id: "$tags", count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: 10 },
+    ]);
+
+    sendData(res, {
+      symbol: stock.symbol,
+      name: stock.name,
+      exchange: stock.exchange,
+      sector: stock.sector,
+      postCount,
+      latestPosts: latestPosts.map((post) => ({
+        postId: post._id,
+        title: post.title,
+        reactionsCount: post.reactionsCount,
+        createdAt: post.createdAt,
+      })),
+      topTags: topTags.map((tag) => ({ tag: tag._id, count: tag.count })),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/*
+3.	Stock Sentiment - GET /api/stocks/:symbol/sentiment
+○	Response: { symbol, windows: { 24h, 7d, 30d: { bullish, bearish, neutral, total, bullishRatio, bearishRatio, avgPriceTarget: { bullish, bearish, neutral } } } }
+*/
+
+/**
+ * @swagger
+ * /api/stocks/{symbol}/sentiment:
+ *   get:
+ *     summary: Get sentiment for a stock
+ *     description: Bullish, bearish and neutral post counts over rolling 24h, 7d and 30d windows. Ratios compare bullish and bearish posts only. Only posts filed under the symbol count, not cashtag mentions.
+ *     tags: [Stocks]
+ *     parameters:
+ *       - $ref: '#/components/parameters/getStockSentiment.symbol'
+ *     responses:
+ *       200:
+ *         description: Sentiment per window
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         symbol:
+ *                           type: string
+ *                         windows:
+ *                           type: object
+ *                           additionalProperties:
+ *                             type: object
+ *                             properties:
+ *                               bullish:
+ *                                 type: integer
+ *                               bearish:
+ *                                 type: integer
+ *                               neutral:
+ *                                 type: integer
+ *                               total:
+ *                                 type: integer
+ *                               bullishRatio:
+ *                                 type: number
+ *                                 nullable: true
+ *                               bearishRatio:
+ *                                 type: number
+ *                                 nullable: true
+ *                               avgPriceTarget:
+ *                                 type: object
+ *                                 description: Average price target of the window's posts per sentiment; null where no post set one
+ *                                 properties:
+ *                                   bullish:
+ *                                     type: number
+ *                                     nullable: true
+ *                                   bearish:
+ *                                     type: number
+ *                                     nullable: true
+ *                                   neutral:
+ *                                     type: number
+ *                                     nullable: true
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: Stock not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+Stock_Router.get("/:symbol/sentiment", validate("getStockSentiment"), async (req, res, next) => {
+  const symbol = normalizeSymbol(req.params.symbol);
+
+  try {
+    if (!(await Stock_Model.exists({ symbol }))) {
+      throw new NotFoundError("Stock not found", "STOCK_NOT_FOUND");
+    }
+
+    const windows = await sentimentBreakdown(symbol);
+    sendData(res, { symbol, windows });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/*
+4.	Follow / Unfollow a Stock - POST /api/stocks/:symbol/follow, DELETE /api/stocks/:symbol/follow
+○	Headers: { Authorization: Bearer <token> }
+○	Response: { followedStocks }
+*/
+
+/**
+ * @swagger
+ * /api/stocks/{symbol}/follow:
+ *   post:
+ *     summary: Follow a stock
+ *     description: Posts on followed stocks show up in your feed.
+ *     tags: [Stocks]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/followStock.symbol'
+ *     responses:
+ *       200:
+ *         description: Stock followed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/FollowedStocks'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: Stock not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ *   delete:
+ *     summary: Unfollow a stock
+ *     tags: [Stocks]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/unfollowStock.symbol'
+ *     responses:
+ *       200:
+ *         description: Stock unfollowed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/FollowedStocks'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ *
+ * components:
+ *   schemas:
+ *     FollowedStocks:
+ *       type: object
+ *       properties:
+ *         followedStocks:
+ *           type: array
+ *           items:
+ *             type: string
+ */
+
+Stock_Router.post("/:symbol/follow", authenticator, validate("followStock"), async (req, res, next) => {
+  const symbol = normalizeSymbol(req.params.symbol);
+
+  try {
+    if (!(await Stock_Model.exists({ symbol }))) {
+      throw new NotFoundError("Stock not found", "STOCK_NOT_FOUND");
+    }
+
+    const user = await User_Model.findByIdAndUpdate(
+      req.user.id,
+      { $addToSet: { followedStocks: symbol } },
+      { new: true }
+    );
+    sendData(res, { followedStocks: user.followedStocks });
+  } catch (error) {
+    next(error);
+  }
+});
+
+Stock_Router.delete("/:symbol/follow", authenticator, validate("unfollowStock"), async (req, res, next) => {
+  const symbol = normalizeSymbol(req.params.symbol);
+
+  try {
+    const user = await User_Model.findByIdAndUpdate(
+      req.user.id,
+      { $pull: { followedStocks: symbol } },
+      { new: true }
+    );
+    sendData(res, { followedStocks: user.followedStocks });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = { Stock_Router };
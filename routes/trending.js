@@ -0,0 +1,194 @@
+const express = require("express");
+const { validate } = require("../middleware/validate");
+const { Post_Model } = require("../models/post.model");
+const { POST_SUMMARY_FIELDS, formatPostSummary } = require("../utils/posts");
+const { getTrending } = require("../utils/trending");
+const { VISIBLE } = require("../utils/moderation");
+const { sendData } = require("../utils/response");
+
+const Trending_Router = express.Router();
+
+const roundScore = (score) => Math.round(score * 10000) / 10000;
+
+/*
+1.	Trending Posts - GET /api/trending/posts
+○	Query Parameters:
+■	limit (optional, default: 20, max: 100)
+○	Response: { computedAt, windowHours, posts: [ { postId, stockSymbol, title, description, sentiment, reactions, reactionsCount, commentsCount, createdAt, username, score } ] }
+*/
+
+/**
+ * @swagger
+ * /api/trending/posts:
+ *   get:
+ *     summary: Get trending posts
+ *     description: Recent posts ranked by reactions and comments, decayed by age (score = points / (ageHours + 2) ^ gravity). Rankings are precomputed every few minutes; computedAt tells when.
+ *     tags: [Trending]
+ *     security: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/trendingPosts.limit'
+ *     responses:
+ *       200:
+ *         description: Trending posts, best first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         computedAt:
+ *                           type: string
+ *                           format: date-time
+ *                         windowHours:
+ *                           type: number
+ *                         posts:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               postId:
+ *                                 type: string
+ *                               stockSymbol:
+ *                                 type: string
+ *                               title:
+ *                                 type: string
+ *                               description:
+ *                                 type: string
+ *                               sentiment:
+ *                                 type: string
+ *                                 nullable: true
+ *                               reactions:
+ *                                 $ref: '#/components/schemas/ReactionCounts'
+ *                               reactionsCount:
+ *                                 type: integer
+ *                               commentsCount:
+ *                                 type: integer
+ *                               username:
+ *                                 type: string
+ *                               score:
+ *                                 type: number
+ *                               createdAt:
+ *                                 type: string
+ *                                 format: date-time
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+Trending_Router.get("/posts", validate("trendingPosts"), async (req, res, next) => {
+  try {
+    const snapshot = await getTrending("posts");
+    const items = snapshot.items.slice(0, req.query.limit);
+
+    // Posts hidden or deleted since the snapshot was taken drop out
+    const posts = await Post_Model.find({ _id: { $in: items.map((item) => item.post) }, ...VISIBLE })
+      .select(`user commentsCount ${POST_SUMMARY_FIELDS}`)
+      .populate("user", "username");
+    const byId = new Map(posts.map((post) => [String(post._id), post]));
+
+    sendData(res, {
+      computedAt: snapshot.computedAt,
+      windowHours: snapshot.windowHours,
+      posts: items
+        .filter((item) => byId.has(String(item.post)))
+        .map((item) => {
+          const post = byId.get(String(item.post));
+          return {
+            ...formatPostSummary(post),
+            commentsCount: post.commentsCount,
+            username: post.user && post.user.username,
+            score: roundScore(item.score),
+          };
+        }),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/*
+2.	Trending Stocks - GET /api/trending/stocks
+○	Query Parameters:
+■	limit (optional, default: 20, max: 100)
+○	Response: { computedAt, windowHours, stocks: [ { symbol, name, score, postsCount, reactionsCount, commentsCount } ] }
+*/
+
+/**
+ * @swagger
+ * /api/trending/stocks:
+ *   get:
+ *     summary: Get trending stocks
+ *     description: Stocks ranked by the decayed scores of recent posts filed under them or mentioning them as a cashtag. Each post counts for itself as well as its reactions and comments, so a burst of new posts lifts a stock. Rankings are precomputed every few minutes; computedAt tells when.
+ *     tags: [Trending]
+ *     security: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/trendingStocks.limit'
+ *     responses:
+ *       200:
+ *         description: Trending stocks, best first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         computedAt:
+ *                           type: string
+ *                           format: date-time
+ *                         windowHours:
+ *                           type: number
+ *                         stocks:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               symbol:
+ *                                 type: string
+ *                               name:
+ *                                 type: string
+ *                                 nullable: true
+ *                               score:
+ *                                 type: number
+ *                               postsCount:
+ *                                 type: integer
+ *                               reactionsCount:
+ *                                 type: integer
+ *                               commentsCount:
+ *                                 type: integer
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+Trending_Router.get("/stocks", validate("trendingStocks"), async (req, res, next) => {
+  try {
+    const snapshot = await getTrending("stocks");
+
+    sendData(res, {
+      computedAt: snapshot.computedAt,
+      windowHours: snapshot.windowHours,
+      stocks: snapshot.items.slice(0, req.query.limit).map((stock) => ({
+        symbol: stock.symbol,
+        name: stock.name,
+        score: roundScore(stock.score),
+        postsCount: stock.postsCount,
+        reactionsCount: stock.reactionsCount,
+        commentsCount: stock.commentsCount,
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = { Trending_Router };
@@ -1,13 +1,30 @@
 const express = require("express");
+const bcrypt = require("bcrypt");
 const { authenticator } = require("../middleware/authMiddle");
+const { validate } = require("../middleware/validate");
+const { rateLimit } = require("../middleware/rateLimit");
+const { uploadImage } = require("../middleware/upload");
 const { User_Model } = require("../models/user.model");
+const { Follow_Model } = require("../models/follow.model");
+const { notifyFollow } = require("../utils/notifications");
+const { revokeUserSessions } = require("../utils/tokens");
+const { sendVerificationEmail } = require("../utils/accountTokens");
+const { deleteAccount, exportAccount } = require("../utils/accounts");
+const { processImage, storeImage, deleteMedia } = require("../utils/media");
+const {
+    BadRequestError,
+    ConflictError,
+    ForbiddenError,
+    NotFoundError
+} = require("../utils/errors");
+const { sendData } = require("../utils/response");
 const userRouter  = express.Router();
 
 
 /*
 3.	Get User Profile - GET /api/user/profile/:userId
 ○	Headers: { Authorization: Bearer <token> }
-○	Response: { id, username, bio, profilePicture }
+○	Response: { id, username, bio, profilePicture, profileThumbnail, followersCount, followingCount, followedStocks, role, isFollowing }
 */
 /**
  * @swagger
@@ -27,59 +44,91 @@ const userRouter  = express.Router();
  *     description: Retrieve user profile information.
  *     tags: [User]
  *     parameters:
- *       - in: path
- *         name: userId
- *         required: true
- *         description: User ID to fetch
- *         schema:
- *           type: string
+ *       - $ref: '#/components/parameters/getProfile.userId'
  *     responses:
  *       200:
  *         description: User found
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 id:
- *                   type: string
- *                 username:
- *                   type: string
- *                 bio:
- *                   type: string
- *                 profilePicture:
- *                   type: string
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         id:
+ *                           type: string
+ *                         username:
+ *                           type: string
+ *                         bio:
+ *                           type: string
+ *                         profilePicture:
+ *                           type: string
+ *                         profileThumbnail:
+ *                           type: string
+ *                           description: 128x128 WebP version of profilePicture; empty for pictures set before uploads existed
+ *                         followersCount:
+ *                           type: integer
+ *                         followingCount:
+ *                           type: integer
+ *                         followedStocks:
+ *                           type: array
+ *                           items:
+ *                             type: string
+ *                         role:
+ *                           type: string
+ *                           enum: [user, moderator, admin]
+ *                         isFollowing:
+ *                           type: boolean
+ *                           description: Whether the authenticated user follows this user
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
  *       404:
  *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       500:
- *         description: Server error
+ *         $ref: '#/components/responses/ServerError'
  */
 
-userRouter.get('/profile/:userId', authenticator, async (req, res) => {
+userRouter.get('/profile/:userId', authenticator, validate('getProfile'), async (req, res, next) => {
     try {
-        const user = await User_Model.findById(req.params.userId).select('-password'); // excludes sensitive information like passwords.
+        const user = await User_Model.findOne({ _id: req.params.userId, deletedAt: null }).select('-password'); // excludes sensitive information like passwords.
         if (!user) {
-            return res.status(404).json({ msg: 'User not found' });
+            throw new NotFoundError('User not found', 'USER_NOT_FOUND');
         }
-        res.status(200).send(
+        const followersCount = await Follow_Model.countDocuments({ following: user._id });
+        const followingCount = await Follow_Model.countDocuments({ follower: user._id });
+        const isFollowing = await Follow_Model.exists({ follower: req.user.id, following: user._id });
+        sendData(res,
             {
                 id: user._id,
                 username: user.username,
                 bio: user.bio,
-                profilePicture: user.profilePicture
+                profilePicture: user.profilePicture,
+                profileThumbnail: user.profileThumbnail,
+                followersCount,
+                followingCount,
+                followedStocks: user.followedStocks,
+                role: user.role,
+                isFollowing: Boolean(isFollowing)
               }
         );
     } catch (err) {
-        console.error(err.message);
-        res.status(500).send('Server Error');
+        next(err);
     }
 });
 
 /*
 4.	Update User Profile - PUT /api/user/profile
 ○	Headers: { Authorization: Bearer <token> }
-○	Request Body: { username, bio, profilePicture }
-○	Response: { success: true, message: 'Profile updated' }
+○	Request Body: { username, bio }
+○	The profile picture is uploaded through PUT /api/user/profile/picture
+○	Response: { message: 'Profile updated' }
 */
 
 /**
@@ -87,21 +136,14 @@ userRouter.get('/profile/:userId', authenticator, async (req, res) => {
  * /api/user/profile:
  *   put:
  *     summary: Update user profile
- *     description: Update user profile information.
+ *     description: Update the username and bio. The profile picture is uploaded through PUT /api/user/profile/picture.
  *     tags: [User]
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               username:
- *                 type: string
- *               bio:
- *                 type: string
- *               profilePicture:
- *                 type: string
+ *             $ref: '#/components/schemas/UpdateProfileBody'
  *     security:
  *       - BearerAuth: []
  *     responses:
@@ -110,32 +152,774 @@ userRouter.get('/profile/:userId', authenticator, async (req, res) => {
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 message:
- *                   type: string
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         message:
+ *                           type: string
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
  *       404:
  *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       500:
- *         description: Error updating profile
+ *         $ref: '#/components/responses/ServerError'
  */
 
-userRouter.put('/profile', authenticator, async (req, res) => {
+userRouter.put('/profile', authenticator, validate('updateProfile'), async (req, res, next) => {
     try {
-      const { username, bio, profilePicture } = req.body;
-      const user = await User_Model.findByIdAndUpdate(req.user.id, { username, bio, profilePicture }, { new: true });
+      const { username, bio } = req.body;
+      const user = await User_Model.findByIdAndUpdate(req.user.id, { username, bio }, { new: true });
       if (!user) {
-        return res.status(404).json({ msg: 'User not found' });
+        throw new NotFoundError('User not found', 'USER_NOT_FOUND');
     }
-      res.json({ success: true, message: 'Profile updated' });
+      sendData(res, { message: 'Profile updated' });
     } catch (error) {
-      res.status(500).json({ message: 'Error updating profile' });
+      next(error);
     }
   });
 
   
+/*
+Profile Picture - PUT /api/user/profile/picture, DELETE /api/user/profile/picture
+○	Headers: { Authorization: Bearer <token> }
+○	Request Body (PUT): multipart/form-data with the file in "image"
+○	Response: { profilePicture, profileThumbnail }
+○	The previous picture is deleted
+*/
+
+/**
+ * @swagger
+ * /api/user/profile/picture:
+ *   put:
+ *     summary: Upload a profile picture
+ *     description: Replace your profile picture with a JPEG, PNG, WebP or GIF image of at most 2 MB and 64 to 4096 pixels a side. It is stored without its metadata, with a 128x128 thumbnail.
+ *     tags: [User]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             $ref: '#/components/schemas/ImageUpload'
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Profile picture updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/ProfilePicture'
+ *       400:
+ *         description: No file (FILE_MISSING), a malformed upload (INVALID_UPLOAD), an unreadable image (INVALID_IMAGE) or one too small or too large (INVALID_IMAGE_DIMENSIONS)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       413:
+ *         description: File larger than 2 MB (FILE_TOO_LARGE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       415:
+ *         description: Not a JPEG, PNG, WebP or GIF image (UNSUPPORTED_MEDIA_TYPE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ *   delete:
+ *     summary: Remove your profile picture
+ *     tags: [User]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Profile picture removed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/ProfilePicture'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ *
+ * components:
+ *   schemas:
+ *     ProfilePicture:
+ *       type: object
+ *       properties:
+ *         profilePicture:
+ *           type: string
+ *         profileThumbnail:
+ *           type: string
+ */
+
+// Points the profile at `media` (or at nothing) and deletes the picture it replaces
+const setProfilePicture = async (userId, media) => {
+    const previous = await User_Model.findByIdAndUpdate(userId, {
+        profilePicture: media ? media.url : '',
+        profileThumbnail: media ? media.thumbnailUrl : '',
+        avatar: media ? media._id : null
+    }).select('avatar');
+    if (previous && previous.avatar) {
+        await deleteMedia({ _id: previous.avatar });
+    }
+};
+
+userRouter.put('/profile/picture', authenticator, rateLimit('uploads'), uploadImage('avatar'), async (req, res, next) => {
+    try {
+        const image = await processImage(req.file.buffer, 'avatar');
+        const media = await storeImage(req.user.id, 'avatar', image);
+        await setProfilePicture(req.user.id, media);
+        sendData(res, { profilePicture: media.url, profileThumbnail: media.thumbnailUrl });
+    } catch (error) {
+        next(error);
+    }
+});
+
+userRouter.delete('/profile/picture', authenticator, async (req, res, next) => {
+    try {
+        await setProfilePicture(req.user.id, null);
+        sendData(res, { profilePicture: '', profileThumbnail: '' });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Account changes that need the current password fail the same way
+const checkPassword = async (user, password) => {
+    if (!(await bcrypt.compare(password, user.password))) {
+        throw new ForbiddenError('Current password is incorrect', 'INVALID_PASSWORD');
+    }
+};
+
+/*
+Change Password - PUT /api/user/password
+○	Headers: { Authorization: Bearer <token> }
+○	Request Body: { currentPassword, newPassword }
+○	Response: { message: 'Password changed' }
+○	Every other session of the user is logged out
+*/
+
+/**
+ * @swagger
+ * /api/user/password:
+ *   put:
+ *     summary: Change password
+ *     description: Change the password of the current user. Every other session is logged out; the current one stays.
+ *     tags: [User]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ChangePasswordBody'
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Password changed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         message:
+ *                           type: string
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         description: Current password is incorrect (INVALID_PASSWORD)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+userRouter.put('/password', authenticator, rateLimit('auth'), validate('changePassword'), async (req, res, next) => {
+    const { currentPassword, newPassword } = req.body;
+    try {
+        const user = await User_Model.findById(req.user.id);
+        await checkPassword(user, currentPassword);
+
+        const salt = await bcrypt.genSalt(10);
+        user.password = await bcrypt.hash(newPassword, salt);
+        await user.save();
+
+        await revokeUserSessions(user._id, 'password changed', req.user.family);
+        sendData(res, { message: 'Password changed' });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/*
+Change Email - PUT /api/user/email
+○	Headers: { Authorization: Bearer <token> }
+○	Request Body: { email, password }
+○	Response: { message: 'Verification email sent to the new address' }
+○	The account keeps its current email until the new one is verified
+*/
+
+/**
+ * @swagger
+ * /api/user/email:
+ *   put:
+ *     summary: Change email
+ *     description: Mail a verification link to a new address. The account switches to it once the link is redeemed through POST /api/auth/verify-email; until then the current address keeps working.
+ *     tags: [User]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ChangeEmailBody'
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent to the new address
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         message:
+ *                           type: string
+ *       400:
+ *         description: Invalid request body, or the address is already the current one (SAME_EMAIL)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Current password is incorrect (INVALID_PASSWORD)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Another account uses the address (EMAIL_IN_USE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+userRouter.put('/email', authenticator, rateLimit('auth'), validate('changeEmail'), async (req, res, next) => {
+    const { email, password } = req.body;
+    try {
+        const user = await User_Model.findById(req.user.id);
+        await checkPassword(user, password);
+
+        if (email === user.email) {
+            throw new BadRequestError('This is already your email', 'SAME_EMAIL');
+        }
+        if (await User_Model.exists({ email })) {
+            throw new ConflictError('Email already in use', 'EMAIL_IN_USE');
+        }
+
+        await sendVerificationEmail(user, email);
+        sendData(res, { message: 'Verification email sent to the new address' });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/*
+Export Account Data - GET /api/user/export
+○	Headers: { Authorization: Bearer <token> }
+○	Response: { exportedAt, profile, posts, comments, postRevisions, reactions, pollVotes, media, bookmarks, bookmarkCollections, watchlists, following, followers, notifications, reports, moderationActions, sessions }
+*/
+
+/**
+ * @swagger
+ * /api/user/export:
+ *   get:
+ *     summary: Export account data
+ *     description: Download everything stored about the current user as a JSON archive.
+ *     tags: [User]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: JSON archive, sent as an attachment
+ *         headers:
+ *           Content-Disposition:
+ *             description: attachment; filename="account-<userId>.json"
+ *             schema:
+ *               type: string
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         exportedAt:
+ *                           type: string
+ *                           format: date-time
+ *                         profile:
+ *                           type: object
+ *                         posts:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                         comments:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                         postRevisions:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                         reactions:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                         pollVotes:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                         media:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                         bookmarks:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                         bookmarkCollections:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                         watchlists:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                         following:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                         followers:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                         notifications:
+ *                           type: array
+ *                           description: Without the users who triggered them; actorsCount says how many there were
+ *                           items:
+ *                             type: object
+ *                         reports:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                         moderationActions:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                         sessions:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *       401:
+ *         description: Token is not valid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+userRouter.get('/export', authenticator, rateLimit('exports'), async (req, res, next) => {
+    try {
+        const archive = await exportAccount(req.user.id);
+        res.set('Content-Disposition', `attachment; filename="account-${req.user.id}.json"`);
+        sendData(res, archive);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/*
+Delete Account - DELETE /api/user
+○	Headers: { Authorization: Bearer <token> }
+○	Request Body: { password, content: 'anonymize' | 'delete' }
+○	Response: { message: 'Account deleted' }
+*/
+
+/**
+ * @swagger
+ * /api/user:
+ *   delete:
+ *     summary: Delete account
+ *     description: Close the current user's account. Reactions, follows, notifications and sessions are removed and the profile is wiped. Posts and comments stay under an anonymous name, or are deleted with content set to "delete".
+ *     tags: [User]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DeleteAccountBody'
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Account deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         message:
+ *                           type: string
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         description: Current password is incorrect (INVALID_PASSWORD)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+userRouter.delete('/', authenticator, rateLimit('auth'), validate('deleteAccount'), async (req, res, next) => {
+    const { password, content } = req.body;
+    try {
+        const user = await User_Model.findById(req.user.id);
+        await checkPassword(user, password);
+
+        await deleteAccount(user._id, content);
+        sendData(res, { message: 'Account deleted' });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/*
+Follow a User - POST /api/user/:userId/follow
+○	Headers: { Authorization: Bearer <token> }
+○	Response: { message: 'User followed' }
+*/
+
+/**
+ * @swagger
+ * /api/user/{userId}/follow:
+ *   post:
+ *     summary: Follow a user
+ *     description: Follow a user so their posts appear in your feed.
+ *     tags: [User]
+ *     parameters:
+ *       - $ref: '#/components/parameters/followUser.userId'
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: User followed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         message:
+ *                           type: string
+ *       400:
+ *         description: Invalid user ID, or cannot follow yourself (SELF_FOLLOW)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Already following this user (ALREADY_FOLLOWING)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+userRouter.post('/:userId/follow', authenticator, validate('followUser'), async (req, res, next) => {
+    const { userId } = req.params;
+    try {
+        if (userId === req.user.id) {
+            throw new BadRequestError('You cannot follow yourself', 'SELF_FOLLOW');
+        }
+        if (!(await User_Model.exists({ _id: userId, deletedAt: null }))) {
+            throw new NotFoundError('User not found', 'USER_NOT_FOUND');
+        }
+
+        // The unique index makes a second follow a no-op instead of a duplicate
+        const result = await Follow_Model.updateOne(
+            { follower: req.user.id, following: userId },
+            { $setOnInsert: { createdAt: Date.now() } },
+            { upsert: true }
+        );
+        if (!result.upsertedCount) {
+            throw new ConflictError('Already following this user', 'ALREADY_FOLLOWING');
+        }
+
+        await notifyFollow({ actorId: req.user.id, userId });
+        sendData(res, { message: 'User followed' });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/*
+Unfollow a User - DELETE /api/user/:userId/follow
+○	Headers: { Authorization: Bearer <token> }
+○	Response: { message: 'User unfollowed' }
+*/
+
+/**
+ * @swagger
+ * /api/user/{userId}/follow:
+ *   delete:
+ *     summary: Unfollow a user
+ *     tags: [User]
+ *     parameters:
+ *       - $ref: '#/components/parameters/unfollowUser.userId'
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: User unfollowed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         message:
+ *                           type: string
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       409:
+ *         description: Not following this user (NOT_FOLLOWING)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+userRouter.delete('/:userId/follow', authenticator, validate('unfollowUser'), async (req, res, next) => {
+    const { userId } = req.params;
+    try {
+        const result = await Follow_Model.deleteOne({ follower: req.user.id, following: userId });
+        if (!result.deletedCount) {
+            throw new ConflictError('You are not following this user', 'NOT_FOLLOWING');
+        }
+
+        sendData(res, { message: 'User unfollowed' });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/*
+Followers / Following Lists - GET /api/user/:userId/followers, GET /api/user/:userId/following
+○	Headers: { Authorization: Bearer <token> }
+○	Query Parameters: page (optional, default: 1), limit (optional, default: 20, max: 100)
+○	Response: { pagination, users: [ { id, username, profilePicture, profileThumbnail, followedAt } ] }
+*/
+
+// Lists one side of the follow graph; `side` is the field holding the user we list for
+const listFollows = (side) => async (req, res, next) => {
+    const { userId } = req.params;
+    const other = side === 'following' ? 'follower' : 'following';
+    try {
+        const { page: pageNumber, limit: limitNumber } = req.query;
+        const query = { [side]: userId };
+
+        const total = await Follow_Model.countDocuments(query);
+        const follows = await Follow_Model.find(query)
+            .sort({ createdAt: -1 })
+            .skip((pageNumber - 1) * limitNumber)
+            .limit(limitNumber)
+            .populate(other, 'username profilePicture profileThumbnail');
+
+        sendData(res, {
+            pagination: {
+                currentPage: pageNumber,
+                totalPages: Math.ceil(total / limitNumber),
+                total
+            },
+            users: follows
+                .filter((follow) => follow[other])
+                .map((follow) => ({
+                    id: follow[other]._id,
+                    username: follow[other].username,
+                    profilePicture: follow[other].profilePicture,
+                    profileThumbnail: follow[other].profileThumbnail,
+                    followedAt: follow.createdAt
+                }))
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @swagger
+ * /api/user/{userId}/followers:
+ *   get:
+ *     summary: List a user's followers
+ *     tags: [User]
+ *     parameters:
+ *       - $ref: '#/components/parameters/listFollowers.userId'
+ *       - $ref: '#/components/parameters/listFollowers.page'
+ *       - $ref: '#/components/parameters/listFollowers.limit'
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Page of followers, most recent first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/FollowList'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ *
+ * /api/user/{userId}/following:
+ *   get:
+ *     summary: List the users a user follows
+ *     tags: [User]
+ *     parameters:
+ *       - $ref: '#/components/parameters/listFollowing.userId'
+ *       - $ref: '#/components/parameters/listFollowing.page'
+ *       - $ref: '#/components/parameters/listFollowing.limit'
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Page of followed users, most recent first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/FollowList'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ *
+ * components:
+ *   schemas:
+ *     FollowList:
+ *       type: object
+ *       properties:
+ *         pagination:
+ *           type: object
+ *           properties:
+ *             currentPage:
+ *               type: integer
+ *             totalPages:
+ *               type: integer
+ *             total:
+ *               type: integer
+ *         users:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: string
+ *               username:
+ *                 type: string
+ *               profilePicture:
+ *                 type: string
+ *               profileThumbnail:
+ *                 type: string
+ *               followedAt:
+ *                 type: string
+ *                 format: date-time
+ */
+
+userRouter.get('/:userId/followers', authenticator, validate('listFollowers'), listFollows('following'));
+userRouter.get('/:userId/following', authenticator, validate('listFollowing'), listFollows('follower'));
 
 module.exports ={userRouter}
@@ -0,0 +1,492 @@
+const express = require("express");
+const { authenticator } = require("../middleware/authMiddle");
+const { validate } = require("../middleware/validate");
+const { Watchlist_Model } = require("../models/watchlist.model");
+const {
+  MAX_WATCHLIST_SYMBOLS,
+  activitySince,
+  formatWatchlist,
+  resolveSymbols,
+  watchlistActivity,
+} = require("../utils/watchlists");
+const { normalizeSymbol } = require("../utils/stocks");
+const { BadRequestError, ConflictError, NotFoundError } = require("../utils/errors");
+const { sendData } = require("../utils/response");
+
+const Watchlist_Router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Watchlist:
+ *       type: object
+ *       properties:
+ *         watchlistId:
+ *           type: string
+ *         name:
+ *           type: string
+ *         symbols:
+ *           type: array
+ *           items:
+ *             type: string
+ *         lastVisitedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the activity digest was last read
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     SentimentPeriod:
+ *       type: object
+ *       properties:
+ *         bullish:
+ *           type: integer
+ *         bearish:
+ *           type: integer
+ *         neutral:
+ *           type: integer
+ *         total:
+ *           type: integer
+ *         bullishRatio:
+ *           type: number
+ *           nullable: true
+ *         bearishRatio:
+ *           type: number
+ *           nullable: true
+ */
+
+// A watchlist the current user owns, or a 404 that does not reveal whether it exists
+const findOwnWatchlist = async (watchlistId, userId) => {
+  const watchlist = await Watchlist_Model.findOne({ _id: watchlistId, user: userId });
+  if (!watchlist) throw new NotFoundError("Watchlist not found", "WATCHLIST_NOT_FOUND");
+  return watchlist;
+};
+
+// Normalized symbols, or a 400 naming the ones that are not registered stocks
+const knownSymbols = async (rawSymbols) => {
+  const { symbols, unknown } = await resolveSymbols(rawSymbols);
+  if (unknown.length) {
+    throw new BadRequestError(`Unknown stock symbol: ${unknown.join(", ")}`, "UNKNOWN_STOCK");
+  }
+  return symbols;
+};
+
+/*
+1.	List Watchlists - GET /api/user/watchlists
+○	Headers: { Authorization: Bearer <token> }
+○	Response: { watchlists: [ { watchlistId, name, symbols, lastVisitedAt, createdAt } ] }
+*/
+
+/**
+ * @swagger
+ * /api/user/watchlists:
+ *   get:
+ *     summary: List your watchlists
+ *     tags: [Watchlists]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Your watchlists, alphabetically
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         watchlists:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/Watchlist'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+Watchlist_Router.get("/", authenticator, async (req, res, next) => {
+  try {
+    const watchlists = await Watchlist_Model.find({ user: req.user.id }).sort({ name: 1 });
+    sendData(res, { watchlists: watchlists.map(formatWatchlist) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/*
+2.	Create a Watchlist - POST /api/user/watchlists
+○	Headers: { Authorization: Bearer <token> }
+○	Request Body: { name, symbols }
+○	Response: { watchlist }
+*/
+
+/**
+ * @swagger
+ * /api/user/watchlists:
+ *   post:
+ *     summary: Create a watchlist
+ *     description: Create a named list of stock symbols. Symbols are normalized ("$aapl" becomes "AAPL") and must be registered stocks.
+ *     tags: [Watchlists]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreateWatchlistBody'
+ *     responses:
+ *       200:
+ *         description: Watchlist created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         watchlist:
+ *                           $ref: '#/components/schemas/Watchlist'
+ *       400:
+ *         description: Invalid body, or a symbol that is not a registered stock (UNKNOWN_STOCK)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: You already have a watchlist with this name (WATCHLIST_EXISTS)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+Watchlist_Router.post("/", authenticator, validate("createWatchlist"), async (req, res, next) => {
+  const { name, symbols } = req.body;
+  try {
+    if (await Watchlist_Model.exists({ user: req.user.id, name: name.trim() })) {
+      throw new ConflictError("You already have a watchlist with this name", "WATCHLIST_EXISTS");
+    }
+
+    const watchlist = await Watchlist_Model.create({
+      user: req.user.id,
+      name,
+      symbols: await knownSymbols(symbols),
+    });
+    sendData(res, { watchlist: formatWatchlist(watchlist) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/*
+3.	Delete a Watchlist - DELETE /api/user/watchlists/:watchlistId
+○	Headers: { Authorization: Bearer <token> }
+○	Response: { message: 'Watchlist deleted' }
+*/
+
+/**
+ * @swagger
+ * /api/user/watchlists/{watchlistId}:
+ *   delete:
+ *     summary: Delete a watchlist
+ *     tags: [Watchlists]
+ *     parameters:
+ *       - $ref: '#/components/parameters/deleteWatchlist.watchlistId'
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Watchlist deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         message:
+ *                           type: string
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: Watchlist not found (WATCHLIST_NOT_FOUND)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+Watchlist_Router.delete("/:watchlistId", authenticator, validate("deleteWatchlist"), async (req, res, next) => {
+  try {
+    const result = await Watchlist_Model.deleteOne({ _id: req.params.watchlistId, user: req.user.id });
+    if (!result.deletedCount) {
+      throw new NotFoundError("Watchlist not found", "WATCHLIST_NOT_FOUND");
+    }
+    sendData(res, { message: "Watchlist deleted" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/*
+4.	Add / Remove Symbols - POST /api/user/watchlists/:watchlistId/symbols, DELETE /api/user/watchlists/:watchlistId/symbols/:symbol
+○	Headers: { Authorization: Bearer <token> }
+○	Request Body (POST): { symbols }
+○	Response: { watchlist }
+*/
+
+/**
+ * @swagger
+ * /api/user/watchlists/{watchlistId}/symbols:
+ *   post:
+ *     summary: Add symbols to a watchlist
+ *     description: Symbols already on the list are ignored.
+ *     tags: [Watchlists]
+ *     parameters:
+ *       - $ref: '#/components/parameters/addWatchlistSymbols.watchlistId'
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AddWatchlistSymbolsBody'
+ *     responses:
+ *       200:
+ *         description: The updated watchlist
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         watchlist:
+ *                           $ref: '#/components/schemas/Watchlist'
+ *       400:
+ *         description: Invalid body, an unregistered symbol (UNKNOWN_STOCK), or more symbols than a watchlist holds (WATCHLIST_FULL)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Watchlist not found (WATCHLIST_NOT_FOUND)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+Watchlist_Router.post("/:watchlistId/symbols", authenticator, validate("addWatchlistSymbols"), async (req, res, next) => {
+  try {
+    const watchlist = await findOwnWatchlist(req.params.watchlistId, req.user.id);
+    const symbols = await knownSymbols(req.body.symbols);
+
+    const combined = new Set([...watchlist.symbols, ...symbols]);
+    if (combined.size > MAX_WATCHLIST_SYMBOLS) {
+      throw new BadRequestError(`A watchlist holds at most ${MAX_WATCHLIST_SYMBOLS} symbols`, "WATCHLIST_FULL");
+    }
+
+    const updated = await Watchlist_Model.findByIdAndUpdate(
+      watchlist._id,
+      { $addToSet: { symbols: { $each: symbols } } },
+      { new: true }
+    );
+    sendData(res, { watchlist: formatWatchlist(updated) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/user/watchlists/{watchlistId}/symbols/{symbol}:
+ *   delete:
+ *     summary: Remove a symbol from a watchlist
+ *     tags: [Watchlists]
+ *     parameters:
+ *       - $ref: '#/components/parameters/removeWatchlistSymbol.watchlistId'
+ *       - $ref: '#/components/parameters/removeWatchlistSymbol.symbol'
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The updated watchlist
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         watchlist:
+ *                           $ref: '#/components/schemas/Watchlist'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: Watchlist not found, or the symbol is not on it (WATCHLIST_NOT_FOUND, NOT_IN_WATCHLIST)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+Watchlist_Router.delete("/:watchlistId/symbols/:symbol", authenticator, validate("removeWatchlistSymbol"), async (req, res, next) => {
+  const symbol = normalizeSymbol(req.params.symbol);
+  try {
+    const watchlist = await findOwnWatchlist(req.params.watchlistId, req.user.id);
+    if (!watchlist.symbols.includes(symbol)) {
+      throw new NotFoundError("Symbol is not on this watchlist", "NOT_IN_WATCHLIST");
+    }
+
+    const updated = await Watchlist_Model.findByIdAndUpdate(
+      watchlist._id,
+      { $pull: { symbols: symbol } },
+      { new: true }
+    );
+    sendData(res, { watchlist: formatWatchlist(updated) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/*
+5.	Watchlist Activity - GET /api/user/watchlists/:watchlistId/activity
+○	Headers: { Authorization: Bearer <token> }
+○	Response: { watchlistId, name, since, until, symbols: [ { symbol, newPosts, latestPosts, newComments, sentiment: { before, since, bullishRatioChange } } ] }
+○	since is the previous visit (24 hours back on the first one, at most 30 days back); reading the activity moves the visit to until
+*/
+
+/**
+ * @swagger
+ * /api/user/watchlists/{watchlistId}/activity:
+ *   get:
+ *     summary: Get what changed on a watchlist since your last visit
+ *     description: |
+ *       For each symbol: how many posts were filed under or mention it, the newest few, how many comments were written on its posts, and how its bullish/bearish balance moved against the week before.
+ *       The digest covers the time since you last read it (the last 24 hours on the first read, and never more than the last 30 days), and reading it marks the watchlist as visited.
+ *     tags: [Watchlists]
+ *     parameters:
+ *       - $ref: '#/components/parameters/getWatchlistActivity.watchlistId'
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Activity per symbol, in watchlist order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         watchlistId:
+ *                           type: string
+ *                         name:
+ *                           type: string
+ *                         since:
+ *                           type: string
+ *                           format: date-time
+ *                         until:
+ *                           type: string
+ *                           format: date-time
+ *                         symbols:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               symbol:
+ *                                 type: string
+ *                               newPosts:
+ *                                 type: integer
+ *                               latestPosts:
+ *                                 type: array
+ *                                 items:
+ *                                   type: object
+ *                                   properties:
+ *                                     postId:
+ *                                       type: string
+ *                                     stockSymbol:
+ *                                       type: string
+ *                                     title:
+ *                                       type: string
+ *                                     sentiment:
+ *                                       type: string
+ *                                       nullable: true
+ *                                     reactions:
+ *                                       $ref: '#/components/schemas/ReactionCounts'
+ *                                     reactionsCount:
+ *                                       type: integer
+ *                                     createdAt:
+ *                                       type: string
+ *                                       format: date-time
+ *                               newComments:
+ *                                 type: integer
+ *                               sentiment:
+ *                                 type: object
+ *                                 properties:
+ *                                   before:
+ *                                     $ref: '#/components/schemas/SentimentPeriod'
+ *                                   since:
+ *                                     $ref: '#/components/schemas/SentimentPeriod'
+ *                                   bullishRatioChange:
+ *                                     type: number
+ *                                     nullable: true
+ *                                     description: Change in bullish ratio; null unless both periods have bullish or bearish posts
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: Watchlist not found (WATCHLIST_NOT_FOUND)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+Watchlist_Router.get("/:watchlistId/activity", authenticator, validate("getWatchlistActivity"), async (req, res, next) => {
+  try {
+    const watchlist = await findOwnWatchlist(req.params.watchlistId, req.user.id);
+    const until = new Date();
+    const since = activitySince(watchlist, until);
+
+    const symbols = await watchlistActivity(watchlist, since, until);
+    await Watchlist_Model.updateOne({ _id: watchlist._id }, { lastVisitedAt: until });
+
+    sendData(res, { watchlistId: watchlist._id, name: watchlist.name, since, until, symbols });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = { Watchlist_Router };
@@ -0,0 +1,53 @@
+/*
+Marks the email addresses of accounts created before email verification
+existed as verified, so they can keep posting and get digests. Run it once
+after upgrading from a version without verification.
+○	Usage: npm run backfill:verified [-- [--dry-run] [--before <date>]]
+○	Touches users without an emailVerifiedAt field; accounts registered
+	since the upgrade store it (null until verified) and are left alone
+○	--before also covers unverified accounts created before that date, for
+	old accounts that were saved with emailVerifiedAt: null since the upgrade
+○	emailVerifiedAt is set to the account's createdAt
+*/
+const mongoose = require("mongoose");
+const { connection } = require("../config/db");
+const { User_Model } = require("../models/user.model");
+
+const args = process.argv.slice(2);
+const dryRun = args.includes("--dry-run");
+const before = args.includes("--before") ? new Date(args[args.indexOf("--before") + 1]) : null;
+
+// Older accounts predate the field, which new registrations always write
+const backfillFilter = () =>
+  before
+    ? { $or: [{ emailVerifiedAt: { $exists: false } }, { emailVerifiedAt: null, createdAt: { $lt: before } }] }
+    : { emailVerifiedAt: { $exists: false } };
+
+const run = async () => {
+  if (before && Number.isNaN(before.getTime())) {
+    console.log("Usage: npm run backfill:verified -- [--dry-run] [--before <date>]");
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await connection;
+    if (dryRun) {
+      const count = await User_Model.countDocuments(backfillFilter());
+      console.log(`Dry run, nothing changed: ${count} accounts would be marked verified`);
+      return;
+    }
+
+    const { modifiedCount } = await User_Model.updateMany(backfillFilter(), [
+      { $set: { emailVerifiedAt: { $ifNull: ["$createdAt", "$$NOW"] } } },
+    ]);
+    console.log(`Marked ${modifiedCount} accounts verified`);
+  } catch (error) {
+    console.log(error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run();
@@ -0,0 +1,185 @@
+/*
+Benchmarks GET /api/posts before and after the reaction counters, the
+listing indexes and cursor pagination, on a throwaway seeded database.
+○	Usage: npm run bench:posts [-- --posts 50000 --runs 20 --keep]
+○	Uses BENCH_MONGO_URL (default mongodb://127.0.0.1:27017/alpha-tribe-bench), never MONGO_URL
+○	Drops that database when done unless --keep is given
+○	"before": the old queries (likes arrays, countDocuments, skip/limit, $size sort), no secondary indexes
+○	"after": getPostsPage with the schema's indexes
+*/
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const { Post_Model } = require("../models/post.model");
+const { POST_SORTS, getPostsPage, postListFilter } = require("../utils/posts");
+
+const arg = (name, fallback) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? fallback : Number(process.argv[index + 1]);
+};
+
+const POSTS = arg("posts", 50000);
+const RUNS = arg("runs", 20);
+const LIMIT = 10;
+const KEEP = process.argv.includes("--keep");
+const URL = process.env.BENCH_MONGO_URL || "mongodb://127.0.0.1:27017/alpha-tribe-bench";
+
+const SYMBOLS = ["AAPL", "MSFT", "AMZN", "TSLA", "NVDA", "GOOGL", "META", "AMD", "NFLX", "INTC"];
+const TAGS = ["earnings", "dividends", "ai", "cloud", "ev", "chips", "guidance", "buyback"];
+const USERS = Array.from({ length: 2000 }, () => new mongoose.Types.ObjectId());
+const DAY = 24 * 60 * 60 * 1000;
+
+// An ObjectId from the given time, so _id order matches createdAt as in real data
+const idAt = (date) =>
+  new mongoose.Types.ObjectId(
+    Math.floor(date / 1000).toString(16).padStart(8, "0") + crypto.randomBytes(8).toString("hex")
+  );
+
+const pick = (list) => list[Math.floor(Math.random() * list.length)];
+const sample = (list, count) => Array.from({ length: count }, () => pick(list));
+
+// Most posts get a few likes, a handful get hundreds
+const likeCount = () => Math.floor(Math.pow(Math.random(), 4) * 500);
+
+const seed = async () => {
+  await Post_Model.collection.drop().catch(() => {});
+  const batchSize = 2000;
+  for (let done = 0; done < POSTS; done += batchSize) {
+    const batch = Array.from({ length: Math.min(batchSize, POSTS - done) }, () => {
+      const createdAt = new Date(Date.now() - Math.random() * 90 * DAY);
+      const likes = [...new Set(sample(USERS, likeCount()).map(String))].map((id) => new mongoose.Types.ObjectId(id));
+      const comments = Array.from({ length: Math.floor(Math.random() * 30) }, () => new mongoose.Types.ObjectId());
+      const symbol = pick(SYMBOLS);
+      return {
+        _id: idAt(createdAt),
+        user: pick(USERS),
+        stockSymbol: symbol,
+        title: `Thoughts on ${symbol}`,
+        description: `Benchmark post about $${symbol} and $${pick(SYMBOLS)}`,
+        tags: sample(TAGS, 1 + Math.floor(Math.random() * 3)),
+        cashtags: [symbol],
+        mentions: [],
+        sentiment: pick(["bullish", "bearish", "neutral", null]),
+        priceTarget: null,
+        timeHorizon: null,
+        comments,
+        // "before" counts the likes array as it used to; "after" reads the counter reactions replaced it with
+        likes,
+        reactionsCount: likes.length,
+        commentsCount: comments.length,
+        createdAt,
+        editedAt: null,
+        hiddenAt: null,
+      };
+    });
+    await Post_Model.collection.insertMany(batch, { ordered: false });
+  }
+};
+
+// What GET /api/posts did before: count everything, skip to the page and
+// load the likes arrays to count them (sorting by likes computes $size per post)
+const before = async ({ stockSymbol, tags, sortBy, page }) => {
+  const filter = postListFilter({ stockSymbol, tags });
+  const pipeline = [{ $match: filter }];
+  if (sortBy === "likes") {
+    pipeline.push({ $addFields: { likesCount: { $size: "$likes" } } }, { $sort: { likesCount: -1, createdAt: -1 } });
+  } else {
+    pipeline.push({ $sort: { createdAt: -1 } });
+  }
+  pipeline.push(
+    { $skip: (page - 1) * LIMIT },
+    { $limit: LIMIT },
+    { $project: { stockSymbol: 1, title: 1, description: 1, sentiment: 1, likes: 1, createdAt: 1, editedAt: 1 } }
+  );
+  const [total, posts] = await Promise.all([Post_Model.countDocuments(filter), Post_Model.aggregate(pipeline)]);
+  return { total, likesCounts: posts.map((post) => post.likes.length) };
+};
+
+// The cursor a client holds after paging to `page` (looked up untimed)
+const cursorAt = async (filter, sortBy, page) => {
+  if (page === 1) return undefined;
+  const [last] = await Post_Model.find(filter)
+    .sort(POST_SORTS[sortBy])
+    .skip((page - 1) * LIMIT - 1)
+    .limit(1)
+    .select("reactionsCount");
+  return sortBy === "likes" ? `${last.reactionsCount}_${last._id}` : String(last._id);
+};
+
+const after = async ({ stockSymbol, tags, sortBy, cursor }) =>
+  getPostsPage(postListFilter({ stockSymbol, tags }), { sortBy, cursor, limit: LIMIT });
+
+const SCENARIOS = [
+  { name: "newest, page 1", sortBy: "date", page: 1 },
+  { name: "newest, page 500", sortBy: "date", page: 500 },
+  { name: "$TSLA newest, page 1", stockSymbol: "TSLA", sortBy: "date", page: 1 },
+  { name: "$TSLA newest, page 200", stockSymbol: "TSLA", sortBy: "date", page: 200 },
+  { name: "tag ai newest, page 1", tags: "ai", sortBy: "date", page: 1 },
+  { name: "most liked, page 1", sortBy: "likes", page: 1 },
+  { name: "most liked, page 100", sortBy: "likes", page: 100 },
+  { name: "$NVDA most liked, page 1", stockSymbol: "NVDA", sortBy: "likes", page: 1 },
+];
+
+const time = async (fn) => {
+  await fn(); // warm-up
+  const samples = [];
+  for (let run = 0; run < RUNS; run++) {
+    const start = process.hrtime.bigint();
+    await fn();
+    samples.push(Number(process.hrtime.bigint() - start) / 1e6);
+  }
+  samples.sort((a, b) => a - b);
+  return {
+    median: samples[Math.floor(samples.length / 2)],
+    p95: samples[Math.min(Math.ceil(samples.length * 0.95) - 1, samples.length - 1)],
+  };
+};
+
+const ms = (value) => Math.round(value * 10) / 10;
+
+const run = async () => {
+  if (URL === process.env.MONGO_URL) {
+    console.log("BENCH_MONGO_URL must not be the application database; it is dropped afterwards");
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    // Indexes are built explicitly, after the "before" measurements
+    await mongoose.connect(URL, { autoIndex: false });
+    console.log(`Seeding ${POSTS} posts into ${mongoose.connection.name}...`);
+    await seed();
+
+    const results = SCENARIOS.map((scenario) => ({ scenario: scenario.name }));
+
+    console.log("Measuring before (no secondary indexes)...");
+    for (const [i, scenario] of SCENARIOS.entries()) {
+      const { median, p95 } = await time(() => before(scenario));
+      Object.assign(results[i], { "before median ms": ms(median), "before p95 ms": ms(p95) });
+    }
+
+    console.log("Building indexes...");
+    await Post_Model.syncIndexes();
+
+    console.log("Measuring after (counters, indexes, cursors)...");
+    for (const [i, scenario] of SCENARIOS.entries()) {
+      const filter = postListFilter(scenario);
+      const cursor = await cursorAt(filter, scenario.sortBy, scenario.page);
+      const { median, p95 } = await time(() => after({ ...scenario, cursor }));
+      Object.assign(results[i], {
+        "after median ms": ms(median),
+        "after p95 ms": ms(p95),
+        speedup: `${ms(results[i]["before median ms"] / Math.max(median, 0.01))}x`,
+      });
+    }
+
+    console.table(results);
+  } catch (error) {
+    console.log(error.message);
+    process.exitCode = 1;
+  } finally {
+    if (!KEEP && mongoose.connection.readyState === 1) await mongoose.connection.dropDatabase();
+    await mongoose.disconnect();
+  }
+};
+
+run();
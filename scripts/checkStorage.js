@@ -0,0 +1,38 @@
+/*
+Round-trips a small file through the configured media storage: stores it,
+downloads it from the returned URL and removes it again.
+○	Usage: npm run check:storage
+○	Against MinIO: MEDIA_STORAGE=s3 S3_ENDPOINT=http://localhost:9000 S3_FORCE_PATH_STYLE=true S3_BUCKET=... npm run check:storage
+○	The local storage is only reachable while the server is running
+*/
+const crypto = require("crypto");
+const { MEDIA_STORAGE } = require("../config/media");
+const { getStorage } = require("../utils/mediaStorage");
+
+const run = async () => {
+  const storage = getStorage();
+  const key = `checks/${crypto.randomUUID()}.txt`;
+  const body = Buffer.from(`storage check ${new Date().toISOString()}`);
+  let stored = false;
+  try {
+    const url = await storage.put(key, body, "text/plain");
+    stored = true;
+    console.log(`Stored ${key} in ${MEDIA_STORAGE} storage at ${url}`);
+
+    const response = await fetch(url);
+    const fetched = Buffer.from(await response.arrayBuffer());
+    if (!response.ok) throw new Error(`Fetching ${url} failed with ${response.status}`);
+    if (!fetched.equals(body)) throw new Error(`${url} returned different content`);
+    console.log("Fetched it back from its public URL");
+  } catch (error) {
+    console.log(error.message);
+    process.exitCode = 1;
+  } finally {
+    if (stored) {
+      await storage.remove(key);
+      console.log(`Removed ${key}`);
+    }
+  }
+};
+
+run();
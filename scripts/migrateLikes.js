@@ -0,0 +1,86 @@
+/*
+Moves the likes stored on posts into Reactions of the type the like endpoints
+now add (rocket). Run it once after upgrading from a version with likes.
+○	Usage: npm run migrate:likes [-- --dry-run]
+○	Safe to run again: reactions that already exist are kept
+○	Drops the likes arrays and likesCount from posts
+○	Turns like notifications into reaction notifications
+○	Sets the reaction counters of every post and comment, builds the reactionsCount
+	indexes and drops the likesCount ones (other indexes are left alone)
+*/
+const mongoose = require("mongoose");
+const { connection } = require("../config/db");
+const { Post_Model } = require("../models/post.model");
+const { Reaction_Model } = require("../models/reaction.model");
+const { Notification_Model } = require("../models/notification.model");
+const { LIKE_REACTION, syncReactionCounters } = require("../utils/reactions");
+const { replacePostIndexes } = require("../utils/posts");
+
+const dryRun = process.argv.includes("--dry-run");
+
+// The likesCount listing indexes, replaced by the reactionsCount ones
+const LIKES_INDEXES = ["likesCount_-1__id_-1", "stockSymbol_1_likesCount_-1__id_-1", "cashtags_1_likesCount_-1__id_-1"];
+
+const migrate = async () => {
+  const report = { posts: 0, likes: 0, reactionsCreated: 0, notifications: 0, postCounters: 0, commentCounters: 0 };
+
+  // The unique index must exist before the upserts rely on it
+  if (!dryRun) await Reaction_Model.syncIndexes();
+
+  // The schema no longer knows likes, so the raw collection is read
+  const posts = Post_Model.collection.find({ likes: { $exists: true } }, { projection: { likes: 1, createdAt: 1 } });
+  for await (const post of posts) {
+    report.posts += 1;
+    report.likes += post.likes.length;
+    if (dryRun) continue;
+
+    if (post.likes.length) {
+      // When a like was given was never stored; the post's creation time is the best bound
+      const result = await Reaction_Model.bulkWrite(
+        post.likes.map((user) => ({
+          updateOne: {
+            filter: { target: post._id, user, type: LIKE_REACTION },
+            update: { $setOnInsert: { targetType: "Post", post: post._id, createdAt: post.createdAt || new Date() } },
+            upsert: true,
+          },
+        })),
+        { ordered: false }
+      );
+      report.reactionsCreated += result.upsertedCount;
+    }
+    await Post_Model.collection.updateOne({ _id: post._id }, { $unset: { likes: "", likesCount: "" } });
+  }
+
+  if (dryRun) {
+    report.notifications = await Notification_Model.countDocuments({ type: "like" });
+    report.postCounters = await syncReactionCounters("Post", { dryRun });
+    report.commentCounters = await syncReactionCounters("Comment", { dryRun });
+    return report;
+  }
+
+  await Post_Model.collection.updateMany({ likesCount: { $exists: true } }, { $unset: { likesCount: "" } });
+  report.notifications = (
+    await Notification_Model.collection.updateMany({ type: "like" }, { $set: { type: "reaction" } })
+  ).modifiedCount;
+  report.postCounters = await syncReactionCounters("Post");
+  report.commentCounters = await syncReactionCounters("Comment");
+
+  const dropped = await replacePostIndexes(LIKES_INDEXES);
+  if (dropped.length) console.log(`Dropped post indexes ${dropped.join(", ")}`);
+  return report;
+};
+
+const run = async () => {
+  try {
+    await connection;
+    const report = await migrate();
+    console.log(dryRun ? "Dry run, nothing changed:" : "Migrated:", report);
+  } catch (error) {
+    console.log(error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run();
@@ -0,0 +1,213 @@
+/*
+Finds and repairs data left inconsistent by deletes made before cascading
+deletes existed, or by a cascade interrupted on a standalone mongod.
+○	Usage: npm run repair:orphans [-- --dry-run]
+○	Removes comments whose post or parent comment no longer exists (with their replies)
+○	Pulls dangling comment ids out of post.comments and adds missing ones back
+○	Removes reactions of users, posts and comments that no longer exist
+○	Recounts commentsCount and the reaction counters where they have drifted
+*/
+const mongoose = require("mongoose");
+const { connection } = require("../config/db");
+const { User_Model } = require("../models/user.model");
+const { Post_Model } = require("../models/post.model");
+const { Comment_Model } = require("../models/comment.model");
+const { Reaction_Model } = require("../models/reaction.model");
+const { DRIFTED_COUNTERS, syncPostCounters } = require("../utils/posts");
+const { syncReactionCounters } = require("../utils/reactions");
+const { collectCommentTree } = require("../utils/cascade");
+
+const dryRun = process.argv.includes("--dry-run");
+
+const BATCH_SIZE = 500;
+
+/*
+Everything below streams through cursors and deletes in batches, so memory
+stays flat however large the collections are. Only the ids of orphaned
+comments are kept, and only on a dry run, where they are not deleted but must
+still not count as live.
+*/
+const batchDelete = (model) => {
+  let ids = [];
+  const flush = async () => {
+    if (!dryRun && ids.length) await model.deleteMany({ _id: { $in: ids } });
+    ids = [];
+  };
+  return {
+    add: async (id) => {
+      ids.push(id);
+      if (ids.length >= BATCH_SIZE) await flush();
+    },
+    flush,
+  };
+};
+
+const lookupIds = (from, localField, as) => ({
+  $lookup: { from, localField, foreignField: "_id", pipeline: [{ $project: { _id: 1 } }], as },
+});
+
+// Comments whose post or parent comment no longer exists
+const directOrphans = () =>
+  Comment_Model.aggregate([
+    lookupIds(Post_Model.collection.name, "post", "livePost"),
+    lookupIds(Comment_Model.collection.name, "parentComment", "liveParent"),
+    {
+      $match: {
+        $or: [{ livePost: { $size: 0 } }, { parentComment: { $ne: null }, liveParent: { $size: 0 } }],
+      },
+    },
+    { $project: { postGone: { $eq: [{ $size: "$livePost" }, 0] } } },
+  ]).cursor();
+
+/*
+Removes orphaned comments with every reply below them. Deleting a comment
+orphans its replies, so passes repeat until one finds nothing; a dry run
+deletes nothing and walks the reply trees instead. Returns the ids of the
+orphans on a dry run.
+*/
+const removeOrphanedComments = async (report) => {
+  const orphans = new Set();
+
+  if (dryRun) {
+    for await (const root of directOrphans()) {
+      // Replies of a comment whose post is gone are direct orphans themselves
+      const ids = root.postGone ? [root._id] : await collectCommentTree(root._id, null);
+      ids.forEach((id) => orphans.add(String(id)));
+    }
+    report.orphanedComments = orphans.size;
+    return orphans;
+  }
+
+  let found;
+  do {
+    found = 0;
+    const deleter = batchDelete(Comment_Model);
+    for await (const orphan of directOrphans()) {
+      found += 1;
+      await deleter.add(orphan._id);
+    }
+    await deleter.flush();
+    report.orphanedComments += found;
+  } while (found);
+  return orphans;
+};
+
+// Pulls dangling ids out of post.comments and adds missing live comments back, one post at a time
+const reconcileCommentRefs = async (report, orphans) => {
+  const posts = Post_Model.aggregate([
+    {
+      $lookup: {
+        from: Comment_Model.collection.name,
+        localField: "_id",
+        foreignField: "post",
+        pipeline: [{ $project: { _id: 1 } }],
+        as: "live",
+      },
+    },
+    { $project: { comments: 1, live: "$live._id" } },
+  ]).cursor();
+
+  for await (const post of posts) {
+    const live = new Set(post.live.map(String).filter((id) => !orphans.has(id)));
+    const referenced = new Set(post.comments.map(String));
+
+    const dangling = post.comments.filter((id) => !live.has(String(id)));
+    const missing = [...live].filter((id) => !referenced.has(id));
+
+    report.danglingCommentRefs += dangling.length;
+    report.missingCommentRefs += missing.length;
+
+    if (dryRun || (!dangling.length && !missing.length)) {
+      continue;
+    }
+
+    // $pull and $push cannot target the same path in one update
+    if (dangling.length) {
+      await Post_Model.updateOne(
+        { _id: post._id },
+        { $pull: { comments: { $in: dangling } } }
+      );
+    }
+    if (missing.length) {
+      await Post_Model.updateOne(
+        { _id: post._id },
+        { $addToSet: { comments: { $each: missing } } }
+      );
+    }
+  }
+};
+
+// Reactions whose user, post or comment is gone
+const removeDanglingReactions = async (report, orphans) => {
+  const deleter = batchDelete(Reaction_Model);
+
+  const reactions = Reaction_Model.aggregate([
+    lookupIds(User_Model.collection.name, "user", "liveUser"),
+    lookupIds(Post_Model.collection.name, "target", "livePost"),
+    lookupIds(Comment_Model.collection.name, "target", "liveComment"),
+    {
+      $project: {
+        target: 1,
+        gone: {
+          $or: [
+            { $eq: [{ $size: "$liveUser" }, 0] },
+            {
+              $eq: [
+                { $size: { $cond: [{ $eq: ["$targetType", "Post"] }, "$livePost", "$liveComment"] } },
+                0,
+              ],
+            },
+          ],
+        },
+      },
+    },
+  ]).cursor();
+
+  for await (const reaction of reactions) {
+    if (!reaction.gone && !orphans.has(String(reaction.target))) continue;
+    report.danglingReactions += 1;
+    await deleter.add(reaction._id);
+  }
+  await deleter.flush();
+};
+
+const repair = async () => {
+  const report = {
+    orphanedComments: 0,
+    danglingCommentRefs: 0,
+    missingCommentRefs: 0,
+    danglingReactions: 0,
+    driftedCounters: 0,
+    driftedReactionCounters: 0,
+  };
+
+  const orphans = await removeOrphanedComments(report);
+  await reconcileCommentRefs(report, orphans);
+  await removeDanglingReactions(report, orphans);
+
+  // Runs last so it also fixes the counters of the posts and comments repaired above
+  if (dryRun) {
+    report.driftedCounters = await Post_Model.countDocuments(DRIFTED_COUNTERS);
+  } else {
+    report.driftedCounters = (await syncPostCounters()).modifiedCount;
+  }
+  report.driftedReactionCounters =
+    (await syncReactionCounters("Post", { dryRun })) + (await syncReactionCounters("Comment", { dryRun }));
+
+  return report;
+};
+
+const run = async () => {
+  try {
+    await connection;
+    const report = await repair();
+    console.log(dryRun ? "Dry run, nothing changed:" : "Repaired:", report);
+  } catch (error) {
+    console.log(error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run();
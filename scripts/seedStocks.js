@@ -0,0 +1,107 @@
+/*
+Loads the stock registry from data/stocks.csv and normalizes the symbols of
+existing posts so "aapl", "AAPL " and "$AAPL" are counted as one stock.
+○	Usage: npm run seed:stocks [-- path/to/stocks.csv]
+○	CSV columns: symbol,name,exchange,sector
+○	Re-running is safe: rows are upserted by symbol
+*/
+const fs = require("fs");
+const path = require("path");
+const mongoose = require("mongoose");
+const { connection } = require("../config/db");
+const { Stock_Model } = require("../models/stock.model");
+const { Post_Model } = require("../models/post.model");
+const { normalizeSymbol } = require("../utils/stocks");
+
+const csvPath = process.argv[2] || path.join(__dirname, "..", "data", "stocks.csv");
+
+// Minimal CSV reader: quoted fields may contain commas and doubled quotes
+const parseLine = (line) => {
+  const fields = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      fields.push(field);
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields.map((value) => value.trim());
+};
+
+const readStocks = (file) => {
+  const [header, ...lines] = fs
+    .readFileSync(file, "utf8")
+    .split(/\r?\n/)
+    .filter((line) => line.trim());
+  const columns = parseLine(header);
+
+  return lines.map((line) => {
+    const values = parseLine(line);
+    const row = {};
+    columns.forEach((column, i) => (row[column] = values[i] || ""));
+    row.symbol = normalizeSymbol(row.symbol);
+    return row;
+  });
+};
+
+const normalizePostSymbols = async () => {
+  const symbols = await Post_Model.distinct("stockSymbol");
+  let updated = 0;
+  for (const symbol of symbols) {
+    const normalized = normalizeSymbol(symbol);
+    if (normalized === symbol) continue;
+    const result = await Post_Model.updateMany(
+      { stockSymbol: symbol },
+      { stockSymbol: normalized }
+    );
+    updated += result.modifiedCount;
+  }
+  return updated;
+};
+
+const run = async () => {
+  try {
+    await connection;
+    const stocks = readStocks(csvPath);
+
+    const result = await Stock_Model.bulkWrite(
+      stocks.map((stock) => ({
+        updateOne: {
+          filter: { symbol: stock.symbol },
+          update: { $set: stock },
+          upsert: true,
+        },
+      }))
+    );
+    console.log(
+      `Stocks: ${result.upsertedCount} added, ${result.modifiedCount} updated`
+    );
+
+    const postsUpdated = await normalizePostSymbols();
+    console.log(`Posts with normalized symbols: ${postsUpdated}`);
+  } catch (error) {
+    console.log(error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run();
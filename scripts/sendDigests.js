@@ -0,0 +1,24 @@
+/*
+Sends every email digest that is due right now, without waiting for the job.
+○	Usage: npm run send:digests
+○	Mail goes through MAIL_TRANSPORT; use MAIL_TRANSPORT=file to inspect the digests in MAIL_DIR
+*/
+const mongoose = require("mongoose");
+const { connection } = require("../config/db");
+const { sendDueDigests } = require("../utils/digests");
+
+const run = async () => {
+  try {
+    await connection;
+    const { checked, sent, failed } = await sendDueDigests();
+    console.log(`${checked} digests due: ${sent} sent, ${checked - sent - failed} skipped, ${failed} failed`);
+    if (failed) process.exitCode = 1;
+  } catch (error) {
+    console.log(error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run();
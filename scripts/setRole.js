@@ -0,0 +1,37 @@
+/*
+Sets a user's role from the command line. Used to appoint the first admin,
+who can then manage roles through PUT /api/mod/users/:userId/role.
+○	Usage: npm run set:role -- <email> <user|moderator|admin>
+*/
+const mongoose = require("mongoose");
+const { connection } = require("../config/db");
+const { User_Model } = require("../models/user.model");
+const { ROLES } = require("../utils/roles");
+
+const [email, role] = process.argv.slice(2);
+
+const run = async () => {
+  if (!email || !ROLES.includes(role)) {
+    console.log(`Usage: npm run set:role -- <email> <${ROLES.join("|")}>`);
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await connection;
+    const user = await User_Model.findOneAndUpdate({ email }, { role }, { new: true });
+    if (!user) {
+      console.log(`No user with email ${email}`);
+      process.exitCode = 1;
+      return;
+    }
+    console.log(`${user.username} is now ${user.role}`);
+  } catch (error) {
+    console.log(error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run();
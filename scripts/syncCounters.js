@@ -0,0 +1,36 @@
+/*
+Prepares existing data for the post and comment counters.
+○	Usage: npm run sync:counters
+○	Sets commentsCount from the comments arrays wherever it is missing or wrong
+○	Sets the reaction counters of posts and comments from the Reactions
+○	Builds the post listing indexes and drops the single-field cashtags index they replace
+*/
+const mongoose = require("mongoose");
+const { connection } = require("../config/db");
+const { syncPostCounters, replacePostIndexes } = require("../utils/posts");
+const { syncReactionCounters } = require("../utils/reactions");
+
+// Covered by { cashtags: 1, _id: -1 }
+const OBSOLETE_INDEXES = ["cashtags_1"];
+
+const run = async () => {
+  try {
+    await connection;
+    const { modifiedCount } = await syncPostCounters();
+    const postReactions = await syncReactionCounters("Post");
+    const commentReactions = await syncReactionCounters("Comment");
+    console.log(
+      `Comment counters updated on ${modifiedCount} posts; reaction counters on ${postReactions} posts and ${commentReactions} comments`
+    );
+
+    const dropped = await replacePostIndexes(OBSOLETE_INDEXES);
+    console.log(dropped.length ? `Indexes built; dropped ${dropped.join(", ")}` : "Indexes built");
+  } catch (error) {
+    console.log(error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run();
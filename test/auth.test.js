@@ -0,0 +1,89 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const bcrypt = require("bcrypt");
+const { startDatabase, stopDatabase, api, createUser } = require("./helpers");
+
+before(() => startDatabase(__filename));
+after(stopDatabase);
+
+describe("POST /api/auth/login", () => {
+  it("returns a token pair for the right password", async () => {
+    const user = await createUser();
+    const response = await api().post("/api/auth/login").send({ email: user.email, password: user.password }).expect(200);
+
+    assert.ok(response.body.data.token);
+    assert.ok(response.body.data.refreshToken);
+    assert.equal(response.body.data.user.id, user.id);
+    assert.equal(response.body.data.user.emailVerified, true);
+  });
+
+  it("answers a wrong password and an unknown email the same way", async () => {
+    const user = await createUser();
+    const wrong = await api().post("/api/auth/login").send({ email: user.email, password: "not the password" }).expect(401);
+    const unknown = await api().post("/api/auth/login").send({ email: "nobody@example.com", password: "not the password" }).expect(401);
+
+    assert.deepEqual(unknown.body.error, wrong.body.error);
+    assert.equal(unknown.body.error.code, "INVALID_CREDENTIALS");
+  });
+
+  it("compares a password hash even when the email is unknown", async (t) => {
+    const compare = t.mock.method(bcrypt, "compare");
+    await api().post("/api/auth/login").send({ email: "ghost@example.com", password: "whatever it is" }).expect(401);
+
+    assert.equal(compare.mock.callCount(), 1);
+  });
+});
+
+describe("login lockout", () => {
+  const attempt = (email, password, ip) =>
+    api().post("/api/auth/login").set("X-Forwarded-For", ip).send({ email, password });
+
+  it("locks the account for the guessing IP only", async () => {
+    const user = await createUser();
+    for (let i = 0; i < 2; i += 1) {
+      await attempt(user.email, "wrong password", "203.0.113.5").expect(401);
+    }
+    const locked = await attempt(user.email, "wrong password", "203.0.113.5").expect(429);
+    assert.equal(locked.body.error.code, "ACCOUNT_LOCKED");
+    assert.ok(Number(locked.headers["retry-after"]) > 0);
+
+    // Even the right password is refused from that address while the lock lasts
+    await attempt(user.email, user.password, "203.0.113.5").expect(429);
+    // The owner signs in from elsewhere
+    await attempt(user.email, user.password, "198.51.100.7").expect(200);
+  });
+
+  it("forgets earlier failures after a successful login", async () => {
+    const user = await createUser();
+    await attempt(user.email, "wrong password", "203.0.113.9").expect(401);
+    await attempt(user.email, "wrong password", "203.0.113.9").expect(401);
+    await attempt(user.email, user.password, "203.0.113.9").expect(200);
+
+    await attempt(user.email, "wrong password", "203.0.113.9").expect(401);
+    await attempt(user.email, "wrong password", "203.0.113.9").expect(401);
+  });
+
+  it("counts failures for unknown emails too", async () => {
+    for (let i = 0; i < 2; i += 1) {
+      await attempt("unknown@example.com", "wrong password", "203.0.113.11").expect(401);
+    }
+    await attempt("unknown@example.com", "wrong password", "203.0.113.11").expect(429);
+  });
+});
+
+describe("authenticated requests", () => {
+  it("need a token", async () => {
+    const response = await api().post("/api/posts").send({}).expect(401);
+    assert.equal(response.body.error.code, "TOKEN_MISSING");
+  });
+
+  it("keep users without a verified email from posting", async () => {
+    const user = await createUser({ verified: false });
+    const response = await api()
+      .post("/api/posts")
+      .set("Authorization", `Bearer ${user.token}`)
+      .send({ stockSymbol: "AAPL", title: "Title", description: "Description" })
+      .expect(403);
+    assert.equal(response.body.error.code, "EMAIL_NOT_VERIFIED");
+  });
+});
@@ -0,0 +1,88 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startDatabase, stopDatabase, api, createUser, createStock, createPost, createComment } = require("./helpers");
+const { Post_Model } = require("../models/post.model");
+const { Comment_Model } = require("../models/comment.model");
+const { Reaction_Model } = require("../models/reaction.model");
+const { Notification_Model } = require("../models/notification.model");
+const { Bookmark_Model } = require("../models/bookmark.model");
+
+before(async () => {
+  await startDatabase(__filename);
+  await createStock();
+});
+after(stopDatabase);
+
+const auth = (user) => ["Authorization", `Bearer ${user.token}`];
+
+describe("DELETE /api/posts/:postId", () => {
+  it("removes the post with its comments, replies, reactions, bookmarks and notifications", async () => {
+    const author = await createUser();
+    const reader = await createUser();
+    const postId = await createPost(author);
+    const commentId = await createComment(reader, postId);
+    const replyId = await createComment(author, postId, commentId);
+    await api().post(`/api/posts/${postId}/reactions/bull`).set(...auth(reader)).expect(200);
+    await api().post(`/api/posts/${postId}/comments/${replyId}/reactions/funny`).set(...auth(reader)).expect(200);
+    await api().post(`/api/posts/${postId}/bookmark`).set(...auth(reader)).expect(200);
+    assert.ok(await Notification_Model.exists({ post: postId }));
+
+    await api().delete(`/api/posts/${postId}`).set(...auth(author)).expect(200);
+
+    assert.equal(await Post_Model.exists({ _id: postId }), null);
+    assert.equal(await Comment_Model.countDocuments({ _id: { $in: [commentId, replyId] } }), 0);
+    assert.equal(await Reaction_Model.countDocuments({ post: postId }), 0);
+    assert.equal(await Bookmark_Model.countDocuments({ post: postId }), 0);
+    assert.equal(await Notification_Model.countDocuments({ post: postId }), 0);
+  });
+
+  it("is only allowed to the author", async () => {
+    const author = await createUser();
+    const other = await createUser();
+    const postId = await createPost(author);
+
+    const response = await api().delete(`/api/posts/${postId}`).set(...auth(other)).expect(403);
+    assert.equal(response.body.error.code, "NOT_POST_AUTHOR");
+    assert.ok(await Post_Model.exists({ _id: postId }));
+  });
+});
+
+describe("DELETE /api/posts/:postId/comments/:commentId", () => {
+  it("removes the comment with every reply below it and recounts the post", async () => {
+    const author = await createUser();
+    const reader = await createUser();
+    const postId = await createPost(author);
+    const kept = await createComment(author, postId);
+    const commentId = await createComment(reader, postId);
+    const replyId = await createComment(author, postId, commentId);
+    const nestedId = await createComment(reader, postId, replyId);
+    await api().post(`/api/posts/${postId}/comments/${nestedId}/reactions/rocket`).set(...auth(author)).expect(200);
+
+    await api().delete(`/api/posts/${postId}/comments/${commentId}`).set(...auth(reader)).expect(200);
+
+    const removed = [commentId, replyId, nestedId];
+    assert.equal(await Comment_Model.countDocuments({ _id: { $in: removed } }), 0);
+    assert.equal(await Reaction_Model.countDocuments({ target: { $in: removed } }), 0);
+    assert.equal(await Notification_Model.countDocuments({ comment: { $in: removed } }), 0);
+
+    const post = await Post_Model.findById(postId).lean();
+    assert.deepEqual(post.comments.map(String), [kept]);
+    assert.equal(post.commentsCount, 1);
+  });
+});
+
+describe("POST /api/posts/:postId/comments", () => {
+  it("refuses comments on a hidden post and leaves no comment behind", async () => {
+    const author = await createUser();
+    const postId = await createPost(author);
+    await Post_Model.updateOne({ _id: postId }, { hiddenAt: new Date() });
+
+    const response = await api()
+      .post(`/api/posts/${postId}/comments`)
+      .set(...auth(author))
+      .send({ comment: "Too late" })
+      .expect(404);
+    assert.equal(response.body.error.code, "POST_NOT_FOUND");
+    assert.equal(await Comment_Model.countDocuments({ post: postId }), 0);
+  });
+});
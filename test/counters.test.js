@@ -0,0 +1,128 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { startDatabase, stopDatabase, api, createUser, createStock, createPost, createComment } = require("./helpers");
+const { Post_Model } = require("../models/post.model");
+const { Reaction_Model } = require("../models/reaction.model");
+const { addReaction } = require("../utils/reactions");
+
+before(async () => {
+  await startDatabase(__filename);
+  await createStock();
+});
+after(stopDatabase);
+
+const auth = (user) => ["Authorization", `Bearer ${user.token}`];
+
+describe("comment counters", () => {
+  it("count every comment and reply on the post", async () => {
+    const author = await createUser();
+    const postId = await createPost(author);
+    const commentId = await createComment(author, postId);
+    await createComment(author, postId, commentId);
+
+    const post = await Post_Model.findById(postId).lean();
+    assert.equal(post.commentsCount, 2);
+    assert.equal(post.comments.length, 2);
+  });
+});
+
+describe("reaction counters", () => {
+  it("follow reactions being added and taken back", async () => {
+    const author = await createUser();
+    const reader = await createUser();
+    const postId = await createPost(author);
+
+    const added = await api().post(`/api/posts/${postId}/reactions/bull`).set(...auth(reader)).expect(200);
+    assert.equal(added.body.data.reactions.bull, 1);
+    assert.equal(added.body.data.reactionsCount, 1);
+    await api().post(`/api/posts/${postId}/reactions/rocket`).set(...auth(author)).expect(200);
+
+    const removed = await api().delete(`/api/posts/${postId}/reactions/bull`).set(...auth(reader)).expect(200);
+    assert.equal(removed.body.data.reactions.bull, 0);
+    assert.equal(removed.body.data.reactionsCount, 1);
+
+    const post = await Post_Model.findById(postId).lean();
+    assert.equal(post.reactionsCount, await Reaction_Model.countDocuments({ target: postId }));
+  });
+
+  it("do not count the same reaction twice", async () => {
+    const author = await createUser();
+    const postId = await createPost(author);
+    await api().post(`/api/posts/${postId}/reactions/bear`).set(...auth(author)).expect(200);
+
+    const again = await api().post(`/api/posts/${postId}/reactions/bear`).set(...auth(author)).expect(409);
+    assert.equal(again.body.error.code, "ALREADY_REACTED");
+
+    const post = await Post_Model.findById(postId).lean();
+    assert.equal(post.reactions.bear, 1);
+    assert.equal(post.reactionsCount, 1);
+  });
+
+  it("count concurrent reactions of one user once", async () => {
+    const author = await createUser();
+    const postId = await createPost(author);
+    const responses = await Promise.all(
+      [1, 2, 3].map(() => api().post(`/api/posts/${postId}/reactions/insightful`).set(...auth(author)))
+    );
+
+    assert.deepEqual(responses.map((response) => response.status).sort(), [200, 409, 409]);
+    const post = await Post_Model.findById(postId).lean();
+    assert.equal(post.reactionsCount, 1);
+  });
+
+  it("leave no reaction behind on a target deleted meanwhile", async () => {
+    const user = await createUser();
+    const target = { _id: new mongoose.Types.ObjectId() };
+
+    assert.equal(await addReaction(user.id, "Post", target, "rocket"), false);
+    assert.equal(await Reaction_Model.countDocuments({ target: target._id }), 0);
+  });
+});
+
+describe("poll tallies", () => {
+  const poll = () => ({ options: ["Up", "Down"], closesAt: new Date(Date.now() + 60 * 60 * 1000).toISOString() });
+
+  const vote = (user, postId, option) =>
+    api().post(`/api/posts/${postId}/poll/vote`).set(...auth(user)).send({ option }).expect(200);
+
+  const deleteAccount = (user) => api().delete("/api/user").set(...auth(user)).send({ password: user.password }).expect(200);
+
+  it("move with a changed vote", async () => {
+    const author = await createUser();
+    const postId = await createPost(author, { poll: poll() });
+    await vote(author, postId, 0);
+    await vote(author, postId, 1);
+
+    const post = await Post_Model.findById(postId).lean();
+    assert.deepEqual(post.poll.options.map((option) => option.votesCount), [0, 1]);
+    assert.equal(post.poll.votesCount, 1);
+  });
+
+  it("drop the votes of a deleted account while the poll is open", async () => {
+    const author = await createUser();
+    const voter = await createUser();
+    const postId = await createPost(author, { poll: poll() });
+    await vote(voter, postId, 0);
+
+    await deleteAccount(voter);
+
+    const post = await Post_Model.findById(postId).lean();
+    assert.equal(post.poll.options[0].votesCount, 0);
+    assert.equal(post.poll.votesCount, 0);
+  });
+
+  it("keep the results of a closed poll when an account is deleted", async () => {
+    const author = await createUser();
+    const voter = await createUser();
+    const postId = await createPost(author, { poll: poll() });
+    await vote(voter, postId, 1);
+    await Post_Model.updateOne({ _id: postId }, { "poll.closesAt": new Date(Date.now() - 1000) });
+
+    await deleteAccount(voter);
+
+    const post = await Post_Model.findById(postId).lean();
+    assert.equal(post.poll.options[1].votesCount, 1);
+    assert.equal(post.poll.votesCount, 1);
+  });
+});
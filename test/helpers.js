@@ -0,0 +1,97 @@
+/*
+Shared setup for the request-level tests. Every test file runs in its own
+process with its own database: an in-memory single-node replica set (so
+cascades run in transactions), or MONGO_TEST_URI when it is set, e.g. in CI.
+Load this before anything else from the app so the settings below apply.
+*/
+process.env.NODE_ENV = "test";
+process.env.JWT_SECRET_KEY = process.env.JWT_SECRET_KEY || "test-secret";
+process.env.TRUST_PROXY = "1";
+process.env.LOGIN_LOCKOUT_THRESHOLD = "3";
+["API", "AUTH", "POSTS", "COMMENTS", "REACTIONS", "VOTES"].forEach((name) => {
+  process.env[`RATE_LIMIT_${name}`] = "10000/1m";
+});
+
+const path = require("path");
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const request = require("supertest");
+const { MongoMemoryReplSet } = require("mongodb-memory-server");
+const { app } = require("../app");
+const { setTransport } = require("../utils/mail");
+const { User_Model } = require("../models/user.model");
+const { Stock_Model } = require("../models/stock.model");
+
+// Mail would otherwise be printed by the console transport
+setTransport({ async send() {} });
+
+let replSet = null;
+
+const startDatabase = async (file) => {
+  let uri = process.env.MONGO_TEST_URI;
+  if (!uri) {
+    replSet = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+    uri = replSet.getUri();
+  }
+  const dbName = `alpha-tribe-test-${path.basename(file, ".test.js")}-${process.pid}`;
+  await mongoose.connect(uri, { dbName });
+  // Unique indexes have to exist before the tests that race on them
+  await Promise.all(mongoose.modelNames().map((name) => mongoose.model(name).init()));
+};
+
+const stopDatabase = async () => {
+  if (mongoose.connection.readyState === 1) await mongoose.connection.dropDatabase();
+  await mongoose.disconnect();
+  if (replSet) await replSet.stop();
+};
+
+const api = () => request(app);
+
+/*
+Registers a user and logs them in. Their email is verified unless
+`verified` is false. Returns { id, email, password, token, refreshToken }.
+*/
+const createUser = async ({ verified = true } = {}) => {
+  const name = `user_${crypto.randomBytes(4).toString("hex")}`;
+  const email = `${name}@example.com`;
+  const password = "correct horse battery";
+
+  const registered = await api().post("/api/auth/register").send({ username: name, email, password }).expect(200);
+  const id = registered.body.data.userId;
+  if (verified) await User_Model.updateOne({ _id: id }, { emailVerifiedAt: new Date() });
+
+  const login = await api().post("/api/auth/login").send({ email, password }).expect(200);
+  return { id, email, password, token: login.body.data.token, refreshToken: login.body.data.refreshToken };
+};
+
+const createStock = (symbol = "AAPL") => Stock_Model.updateOne({ symbol }, { name: `${symbol} Inc.` }, { upsert: true });
+
+// Creates a post as `user` and returns its id
+const createPost = async (user, body = {}) => {
+  const response = await api()
+    .post("/api/posts")
+    .set("Authorization", `Bearer ${user.token}`)
+    .send({ stockSymbol: "AAPL", title: "Services margins", description: "Looking strong this quarter", ...body })
+    .expect(200);
+  return response.body.data.postId;
+};
+
+// Comments on a post as `user`, optionally as a reply, and returns the comment id
+const createComment = async (user, postId, parentCommentId) => {
+  const response = await api()
+    .post(`/api/posts/${postId}/comments`)
+    .set("Authorization", `Bearer ${user.token}`)
+    .send({ comment: "Agreed", ...(parentCommentId && { parentCommentId }) })
+    .expect(200);
+  return response.body.data.commentId;
+};
+
+module.exports = {
+  startDatabase,
+  stopDatabase,
+  api,
+  createUser,
+  createStock,
+  createPost,
+  createComment,
+};
@@ -0,0 +1,62 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startDatabase, stopDatabase, api, createUser } = require("./helpers");
+
+before(() => startDatabase(__filename));
+after(stopDatabase);
+
+const refresh = (refreshToken) => api().post("/api/auth/refresh").send({ refreshToken });
+
+// Any authenticated endpoint; 200 while the access token's session is alive
+const me = (token) => api().get("/api/notifications").set("Authorization", `Bearer ${token}`);
+
+describe("POST /api/auth/refresh", () => {
+  it("rotates the refresh token", async () => {
+    const user = await createUser();
+    const first = await refresh(user.refreshToken).expect(200);
+    assert.notEqual(first.body.data.refreshToken, user.refreshToken);
+
+    const second = await refresh(first.body.data.refreshToken).expect(200);
+    await me(second.body.data.token).expect(200);
+  });
+
+  it("revokes the whole family when a rotated token is presented again", async () => {
+    const user = await createUser();
+    const rotated = await refresh(user.refreshToken).expect(200);
+
+    const reused = await refresh(user.refreshToken).expect(401);
+    assert.equal(reused.body.error.code, "REFRESH_TOKEN_INVALID");
+
+    // The thief and the owner both lose the session
+    await refresh(rotated.body.data.refreshToken).expect(401);
+    const denied = await me(rotated.body.data.token).expect(401);
+    assert.equal(denied.body.error.code, "TOKEN_INVALID");
+    await me(user.token).expect(401);
+  });
+
+  it("leaves the user's other sessions alone", async () => {
+    const user = await createUser();
+    const other = await api().post("/api/auth/login").send({ email: user.email, password: user.password }).expect(200);
+
+    await refresh(user.refreshToken).expect(200);
+    await refresh(user.refreshToken).expect(401);
+
+    await me(other.body.data.token).expect(200);
+    await refresh(other.body.data.refreshToken).expect(200);
+  });
+
+  it("rejects an access token in place of a refresh token", async () => {
+    const user = await createUser();
+    await refresh(user.token).expect(401);
+  });
+});
+
+describe("POST /api/auth/logout", () => {
+  it("ends the session of the token it is called with", async () => {
+    const user = await createUser();
+    await api().post("/api/auth/logout").set("Authorization", `Bearer ${user.token}`).expect(200);
+
+    await me(user.token).expect(401);
+    await refresh(user.refreshToken).expect(401);
+  });
+});
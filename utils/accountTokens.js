@@ -0,0 +1,81 @@
+const crypto = require("crypto");
+const { AccountToken_Model } = require("../models/accountToken.model");
+const { MAIL } = require("../config/mail");
+const { sendMail } = require("./mail");
+
+const TOKEN_TTL_MS = {
+  "verify-email": 24 * 60 * 60 * 1000, // 24 hours
+  "reset-password": 60 * 60 * 1000, // 1 hour
+};
+
+// Only the hash is stored, so a leaked database cannot be used to take over accounts
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// Issues a new token for `purpose`; tokens issued before it stop working
+const createAccountToken = async (userId, purpose, email = null) => {
+  const token = crypto.randomBytes(32).toString("hex");
+  await AccountToken_Model.deleteMany({ user: userId, purpose });
+  await AccountToken_Model.create({
+    user: userId,
+    purpose,
+    email,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TOKEN_TTL_MS[purpose]),
+  });
+  return token;
+};
+
+/*
+Marks a token used and returns it ({ user, email, ... }), or null when the
+token is unknown, expired or already used. The update is atomic, so a token can only
+be redeemed once even when two requests race.
+*/
+const consumeAccountToken = async (token, purpose) => {
+  const record = await AccountToken_Model.findOneAndUpdate(
+    { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() }
+  );
+  return record;
+};
+
+// Verifies the user's address, or the new one (`email`) when they are changing it
+const sendVerificationEmail = async (user, email = user.email) => {
+  const token = await createAccountToken(user._id, "verify-email", email);
+  await sendMail({
+    to: email,
+    subject: "Verify your email address",
+    text: [
+      `Hi ${user.username},`,
+      "",
+      "Confirm your email address to start posting:",
+      `${MAIL.appUrl}/verify-email?token=${token}`,
+      "",
+      `Or send this token to POST /api/auth/verify-email: ${token}`,
+      "The link expires in 24 hours.",
+    ].join("\n"),
+  });
+};
+
+const sendPasswordResetEmail = async (user) => {
+  const token = await createAccountToken(user._id, "reset-password");
+  await sendMail({
+    to: user.email,
+    subject: "Reset your password",
+    text: [
+      `Hi ${user.username},`,
+      "",
+      "Someone asked to reset the password of your account. If it was you, choose a new one here:",
+      `${MAIL.appUrl}/reset-password?token=${token}`,
+      "",
+      `Or send this token to POST /api/auth/reset-password: ${token}`,
+      "The link expires in 1 hour. If you did not ask for it, ignore this email.",
+    ].join("\n"),
+  });
+};
+
+module.exports = {
+  createAccountToken,
+  consumeAccountToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+};
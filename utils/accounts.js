@@ -0,0 +1,146 @@
+const crypto = require("crypto");
+const { User_Model } = require("../models/user.model");
+const { Post_Model } = require("../models/post.model");
+const { Comment_Model } = require("../models/comment.model");
+const { Follow_Model } = require("../models/follow.model");
+const { Notification_Model } = require("../models/notification.model");
+const { PostRevision_Model } = require("../models/postRevision.model");
+const { Report_Model } = require("../models/report.model");
+const { AuditLog_Model } = require("../models/auditLog.model");
+const { RefreshToken_Model } = require("../models/refreshToken.model");
+const { AccountToken_Model } = require("../models/accountToken.model");
+const { Bookmark_Model } = require("../models/bookmark.model");
+const { BookmarkCollection_Model } = require("../models/bookmarkCollection.model");
+const { Watchlist_Model } = require("../models/watchlist.model");
+const { PollVote_Model } = require("../models/pollVote.model");
+const { Media_Model } = require("../models/media.model");
+const { Reaction_Model } = require("../models/reaction.model");
+const { deletePostCascade, deleteCommentCascade } = require("./cascade");
+const { revokeUserSessions } = require("./tokens");
+const { deleteUserBookmarks } = require("./bookmarks");
+const { removeUserVotes } = require("./polls");
+const { removeUserReactions } = require("./reactions");
+const { deleteMedia } = require("./media");
+const { emitToPost } = require("./socket");
+
+// What happens to the posts and comments of a closed account
+const CONTENT_ACTIONS = ["anonymize", "delete"];
+
+const removeContent = async (userId) => {
+  const posts = await Post_Model.find({ user: userId }).select("_id");
+  for (const post of posts) {
+    await deletePostCascade(post._id);
+    emitToPost(post._id, "post:deleted", { postId: post._id });
+  }
+
+  // Shallowest first: deleting a comment takes its replies, which are then skipped
+  const comments = await Comment_Model.find({ user: userId }).sort({ depth: 1 });
+  const deleted = new Set();
+  for (const comment of comments) {
+    if (deleted.has(String(comment._id))) continue;
+    const deletedIds = await deleteCommentCascade(comment);
+    deletedIds.forEach((id) => deleted.add(String(id)));
+    emitToPost(comment.post, "comment:deleted", { postId: comment.post, commentId: comment._id, deletedIds });
+  }
+};
+
+/*
+Closes an account. The user document stays behind as a tombstone stripped of
+everything personal, so anonymized posts and comments, reports and the audit
+log keep a valid reference. With content "delete" their posts and comments
+(and the replies below them) are removed as well; reactions, poll votes, the
+profile picture, unattached uploads, bookmarks, watchlists, follows,
+notifications and sessions always go.
+*/
+const deleteAccount = async (userId, content) => {
+  if (content === "delete") await removeContent(userId);
+
+  await removeUserReactions(userId);
+  await removeUserVotes(userId);
+  await deleteMedia({ user: userId, $or: [{ kind: "avatar" }, { post: null }] });
+  await Follow_Model.deleteMany({ $or: [{ follower: userId }, { following: userId }] });
+  await Notification_Model.deleteMany({ recipient: userId });
+  await Notification_Model.updateMany(
+    { actors: userId },
+    { $pull: { actors: userId }, $inc: { actorsCount: -1 } }
+  );
+  await Notification_Model.deleteMany({ actorsCount: { $lte: 0 } });
+  await AccountToken_Model.deleteMany({ user: userId });
+  await deleteUserBookmarks(userId);
+  await Watchlist_Model.deleteMany({ user: userId });
+  await revokeUserSessions(userId, "account deleted");
+
+  await User_Model.updateOne(
+    { _id: userId },
+    {
+      username: `deleted-${userId}`,
+      email: `deleted-${userId}@deleted.invalid`,
+      // Not a bcrypt hash, so no password can match it
+      password: crypto.randomBytes(32).toString("hex"),
+      bio: "",
+      profilePicture: "",
+      profileThumbnail: "",
+      avatar: null,
+      followedStocks: [],
+      digest: { frequency: "off", tags: [], lastSentAt: null },
+      role: "user",
+      emailVerifiedAt: null,
+      suspendedAt: null,
+      suspendedUntil: null,
+      suspensionReason: "",
+      deletedAt: new Date(),
+    }
+  );
+};
+
+/*
+Everything stored about a user, for data access requests. Other people's data
+is left out: posts and comments are listed by id only where the user merely
+reacted to them, notifications keep how many users triggered them but not who,
+and moderators are not named.
+*/
+const exportAccount = async (userId) => {
+  const [
+    user, posts, comments, revisions, reactions, pollVotes, media, bookmarks, collections, watchlists,
+    following, followers, notifications, reports, moderation, sessions,
+  ] = await Promise.all([
+    User_Model.findById(userId).select("-password -__v").lean(),
+    Post_Model.find({ user: userId }).select("-comments -__v").sort({ createdAt: 1 }).lean(),
+    Comment_Model.find({ user: userId }).select("-__v").sort({ createdAt: 1 }).lean(),
+    PostRevision_Model.find({ editor: userId }).select("-__v").sort({ createdAt: 1 }).lean(),
+    Reaction_Model.find({ user: userId }).select("targetType target post type createdAt").sort({ createdAt: 1 }).lean(),
+    PollVote_Model.find({ user: userId }).select("post option createdAt updatedAt").lean(),
+    Media_Model.find({ user: userId }).select("kind url thumbnailUrl contentType width height size post createdAt").lean(),
+    Bookmark_Model.find({ user: userId }).select("post collections createdAt").sort({ createdAt: 1 }).lean(),
+    BookmarkCollection_Model.find({ user: userId }).select("-__v").sort({ name: 1 }).lean(),
+    Watchlist_Model.find({ user: userId }).select("-__v").sort({ name: 1 }).lean(),
+    Follow_Model.find({ follower: userId }).populate("following", "username").lean(),
+    Follow_Model.find({ following: userId }).populate("follower", "username").lean(),
+    Notification_Model.find({ recipient: userId }).select("-actors -__v").sort({ createdAt: 1 }).lean(),
+    Report_Model.find({ reporter: userId }).select("targetType post comment reason details status createdAt").lean(),
+    AuditLog_Model.find({ targetId: userId }).select("action reason createdAt").lean(),
+    RefreshToken_Model.find({ user: userId }).select("createdAt expiresAt revokedAt revokedReason").lean(),
+  ]);
+
+  return {
+    exportedAt: new Date(),
+    profile: user,
+    posts,
+    comments,
+    postRevisions: revisions,
+    reactions,
+    pollVotes,
+    media,
+    bookmarks,
+    bookmarkCollections: collections,
+    watchlists,
+    following: following.map((follow) => ({ user: follow.following, since: follow.createdAt })),
+    followers: followers.map((follow) => ({ user: follow.follower, since: follow.createdAt })),
+    notifications,
+    reports,
+    moderationActions: moderation,
+    sessions,
+  };
+};
+
+module.exports = { CONTENT_ACTIONS, deleteAccount, exportAccount };
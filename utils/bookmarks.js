@@ -0,0 +1,115 @@
+const { Bookmark_Model } = require("../models/bookmark.model");
+const { BookmarkCollection_Model } = require("../models/bookmarkCollection.model");
+const { Post_Model } = require("../models/post.model");
+const { POST_SUMMARY_FIELDS, formatPostSummary } = require("./posts");
+const { VISIBLE } = require("./moderation");
+
+/*
+Bookmarks the post, filing it into `collectionId` when given. Returns false
+when nothing changed: the post was already bookmarked (and already in the
+collection). post.bookmarksCount only moves for new bookmarks.
+*/
+const addBookmark = async (userId, postId, collectionId = null) => {
+  const update = { $setOnInsert: { createdAt: new Date() } };
+  if (collectionId) update.$addToSet = { collections: collectionId };
+
+  // The unique { user, post } index turns a racing second insert into an update
+  const result = await Bookmark_Model.updateOne({ user: userId, post: postId }, update, { upsert: true });
+  if (!result.upsertedCount) return result.modifiedCount > 0;
+
+  await Post_Model.updateOne({ _id: postId }, { $inc: { bookmarksCount: 1 } });
+  return true;
+};
+
+// Removes the bookmark from every collection; returns false when there was none
+const removeBookmark = async (userId, postId) => {
+  const bookmark = await Bookmark_Model.findOneAndDelete({ user: userId, post: postId });
+  if (!bookmark) return false;
+
+  await Post_Model.updateOne({ _id: postId }, { $inc: { bookmarksCount: -1 } });
+  return true;
+};
+
+// Ids (as strings) of the posts among `postIds` that the user bookmarked
+const bookmarkedPostIds = async (userId, postIds) => {
+  if (!userId || !postIds.length) return new Set();
+  const bookmarks = await Bookmark_Model.find({ user: userId, post: { $in: postIds } }).select("post");
+  return new Set(bookmarks.map((bookmark) => String(bookmark.post)));
+};
+
+/*
+One page of bookmarks matching `filter`, newest first. The cursor is the last
+bookmarkId of the previous page. Bookmarks of hidden posts are left out, so a
+page can come back shorter than `limit`. `withCollections` adds the ids of the
+collections each bookmark is filed in; leave it off when showing someone
+else's public collection.
+*/
+const getBookmarksPage = async (filter, { cursor, limit, withCollections = true }) => {
+  const query = { ...filter };
+  if (cursor) query._id = { $lt: cursor };
+
+  // Fetch one extra document to know whether another page exists
+  const bookmarks = await Bookmark_Model.find(query)
+    .sort({ _id: -1 })
+    .limit(limit + 1)
+    .populate({ path: "post", match: VISIBLE, select: POST_SUMMARY_FIELDS });
+
+  const hasMore = bookmarks.length > limit;
+  const page = hasMore ? bookmarks.slice(0, limit) : bookmarks;
+
+  return {
+    bookmarks: page
+      .filter((bookmark) => bookmark.post)
+      .map((bookmark) => ({
+        bookmarkId: bookmark._id,
+        bookmarkedAt: bookmark.createdAt,
+        ...(withCollections && { collectionIds: bookmark.collections }),
+        post: formatPostSummary(bookmark.post),
+      })),
+    nextCursor: hasMore ? page[page.length - 1]._id : null,
+  };
+};
+
+const formatCollection = (collection, postsCount = 0) => ({
+  collectionId: collection._id,
+  userId: collection.user,
+  name: collection.name,
+  description: collection.description,
+  isPublic: collection.isPublic,
+  postsCount,
+  createdAt: collection.createdAt,
+  updatedAt: collection.updatedAt,
+});
+
+// Collections matching `filter`, alphabetical, with how many posts each holds
+const listCollections = async (filter) => {
+  const collections = await BookmarkCollection_Model.find(filter).sort({ name: 1 });
+  const counts = await Bookmark_Model.aggregate([
+    { $match: { collections: { $in: collections.map((collection) => collection._id) } } },
+    { $unwind: "$collections" },
+    { $group: { _id: "$collections", count: { $sum: 1 } } },
+  ]);
+  const countById = new Map(counts.map((entry) => [String(entry._id), entry.count]));
+  return collections.map((collection) => formatCollection(collection, countById.get(String(collection._id))));
+};
+
+// Drops a user's bookmarks and collections, e.g. when the account is deleted
+const deleteUserBookmarks = async (userId) => {
+  const bookmarks = await Bookmark_Model.find({ user: userId }).select("post");
+  await Post_Model.updateMany(
+    { _id: { $in: bookmarks.map((bookmark) => bookmark.post) } },
+    { $inc: { bookmarksCount: -1 } }
+  );
+  await Bookmark_Model.deleteMany({ user: userId });
+  await BookmarkCollection_Model.deleteMany({ user: userId });
+};
+
+module.exports = {
+  addBookmark,
+  removeBookmark,
+  bookmarkedPostIds,
+  getBookmarksPage,
+  formatCollection,
+  listCollections,
+  deleteUserBookmarks,
+};
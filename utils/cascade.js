@@ -0,0 +1,99 @@
+const mongoose = require("mongoose");
+const { Post_Model } = require("../models/post.model");
+const { Comment_Model } = require("../models/comment.model");
+const { Notification_Model } = require("../models/notification.model");
+const { PostRevision_Model } = require("../models/postRevision.model");
+const { Report_Model } = require("../models/report.model");
+const { Bookmark_Model } = require("../models/bookmark.model");
+const { PollVote_Model } = require("../models/pollVote.model");
+const { Reaction_Model } = require("../models/reaction.model");
+const { deleteMedia } = require("./media");
+
+// Collects the ids of a comment and every reply below it, level by level
+const collectCommentTree = async (commentId, session) => {
+  const ids = [commentId];
+  let frontier = [commentId];
+
+  while (frontier.length) {
+    const children = await Comment_Model.find({ parentComment: { $in: frontier } })
+      .select("_id")
+      .session(session);
+    frontier = children.map((child) => child._id);
+    ids.push(...frontier);
+  }
+  return ids;
+};
+
+let transactionsSupported = null;
+
+// Transactions need a replica set or a sharded cluster; a standalone mongod has neither
+const supportsTransactions = async () => {
+  if (transactionsSupported === null) {
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    transactionsSupported = Boolean(hello.setName) || hello.msg === "isdbgrid";
+    if (!transactionsSupported) {
+      console.error("MongoDB is standalone: cascading deletes run without a transaction");
+    }
+  }
+  return transactionsSupported;
+};
+
+/*
+Runs `work(session)` in a transaction so a post never outlives its comments
+and post.comments never references a deleted comment. On a standalone mongod
+it runs without one (session null); whatever an interrupted cascade leaves
+behind is cleaned up by repair:orphans.
+*/
+const runCascade = async (work) => {
+  if (!(await supportsTransactions())) return work(null);
+
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+const deletePostCascade = async (postId) => {
+  await runCascade(async (session) => {
+    await Comment_Model.deleteMany({ post: postId }, { session });
+    await Notification_Model.deleteMany({ post: postId }, { session });
+    await PostRevision_Model.deleteMany({ post: postId }, { session });
+    // Moderation history lives in the audit log, not in reports
+    await Report_Model.deleteMany({ post: postId }, { session });
+    await Bookmark_Model.deleteMany({ post: postId }, { session });
+    await PollVote_Model.deleteMany({ post: postId }, { session });
+    // Reactions to the post and to every comment under it
+    await Reaction_Model.deleteMany({ post: postId }, { session });
+    await Post_Model.deleteOne({ _id: postId }, { session });
+  });
+  // Files cannot be part of the transaction, so attached images go once the post is gone
+  await deleteMedia({ post: postId });
+};
+
+// Removes a comment with all of its replies; returns the deleted ids
+const deleteCommentCascade = (comment) =>
+  runCascade(async (session) => {
+    const ids = await collectCommentTree(comment._id, session);
+    await Comment_Model.deleteMany({ _id: { $in: ids } }, { session });
+    await Notification_Model.deleteMany({ comment: { $in: ids } }, { session });
+    await Report_Model.deleteMany({ comment: { $in: ids } }, { session });
+    await Reaction_Model.deleteMany({ target: { $in: ids } }, { session });
+    // Recounting from the filtered array keeps commentsCount exact
+    await Post_Model.updateOne(
+      { _id: comment.post },
+      [
+        { $set: { comments: { $filter: { input: "$comments", cond: { $not: { $in: ["$$this", ids] } } } } } },
+        { $set: { commentsCount: { $size: "$comments" } } },
+      ],
+      { session }
+    );
+    return ids;
+  });
+
+module.exports = { deletePostCascade, deleteCommentCascade, collectCommentTree };
@@ -0,0 +1,68 @@
+const { Comment_Model } = require("../models/comment.model");
+const { VISIBLE } = require("./moderation");
+const { formatReactionCounts, withMyReactions } = require("./reactions");
+
+const MAX_COMMENT_DEPTH = 5;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const formatComment = (comment, replyCount = 0) => ({
+  commentId: comment._id,
+  userId: comment.user && comment.user._id ? comment.user._id : comment.user,
+  username: comment.user && comment.user.username,
+  comment: comment.content,
+  parentCommentId: comment.parentComment,
+  depth: comment.depth,
+  replyCount,
+  reactions: formatReactionCounts(comment),
+  reactionsCount: comment.reactionsCount,
+  createdAt: comment.createdAt,
+  editedAt: comment.editedAt,
+});
+
+/*
+Returns one page of a single thread level (top-level comments when
+parentCommentId is empty), oldest first. The cursor is the last commentId
+of the previous page. With a userId, each comment lists that user's reactions
+in myReactions.
+*/
+const getCommentsPage = async (postId, { parentCommentId, cursor, limit, userId } = {}) => {
+  const pageSize = Math.min(
+    Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1),
+    MAX_PAGE_SIZE
+  );
+
+  const query = { post: postId, parentComment: parentCommentId || null, ...VISIBLE };
+  if (cursor) query._id = { $gt: cursor };
+
+  // Fetch one extra document to know whether another page exists
+  const comments = await Comment_Model.find(query)
+    .sort({ _id: 1 })
+    .limit(pageSize + 1)
+    .populate("user", "username");
+
+  const hasMore = comments.length > pageSize;
+  const page = hasMore ? comments.slice(0, pageSize) : comments;
+
+  const replyCounts = await Comment_Model.aggregate([
+    { $match: { parentComment: { $in: page.map((comment) => comment._id) }, ...VISIBLE } },
+    { $group: { _id: "$parentComment", count: { $sum: 1 } } },
+  ]);
+  const countById = new Map(
+    replyCounts.map((entry) => [entry._id.toString(), entry.count])
+  );
+
+  const formatted = page.map((comment) =>
+    formatComment(comment, countById.get(comment._id.toString()) || 0)
+  );
+  return {
+    comments: await withMyReactions(userId, formatted, "commentId"),
+    nextCursor: hasMore ? page[page.length - 1]._id : null,
+  };
+};
+
+module.exports = {
+  MAX_COMMENT_DEPTH,
+  formatComment,
+  getCommentsPage,
+};
@@ -0,0 +1,211 @@
+const crypto = require("crypto");
+const { User_Model } = require("../models/user.model");
+const { Post_Model } = require("../models/post.model");
+const { Comment_Model } = require("../models/comment.model");
+const { Follow_Model } = require("../models/follow.model");
+const { Watchlist_Model } = require("../models/watchlist.model");
+const { DIGEST } = require("../config/digest");
+const { MAIL } = require("../config/mail");
+const { sendMail } = require("./mail");
+const { startJob } = require("./jobs");
+const { VISIBLE } = require("./moderation");
+
+const DIGEST_FREQUENCIES = ["off", "daily", "weekly"];
+
+const DAY = 24 * 60 * 60 * 1000;
+const PERIOD_MS = { daily: DAY, weekly: 7 * DAY };
+
+/*
+Unsubscribe tokens are "<userId>.<HMAC of the id>", so mailed links work
+without storing anything and keep working across digests.
+*/
+const sign = (userId) =>
+  crypto.createHmac("sha256", DIGEST.secret).update(`digest-unsubscribe:${userId}`).digest("hex");
+
+const unsubscribeToken = (userId) => `${userId}.${sign(userId)}`;
+
+// The user id the token was issued for, or null when the signature does not match
+const verifyUnsubscribeToken = (token) => {
+  const [userId, signature] = String(token).split(".");
+  const expected = Buffer.from(sign(userId), "hex");
+  const given = Buffer.from(signature || "", "hex");
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected) ? userId : null;
+};
+
+const digestPreferences = (user) => ({
+  frequency: user.digest.frequency,
+  tags: user.digest.tags,
+  lastSentAt: user.digest.lastSentAt,
+});
+
+/*
+Users whose digest is due at `now`: verified, not deleted, and their last
+digest is at least one period old. Due times are checked every
+DIGEST.checkMs, so a digest may go out up to one check early rather than
+drifting a check later every period.
+*/
+const dueFilter = (now) => ({
+  deletedAt: null,
+  emailVerifiedAt: { $ne: null },
+  $or: Object.entries(PERIOD_MS).map(([frequency, periodMs]) => ({
+    "digest.frequency": frequency,
+    $or: [
+      { "digest.lastSentAt": null },
+      { "digest.lastSentAt": { $lte: new Date(now - periodMs + DIGEST.checkMs) } },
+    ],
+  })),
+});
+
+// Stocks the user follows or keeps on a watchlist
+const interestingSymbols = async (user) => {
+  const watchlists = await Watchlist_Model.find({ user: user._id }).select("symbols");
+  return [...new Set([...user.followedStocks, ...watchlists.flatMap((watchlist) => watchlist.symbols)])];
+};
+
+/*
+What the digest of `user` covers between `since` and `now`: the most reacted to
+posts by others on the user's stocks and tags, comments by others on the
+user's posts and new followers. Lists are capped; the counts are not.
+*/
+const buildDigest = async (user, since, now) => {
+  const period = { $gte: since, $lt: now };
+  const symbols = await interestingSymbols(user);
+  const interests = [];
+  if (symbols.length) interests.push({ stockSymbol: { $in: symbols } }, { cashtags: { $in: symbols } });
+  if (user.digest.tags.length) interests.push({ tags: { $in: user.digest.tags } });
+
+  const ownPosts = await Post_Model.find({ user: user._id, ...VISIBLE }).distinct("_id");
+  const replyFilter = { post: { $in: ownPosts }, user: { $ne: user._id }, createdAt: period, ...VISIBLE };
+  const followerFilter = { following: user._id, createdAt: period };
+
+  const [topPosts, replies, repliesCount, followers, followersCount] = await Promise.all([
+    interests.length
+      ? Post_Model.find({ ...VISIBLE, user: { $ne: user._id }, createdAt: period, $or: interests })
+          .sort({ reactionsCount: -1, commentsCount: -1, _id: -1 })
+          .limit(DIGEST.topPosts)
+          .select("stockSymbol title reactionsCount commentsCount")
+      : [],
+    ownPosts.length
+      ? Comment_Model.find(replyFilter)
+          .sort({ _id: -1 })
+          .limit(DIGEST.replies)
+          .populate("user", "username")
+          .populate("post", "title")
+      : [],
+    ownPosts.length ? Comment_Model.countDocuments(replyFilter) : 0,
+    Follow_Model.find(followerFilter).sort({ _id: -1 }).limit(DIGEST.followers).populate("follower", "username"),
+    Follow_Model.countDocuments(followerFilter),
+  ]);
+
+  return { topPosts, replies, repliesCount, followers, followersCount };
+};
+
+const isEmpty = (digest) => !digest.topPosts.length && !digest.repliesCount && !digest.followersCount;
+
+const excerpt = (text, length = 140) => (text.length > length ? `${text.slice(0, length - 1)}…` : text);
+
+const renderDigest = (user, digest, since) => {
+  const lines = [`Hi ${user.username},`, "", `Here is what happened since ${since.toUTCString()}.`];
+
+  if (digest.topPosts.length) {
+    lines.push("", "Top posts on your stocks and tags");
+    digest.topPosts.forEach((post) => {
+      lines.push(`- [${post.stockSymbol}] ${post.title} (${post.reactionsCount} reactions, ${post.commentsCount} comments)`);
+      lines.push(`  ${MAIL.appUrl}/posts/${post._id}`);
+    });
+  }
+
+  if (digest.repliesCount) {
+    lines.push("", `Replies to your posts (${digest.repliesCount})`);
+    digest.replies.forEach((comment) => {
+      const author = comment.user ? comment.user.username : "someone";
+      const title = comment.post ? comment.post.title : "your post";
+      lines.push(`- ${author} on "${title}": ${excerpt(comment.content)}`);
+    });
+  }
+
+  if (digest.followersCount) {
+    const names = digest.followers.filter((follow) => follow.follower).map((follow) => follow.follower.username);
+    const more = digest.followersCount - names.length;
+    lines.push("", `New followers (${digest.followersCount})`, `- ${names.join(", ")}${more > 0 ? ` and ${more} more` : ""}`);
+  }
+
+  const token = unsubscribeToken(user._id);
+  lines.push(
+    "",
+    "--",
+    `You get this digest ${user.digest.frequency}. Change it with PUT /api/digest/preferences, or unsubscribe:`,
+    `${MAIL.appUrl}/unsubscribe?token=${token}`,
+    `Or send this token to POST /api/digest/unsubscribe: ${token}`
+  );
+  return lines.join("\n");
+};
+
+/*
+Builds and mails one user's digest. The user is claimed first by moving
+digest.lastSentAt, so two instances running the job never both send it; the
+claim is given back when building or sending fails, so the next check retries
+the same period. Returns true when a mail went out; nothing is sent when the
+period was quiet.
+*/
+const sendDigest = async (user, now = new Date()) => {
+  const previous = user.digest.lastSentAt;
+  const claimed = await User_Model.updateOne(
+    { _id: user._id, "digest.lastSentAt": previous },
+    { "digest.lastSentAt": now }
+  );
+  if (!claimed.modifiedCount) return false;
+
+  // A digest never reaches back further than one period, even after a long pause
+  const periodStart = new Date(now - PERIOD_MS[user.digest.frequency]);
+  const since = previous && previous > periodStart ? previous : periodStart;
+
+  try {
+    const digest = await buildDigest(user, since, now);
+    if (isEmpty(digest)) return false;
+
+    await sendMail({
+      to: user.email,
+      subject: `Your ${user.digest.frequency} Alpha Tribe digest`,
+      text: renderDigest(user, digest, since),
+    });
+    return true;
+  } catch (error) {
+    await User_Model.updateOne(
+      { _id: user._id, "digest.lastSentAt": now },
+      { "digest.lastSentAt": previous }
+    );
+    throw error;
+  }
+};
+
+// Sends every digest due at `now`, one user at a time; returns { checked, sent, failed }
+const sendDueDigests = async (now = new Date()) => {
+  const result = { checked: 0, sent: 0, failed: 0 };
+  const users = User_Model.find(dueFilter(now)).select("username email followedStocks digest").cursor();
+
+  for await (const user of users) {
+    result.checked += 1;
+    try {
+      if (await sendDigest(user, now)) result.sent += 1;
+    } catch (error) {
+      result.failed += 1;
+      console.error(`Digest for user ${user._id} failed:`, error.message);
+    }
+  }
+  return result;
+};
+
+// Checks for due digests now and then every DIGEST.checkMs
+const startDigestJob = () => startJob("digests", DIGEST.checkMs, () => sendDueDigests());
+
+module.exports = {
+  DIGEST_FREQUENCIES,
+  unsubscribeToken,
+  verifyUnsubscribeToken,
+  digestPreferences,
+  buildDigest,
+  sendDigest,
+  sendDueDigests,
+  startDigestJob,
+};
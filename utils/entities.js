@@ -0,0 +1,46 @@
+const { Stock_Model } = require("../models/stock.model");
+const { User_Model } = require("../models/user.model");
+const { normalizeSymbol } = require("./stocks");
+
+// "$TSLA" / "$brk.b" - must start with a letter so "$5" is not a cashtag
+const CASHTAG_PATTERN = /(?:^|[^\w$])\$([A-Za-z][A-Za-z0-9.-]{0,9})\b/g;
+// "@alice" - not preceded by a word character, so emails are skipped
+const MENTION_PATTERN = /(?:^|[^\w@])@([A-Za-z0-9_.-]{1,30})/g;
+
+const matchAll = (text, pattern) =>
+  typeof text === "string"
+    ? [...text.matchAll(pattern)].map((match) => match[1])
+    : [];
+
+const unique = (values) => [...new Set(values)];
+
+const extractCashtags = (text) =>
+  unique(matchAll(text, CASHTAG_PATTERN).map(normalizeSymbol));
+
+// Trailing punctuation ("@alice.") is not part of the username
+const extractMentions = (text) =>
+  unique(matchAll(text, MENTION_PATTERN).map((name) => name.replace(/[.-]+$/, "")));
+
+/*
+Parses cashtags and mentions from text and keeps only the ones that resolve:
+cashtags must be registered stocks and mentions must be existing usernames.
+Returns { cashtags: [symbol], mentions: [userId] }.
+*/
+const parseEntities = async (text) => {
+  const symbols = extractCashtags(text);
+  const usernames = extractMentions(text);
+
+  const stocks = symbols.length
+    ? await Stock_Model.find({ symbol: { $in: symbols } }).select("symbol")
+    : [];
+  const users = usernames.length
+    ? await User_Model.find({ username: { $in: usernames }, deletedAt: null }).select("_id")
+    : [];
+
+  return {
+    cashtags: stocks.map((stock) => stock.symbol),
+    mentions: users.map((user) => user._id),
+  };
+};
+
+module.exports = { extractCashtags, extractMentions, parseEntities };
@@ -0,0 +1,85 @@
+/*
+Errors a handler can throw (or pass to next) to end the request with a given
+status. `code` is a stable, machine-readable identifier clients can branch on;
+`message` is meant for people and may change. The error handler middleware
+turns them into the standard error envelope.
+*/
+class AppError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+class BadRequestError extends AppError {
+  constructor(message = "Bad request", code = "BAD_REQUEST") {
+    super(400, code, message);
+  }
+}
+
+// `errors` lists every failed check as { location, field, message }
+class ValidationError extends AppError {
+  constructor(errors) {
+    super(400, "VALIDATION_FAILED", "Validation failed", errors);
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message = "Authentication required", code = "UNAUTHORIZED") {
+    super(401, code, message);
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message = "Not allowed", code = "FORBIDDEN") {
+    super(403, code, message);
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = "Not found", code = "NOT_FOUND") {
+    super(404, code, message);
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message = "Conflict", code = "CONFLICT") {
+    super(409, code, message);
+  }
+}
+
+class PayloadTooLargeError extends AppError {
+  constructor(message = "Payload too large", code = "PAYLOAD_TOO_LARGE") {
+    super(413, code, message);
+  }
+}
+
+class UnsupportedMediaTypeError extends AppError {
+  constructor(message = "Unsupported media type", code = "UNSUPPORTED_MEDIA_TYPE") {
+    super(415, code, message);
+  }
+}
+
+// `retryAfter` is in seconds and is sent as the Retry-After header
+class TooManyRequestsError extends AppError {
+  constructor(message = "Too many requests", code = "RATE_LIMITED", retryAfter) {
+    super(429, code, message);
+    this.retryAfter = retryAfter;
+  }
+}
+
+module.exports = {
+  AppError,
+  BadRequestError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PayloadTooLargeError,
+  UnsupportedMediaTypeError,
+  TooManyRequestsError,
+};
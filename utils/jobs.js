@@ -0,0 +1,43 @@
+/*
+Background jobs that run inside the server process. A job runs once when it
+starts and then every `intervalMs`; a run that is still going when the next
+one is due is skipped instead of stacked. Failures are logged and the job
+keeps its schedule. Timers are unref'd so they never keep the process alive.
+*/
+const jobs = new Map();
+
+const startJob = (name, intervalMs, task) => {
+  if (jobs.has(name)) return jobs.get(name);
+
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await task();
+    } catch (error) {
+      console.error(`Job ${name} failed:`, error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+
+  const job = {
+    name,
+    run,
+    stop() {
+      clearInterval(timer);
+      jobs.delete(name);
+    },
+  };
+  jobs.set(name, job);
+  return job;
+};
+
+const stopJobs = () => jobs.forEach((job) => job.stop());
+
+module.exports = { startJob, stopJobs };
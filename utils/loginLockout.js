@@ -0,0 +1,41 @@
+const { LOGIN_LOCKOUT } = require("../config/rateLimits");
+const { getStore, secondsUntil } = require("./rateLimitStore");
+
+const { threshold, baseLockMs, maxLockMs, failureWindowMs } = LOGIN_LOCKOUT;
+
+/*
+Keyed by account and client IP, so guessing from one address locks that
+address out of the account without locking the owner out from theirs.
+Guesses spread over many addresses are held back by the per-IP auth limit.
+*/
+const clientKey = (email, ip) => `${email.trim().toLowerCase()}:${ip}`;
+const failuresKey = (email, ip) => `login-failures:${clientKey(email, ip)}`;
+const lockKey = (email, ip) => `login-lock:${clientKey(email, ip)}`;
+
+// Seconds until the account unlocks for this IP, or 0 when it is not locked
+const lockedFor = async (email, ip) => {
+  const lock = await getStore().get(lockKey(email, ip));
+  return lock ? secondsUntil(lock.resetAt) : 0;
+};
+
+/*
+Counts a failed login. From the threshold on, every failure locks the account
+for this IP for twice as long as the previous one (1, 2, 4 ... minutes up to
+the cap). Returns the lock length in seconds, or 0 when the account stays open.
+*/
+const recordFailure = async (email, ip) => {
+  const store = getStore();
+  const { count } = await store.increment(failuresKey(email, ip), failureWindowMs);
+  if (count < threshold) return 0;
+
+  const lockMs = Math.min(baseLockMs * 2 ** (count - threshold), maxLockMs);
+  const lock = await store.increment(lockKey(email, ip), lockMs);
+  return secondsUntil(lock.resetAt);
+};
+
+const clearFailures = async (email, ip) => {
+  const store = getStore();
+  await Promise.all([store.reset(failuresKey(email, ip)), store.reset(lockKey(email, ip))]);
+};
+
+module.exports = { lockedFor, recordFailure, clearFailures };
@@ -0,0 +1,75 @@
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+const nodemailer = require("nodemailer");
+const { MAIL_TRANSPORT, MAIL, SMTP } = require("../config/mail");
+
+/*
+Mail transports deliver a message { from, to, subject, text }. Every transport
+implements send(message). MAIL_TRANSPORT picks one; a provider without SMTP
+can be plugged in by writing another and passing it to setTransport at startup.
+*/
+
+const format = ({ from, to, subject, text }) =>
+  [`From: ${from}`, `To: ${to}`, `Subject: ${subject}`, `Date: ${new Date().toUTCString()}`, "", text, ""].join("\n");
+
+// Prints messages to the log; handy in development
+const createConsoleTransport = () => ({
+  async send(message) {
+    console.log(`----- mail -----\n${format(message)}----------------`);
+  },
+});
+
+// Writes every message to its own .eml file in `dir`
+const createFileTransport = (dir) => ({
+  async send(message) {
+    await fs.mkdir(dir, { recursive: true });
+    const name = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}.eml`;
+    await fs.writeFile(path.join(dir, name), format(message));
+  },
+});
+
+// Sends through any SMTP server or provider relay
+const createSmtpTransport = (options) => {
+  const auth = options.user ? { user: options.user, pass: options.pass } : undefined;
+  const mailer = options.url
+    ? nodemailer.createTransport(options.url)
+    : nodemailer.createTransport({ host: options.host, port: options.port, secure: options.secure, auth });
+  return {
+    async send(message) {
+      await mailer.sendMail(message);
+    },
+  };
+};
+
+const TRANSPORTS = {
+  console: () => createConsoleTransport(),
+  file: () => createFileTransport(MAIL.dir),
+  smtp: () => createSmtpTransport(SMTP),
+};
+
+let transport = null;
+
+// The transport picked by MAIL_TRANSPORT, created on first use
+const getTransport = () => {
+  if (!transport) {
+    transport = TRANSPORTS[MAIL_TRANSPORT]();
+  }
+  return transport;
+};
+
+// Replaces the configured transport, e.g. with an HTTP API provider
+const setTransport = (custom) => {
+  transport = custom;
+};
+
+const sendMail = ({ to, subject, text }) => getTransport().send({ from: MAIL.from, to, subject, text });
+
+module.exports = {
+  createConsoleTransport,
+  createFileTransport,
+  createSmtpTransport,
+  getTransport,
+  setTransport,
+  sendMail,
+};
@@ -0,0 +1,184 @@
+const crypto = require("crypto");
+const sharp = require("sharp");
+const { Media_Model } = require("../models/media.model");
+const { MEDIA } = require("../config/media");
+const { getStorage } = require("./mediaStorage");
+const { startJob } = require("./jobs");
+const { BadRequestError, UnsupportedMediaTypeError } = require("./errors");
+
+const IMAGE_TYPES = {
+  "image/jpeg": { ext: "jpg", format: "jpeg" },
+  "image/png": { ext: "png", format: "png" },
+  "image/webp": { ext: "webp", format: "webp" },
+  "image/gif": { ext: "gif", format: "gif" },
+};
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// The image type from the file's leading bytes; the client's Content-Type and file name are ignored
+const sniffImageType = (buffer) => {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return "image/jpeg";
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(PNG_SIGNATURE)) return "image/png";
+  if (buffer.length >= 6 && ["GIF87a", "GIF89a"].includes(buffer.toString("latin1", 0, 6))) return "image/gif";
+  if (buffer.length >= 12 && buffer.toString("latin1", 0, 4) === "RIFF" && buffer.toString("latin1", 8, 12) === "WEBP") {
+    return "image/webp";
+  }
+  return null;
+};
+
+/*
+Checks an uploaded image against the limits of its kind and prepares what
+gets stored: the image re-encoded in its own format, upright and without
+metadata such as EXIF locations, and a WebP thumbnail. Throws 415
+UNSUPPORTED_MEDIA_TYPE for anything but JPEG, PNG, WebP and GIF, and 400
+INVALID_IMAGE or INVALID_IMAGE_DIMENSIONS for images it cannot accept.
+*/
+const processImage = async (buffer, kind) => {
+  const limits = MEDIA.kinds[kind];
+  const contentType = sniffImageType(buffer);
+  if (!contentType) {
+    throw new UnsupportedMediaTypeError("Only JPEG, PNG, WebP and GIF images are accepted", "UNSUPPORTED_MEDIA_TYPE");
+  }
+
+  // Reading the header does not decode the pixels, so oversized images are refused cheaply
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    throw new BadRequestError("The image could not be read", "INVALID_IMAGE");
+  }
+  const { width, height } = metadata;
+  const fits = (side) => side >= limits.minSide && side <= limits.maxSide;
+  if (!fits(width) || !fits(height)) {
+    throw new BadRequestError(
+      `Images must be ${limits.minSide} to ${limits.maxSide} pixels wide and high`,
+      "INVALID_IMAGE_DIMENSIONS"
+    );
+  }
+
+  const { ext, format } = IMAGE_TYPES[contentType];
+  const animated = format === "gif" || format === "webp";
+  try {
+    const [data, thumbnail] = await Promise.all([
+      sharp(buffer, { animated }).rotate().toFormat(format).toBuffer(),
+      sharp(buffer)
+        .rotate()
+        .resize({ ...limits.thumbnail, withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer(),
+    ]);
+    return { contentType, ext, width, height, data, thumbnail };
+  } catch (error) {
+    throw new BadRequestError("The image could not be read", "INVALID_IMAGE");
+  }
+};
+
+/*
+Stores a processed image and its thumbnail and records them as Media of the
+user. Keys are random, so a URL never points at a different file later.
+*/
+const storeImage = async (userId, kind, image) => {
+  const storage = getStorage();
+  const base = `${MEDIA.kinds[kind].folder}/${userId}/${crypto.randomBytes(12).toString("hex")}`;
+  const key = `${base}.${image.ext}`;
+  const thumbnailKey = `${base}_thumb.webp`;
+
+  const [url, thumbnailUrl] = await Promise.all([
+    storage.put(key, image.data, image.contentType),
+    storage.put(thumbnailKey, image.thumbnail, "image/webp"),
+  ]);
+  try {
+    return await Media_Model.create({
+      user: userId,
+      kind,
+      key,
+      thumbnailKey,
+      url,
+      thumbnailUrl,
+      contentType: image.contentType,
+      width: image.width,
+      height: image.height,
+      size: image.data.length,
+    });
+  } catch (error) {
+    await Promise.allSettled([storage.remove(key), storage.remove(thumbnailKey)]);
+    throw error;
+  }
+};
+
+/*
+Deletes the matching Media and their files; a file that fails to delete is
+logged and left behind. Each document is deleted only if it still matches
+`filter`, and its files only after that, so an upload a new post claims in
+the meantime keeps its files.
+*/
+const deleteMedia = async (filter) => {
+  const candidates = await Media_Model.find(filter).select("_id");
+  if (!candidates.length) return 0;
+
+  const deleted = (
+    await Promise.all(candidates.map((item) => Media_Model.findOneAndDelete({ ...filter, _id: item._id })))
+  ).filter(Boolean);
+
+  const storage = getStorage();
+  const results = await Promise.allSettled(
+    deleted.flatMap((item) => [storage.remove(item.key), storage.remove(item.thumbnailKey)])
+  );
+  results
+    .filter((result) => result.status === "rejected")
+    .forEach((result) => console.error("Media file delete failed:", result.reason.message));
+
+  return deleted.length;
+};
+
+// Shape of an attachment (on a post, or just uploaded) in responses
+const formatAttachment = (attachment) => ({
+  mediaId: attachment.media || attachment._id,
+  url: attachment.url,
+  thumbnailUrl: attachment.thumbnailUrl,
+  contentType: attachment.contentType,
+  width: attachment.width,
+  height: attachment.height,
+});
+
+/*
+Attaches the user's unattached post images `mediaIds` to `postId`, all or
+none; returns the claimed Media. Fails with INVALID_ATTACHMENT when any of
+them is not the user's, already attached or gone.
+*/
+const claimAttachments = async (userId, mediaIds, postId) => {
+  if (!mediaIds.length) return [];
+
+  const result = await Media_Model.updateMany(
+    { _id: { $in: mediaIds }, user: userId, kind: "post-image", post: null },
+    { post: postId }
+  );
+  if (result.modifiedCount !== mediaIds.length) {
+    await releaseAttachments(postId);
+    throw new BadRequestError("Attachments must be your own images that are not attached yet", "INVALID_ATTACHMENT");
+  }
+  return Media_Model.find({ post: postId });
+};
+
+// Hands the images claimed for a post that was never saved back to the cleanup job
+const releaseAttachments = (postId) => Media_Model.updateMany({ post: postId }, { post: null });
+
+// Deletes post images that were uploaded but never attached to a post
+const deleteUnattachedMedia = (now = new Date()) =>
+  deleteMedia({ kind: "post-image", post: null, createdAt: { $lt: new Date(now - MEDIA.unattachedTtlMs) } });
+
+// Removes unattached uploads now and then every MEDIA.cleanupMs
+const startMediaCleanupJob = () => startJob("media-cleanup", MEDIA.cleanupMs, () => deleteUnattachedMedia());
+
+module.exports = {
+  IMAGE_TYPES,
+  sniffImageType,
+  processImage,
+  storeImage,
+  deleteMedia,
+  formatAttachment,
+  claimAttachments,
+  releaseAttachments,
+  deleteUnattachedMedia,
+  startMediaCleanupJob,
+};
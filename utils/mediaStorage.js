@@ -0,0 +1,75 @@
+const fs = require("fs/promises");
+const path = require("path");
+const { S3Client, PutObjectCommand, DeleteObjectCommand } = require("@aws-sdk/client-s3");
+const { MEDIA_STORAGE, MEDIA, S3 } = require("../config/media");
+
+/*
+Media storage adapters keep uploaded files under keys like
+"avatars/<userId>/<name>.png". Every adapter implements:
+○	put(key, buffer, contentType) -> public URL of the stored file
+○	remove(key)                   -> also succeeds when the file is already gone
+*/
+
+const trimSlashes = (url) => url.replace(/\/+$/, "");
+
+// Files on the local disk under `dir`, served by the app at `baseUrl`
+const createLocalStorage = (dir, baseUrl) => ({
+  async put(key, buffer) {
+    const file = path.join(dir, key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, buffer);
+    return `${trimSlashes(baseUrl)}/${key}`;
+  },
+  async remove(key) {
+    await fs.rm(path.join(dir, key), { force: true });
+  },
+});
+
+// Objects in an S3 bucket, or in any service speaking the S3 API when `endpoint` is set
+const createS3Storage = ({ bucket, region, endpoint, forcePathStyle, accessKeyId, secretAccessKey, publicUrl }) => {
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+  });
+  const defaultUrl =
+    endpoint && forcePathStyle ? `${trimSlashes(endpoint)}/${bucket}` : `https://${bucket}.s3.${region}.amazonaws.com`;
+  const baseUrl = trimSlashes(publicUrl || defaultUrl);
+
+  return {
+    async put(key, buffer, contentType) {
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: buffer,
+          ContentType: contentType,
+          // Keys are never reused, so stored files can be cached forever
+          CacheControl: "public, max-age=31536000, immutable",
+        })
+      );
+      return `${baseUrl}/${key}`;
+    },
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+  };
+};
+
+let storage = null;
+
+// The storage picked by MEDIA_STORAGE, created on first use
+const getStorage = () => {
+  if (!storage) {
+    storage = MEDIA_STORAGE === "s3" ? createS3Storage(S3) : createLocalStorage(MEDIA.dir, MEDIA.publicUrl);
+  }
+  return storage;
+};
+
+// Replaces the configured storage, e.g. with another provider
+const setStorage = (custom) => {
+  storage = custom;
+};
+
+module.exports = { createLocalStorage, createS3Storage, getStorage, setStorage };
@@ -0,0 +1,116 @@
+const { Post_Model } = require("../models/post.model");
+const { Comment_Model } = require("../models/comment.model");
+const { Report_Model } = require("../models/report.model");
+const { AuditLog_Model } = require("../models/auditLog.model");
+const { deletePostCascade, deleteCommentCascade } = require("./cascade");
+const { emitToPost } = require("./socket");
+
+const REPORT_REASONS = ["spam", "abuse", "misinformation", "market_manipulation", "other"];
+const REPORT_ACTIONS = ["hide", "remove", "dismiss"];
+
+// Merged into every public post and comment query
+const VISIBLE = { hiddenAt: null };
+
+const recordAction = ({ actorId, action, targetType, targetId, report = null, reason = "", metadata = {} }) =>
+  AuditLog_Model.create({
+    actor: actorId,
+    action,
+    targetType,
+    targetId,
+    report,
+    reason,
+    metadata,
+  });
+
+const MODELS = { post: Post_Model, comment: Comment_Model };
+
+// What the content looked like, kept in the audit log so removals stay reviewable
+const snapshot = (targetType, target) =>
+  targetType === "post"
+    ? { author: target.user, postId: target._id, title: target.title, description: target.description }
+    : { author: target.user, postId: target.post, commentId: target._id, content: target.content };
+
+const reportFilter = (targetType, target) =>
+  targetType === "post"
+    ? { post: target._id, comment: null }
+    : { comment: target._id };
+
+// Files a report; returns null when the user already reported this content
+const fileReport = async ({ reporterId, targetType, postId, commentId = null, reason, details }) => {
+  const filter = { reporter: reporterId, post: postId, comment: commentId };
+  if (await Report_Model.exists(filter)) return null;
+  return Report_Model.create({ ...filter, targetType, reason, details });
+};
+
+// Closes every open report on the content; returns how many were closed
+const closeReports = async (targetType, target, { actorId, resolution }) => {
+  const result = await Report_Model.updateMany(
+    { ...reportFilter(targetType, target), status: "open" },
+    {
+      status: resolution === "dismiss" ? "dismissed" : "resolved",
+      resolution,
+      resolvedBy: actorId,
+      resolvedAt: new Date(),
+    }
+  );
+  return result.modifiedCount;
+};
+
+// The report a removal resolved, copied into the audit entry because removing the content deletes it
+const reportSnapshot = (report) => ({
+  reportId: report._id,
+  reporter: report.reporter,
+  reason: report.reason,
+  details: report.details,
+  createdAt: report.createdAt,
+});
+
+/*
+Hides, unhides or removes a post or comment on behalf of a moderator and
+writes the audit log entry. `target` is the loaded document and `report`, if
+any, the loaded report being resolved. Hidden content stays in the database
+and can be restored; removed content is deleted with everything that hangs
+off it.
+*/
+const moderateContent = async ({ actorId, action, targetType, target, reason, report = null }) => {
+  const postId = targetType === "post" ? target._id : target.post;
+
+  if (action === "remove") {
+    if (targetType === "post") {
+      await deletePostCascade(target._id);
+      emitToPost(postId, "post:deleted", { postId });
+    } else {
+      const deletedIds = await deleteCommentCascade(target);
+      emitToPost(postId, "comment:deleted", { postId, commentId: target._id, deletedIds });
+    }
+  } else {
+    await MODELS[targetType].updateOne(
+      { _id: target._id },
+      { hiddenAt: action === "hide" ? new Date() : null }
+    );
+  }
+
+  await recordAction({
+    actorId,
+    action: `${action}_${targetType}`,
+    targetType,
+    targetId: target._id,
+    // A removed report is gone, so its data lives in the metadata instead of a dangling reference
+    report: report && action !== "remove" ? report._id : null,
+    reason,
+    metadata:
+      report && action === "remove"
+        ? { ...snapshot(targetType, target), report: reportSnapshot(report) }
+        : snapshot(targetType, target),
+  });
+};
+
+module.exports = {
+  REPORT_REASONS,
+  REPORT_ACTIONS,
+  VISIBLE,
+  recordAction,
+  fileReport,
+  closeReports,
+  moderateContent,
+};
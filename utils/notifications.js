@@ -0,0 +1,165 @@
+const { Notification_Model } = require("../models/notification.model");
+const { emitToUser } = require("./socket");
+
+const pushed = (notification) => {
+  emitToUser(notification.recipient, "notification:created", {
+    notificationId: notification._id,
+    type: notification.type,
+    postId: notification.post,
+  });
+  return notification;
+};
+
+/*
+Creates one "mention" notification per mentioned user. Users mentioning
+themselves are skipped, as are users in alreadyNotified (used on edits so
+only newly added mentions notify).
+*/
+const notifyMentions = async ({ actorId, mentions, post, comment = null, alreadyNotified = [] }) => {
+  const skip = new Set([String(actorId), ...alreadyNotified.map(String)]);
+  const recipients = mentions.filter((userId) => !skip.has(String(userId)));
+  if (!recipients.length) return [];
+
+  const notifications = await Notification_Model.insertMany(
+    recipients.map((recipient) => ({
+      recipient,
+      type: "mention",
+      actors: [actorId],
+      post,
+      comment,
+    }))
+  );
+  return notifications.map(pushed);
+};
+
+/*
+Reactions aggregate per post or comment: while the author has not read it,
+every new reacting user joins the same notification ("5 people reacted to
+your post"), whatever types they picked. `target` is the post or comment.
+A unique index allows one unread aggregate per post or comment, so two first
+reactions racing to create it end with one joining the other's.
+*/
+const notifyReaction = async ({ actorId, target, postId, commentId = null }, retried = false) => {
+  if (String(target.user) === String(actorId)) return null;
+
+  const filter = { recipient: target.user, type: "reaction", post: postId, comment: commentId, read: false };
+  const aggregated = await Notification_Model.findOneAndUpdate(
+    { ...filter, actors: { $ne: actorId } },
+    {
+      $push: { actors: { $each: [actorId], $position: 0 } },
+      $inc: { actorsCount: 1 },
+      $set: { updatedAt: new Date() },
+    },
+    { new: true }
+  );
+  if (aggregated) return pushed(aggregated);
+
+  const retry = () => notifyReaction({ actorId, target, postId, commentId }, true);
+  let result;
+  try {
+    result = await Notification_Model.findOneAndUpdate(
+      filter,
+      { $setOnInsert: { actors: [actorId], actorsCount: 1 } },
+      { upsert: true, new: true, includeResultMetadata: true }
+    );
+  } catch (error) {
+    if (error.code === 11000 && !retried) return retry();
+    throw error;
+  }
+  if (!result.lastErrorObject.updatedExisting) return pushed(result.value);
+
+  // Already counted (another type, or react, unreact, react again), unless the
+  // aggregate was created by a racing reaction after the update above
+  const counted = result.value.actors.some((actor) => String(actor) === String(actorId));
+  return counted || retried ? null : retry();
+};
+
+// Takes a user without reactions left back out of the unread aggregate, dropping it when empty
+const retractReaction = async ({ actorId, target, postId, commentId = null }) => {
+  const filter = { recipient: target.user, type: "reaction", post: postId, comment: commentId, read: false };
+  await Notification_Model.updateOne(
+    { ...filter, actors: actorId },
+    { $pull: { actors: actorId }, $inc: { actorsCount: -1 } }
+  );
+  await Notification_Model.deleteMany({ ...filter, actorsCount: { $lte: 0 } });
+};
+
+// Tells the post author about a comment, and the parent author about a reply
+const notifyComment = async ({ actorId, post, comment, parent = null }) => {
+  const targets = [];
+  if (parent && String(parent.user) !== String(actorId)) {
+    targets.push({ recipient: parent.user, type: "reply" });
+  }
+  if (
+    String(post.user) !== String(actorId) &&
+    (!parent || String(parent.user) !== String(post.user))
+  ) {
+    targets.push({ recipient: post.user, type: "comment" });
+  }
+  if (!targets.length) return [];
+
+  const notifications = await Notification_Model.insertMany(
+    targets.map((target) => ({
+      ...target,
+      actors: [actorId],
+      post: post._id,
+      comment: comment._id,
+    }))
+  );
+  return notifications.map(pushed);
+};
+
+const notifyFollow = async ({ actorId, userId }) => {
+  const notification = await Notification_Model.create({
+    recipient: userId,
+    type: "follow",
+    actors: [actorId],
+  });
+  return pushed(notification);
+};
+
+const ACTIONS = {
+  mention: "mentioned you",
+  reaction: "reacted to your post",
+  comment: "commented on your post",
+  reply: "replied to your comment",
+  follow: "started following you",
+};
+
+// "alice reacted to your post", "alice and bob ...", "5 people reacted to your post"
+const describe = (notification) => {
+  const names = notification.actors
+    .map((actor) => actor && actor.username)
+    .filter(Boolean);
+  const action =
+    notification.type === "reaction" && notification.comment ? "reacted to your comment" : ACTIONS[notification.type];
+  const count = notification.actorsCount;
+
+  if (count === 1) return `${names[0] || "Someone"} ${action}`;
+  if (count === 2 && names.length === 2) return `${names[0]} and ${names[1]} ${action}`;
+  return `${count} people ${action}`;
+};
+
+const formatNotification = (notification) => ({
+  notificationId: notification._id,
+  type: notification.type,
+  message: describe(notification),
+  actors: notification.actors
+    .filter(Boolean)
+    .map((actor) => ({ userId: actor._id, username: actor.username })),
+  actorsCount: notification.actorsCount,
+  postId: notification.post,
+  commentId: notification.comment,
+  read: notification.read,
+  createdAt: notification.createdAt,
+  updatedAt: notification.updatedAt,
+});
+
+module.exports = {
+  notifyMentions,
+  notifyReaction,
+  retractReaction,
+  notifyComment,
+  notifyFollow,
+  formatNotification,
+};
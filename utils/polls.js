@@ -0,0 +1,99 @@
+const { Post_Model } = require("../models/post.model");
+const { PollVote_Model } = require("../models/pollVote.model");
+
+const POLL_MAX_DURATION_MS = 30 * 24 * 60 * 60 * 1000;
+
+const isPollClosed = (poll, now = new Date()) => poll.closesAt <= now;
+
+/*
+The poll as one user sees it. Vote counts per option stay hidden until the
+user has voted (`votedOption` is the index they picked) or the poll closed;
+the total number of votes is always shown.
+*/
+const formatPoll = (poll, votedOption = null, now = new Date()) => {
+  const closed = isPollClosed(poll, now);
+  const resultsVisible = closed || votedOption !== null;
+  return {
+    options: poll.options.map((option, index) => ({
+      option: index,
+      text: option.text,
+      ...(resultsVisible && { votesCount: option.votesCount }),
+    })),
+    closesAt: poll.closesAt,
+    closed,
+    votesCount: poll.votesCount,
+    votedOption,
+    resultsVisible,
+  };
+};
+
+// Index of the option the user voted for, or null (also for anonymous requests)
+const findVotedOption = async (postId, userId) => {
+  if (!userId) return null;
+  const vote = await PollVote_Model.findOne({ post: postId, user: userId }).select("option");
+  return vote ? vote.option : null;
+};
+
+/*
+Records the user's vote, or moves it to `option`, and shifts the tallies on
+the post to match. The caller checks that the poll exists and is open.
+Returns the updated poll.
+*/
+const castVote = async (postId, userId, option, retried = false) => {
+  const now = new Date();
+  let previous;
+  try {
+    // Returns the vote as it was before, or null when this is the user's first
+    previous = await PollVote_Model.findOneAndUpdate(
+      { post: postId, user: userId },
+      { option, updatedAt: now, $setOnInsert: { createdAt: now } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // Two first votes raced to insert; the loser retries as a change of vote
+    if (error.code === 11000 && !retried) return castVote(postId, userId, option, true);
+    throw error;
+  }
+
+  const inc = {};
+  if (!previous) {
+    inc[`poll.options.${option}.votesCount`] = 1;
+    inc["poll.votesCount"] = 1;
+  } else if (previous.option !== option) {
+    inc[`poll.options.${option}.votesCount`] = 1;
+    inc[`poll.options.${previous.option}.votesCount`] = -1;
+  }
+
+  const post = Object.keys(inc).length
+    ? await Post_Model.findByIdAndUpdate(postId, { $inc: inc }, { new: true, projection: "poll" })
+    : await Post_Model.findById(postId).select("poll");
+  return post.poll;
+};
+
+/*
+Deletes every vote of a user, for account deletion. Only open polls take the
+votes back out of their tallies; results of closed polls are final.
+*/
+const removeUserVotes = async (userId, now = new Date()) => {
+  const votes = await PollVote_Model.find({ user: userId }).select("post option");
+  if (!votes.length) return;
+
+  await Post_Model.bulkWrite(
+    votes.map((vote) => ({
+      updateOne: {
+        filter: { _id: vote.post, "poll.closesAt": { $gt: now } },
+        update: { $inc: { [`poll.options.${vote.option}.votesCount`]: -1, "poll.votesCount": -1 } },
+      },
+    }))
+  );
+  await PollVote_Model.deleteMany({ user: userId });
+};
+
+module.exports = {
+  POLL_MAX_DURATION_MS,
+  isPollClosed,
+  formatPoll,
+  findVotedOption,
+  castVote,
+  removeUserVotes,
+};
@@ -0,0 +1,123 @@
+const { Post_Model } = require("../models/post.model");
+const { symbolQuery } = require("./stocks");
+const { VISIBLE } = require("./moderation");
+const { formatAttachment } = require("./media");
+const { REACTION_FIELDS, formatReactionCounts } = require("./reactions");
+
+// Fields formatPostSummary needs; never the comments array
+const POST_SUMMARY_FIELDS = `stockSymbol title description sentiment ${REACTION_FIELDS} bookmarksCount attachments poll createdAt editedAt`;
+
+// Shape of a post in list responses (GET /api/posts, the feed, ...)
+const formatPostSummary = (post) => ({
+  postId: post._id,
+  stockSymbol: post.stockSymbol,
+  title: post.title,
+  description: post.description,
+  sentiment: post.sentiment,
+  reactions: formatReactionCounts(post),
+  reactionsCount: post.reactionsCount,
+  bookmarksCount: post.bookmarksCount,
+  attachments: (post.attachments || []).map(formatAttachment),
+  // Fetch GET /api/posts/:postId for the options and results
+  hasPoll: Boolean(post.poll),
+  createdAt: post.createdAt,
+  editedAt: post.editedAt,
+});
+
+// Filters of GET /api/posts; the symbol matches stockSymbol or a cashtag
+const postListFilter = ({ stockSymbol, tags } = {}) => {
+  const filter = { ...VISIBLE };
+  if (stockSymbol) Object.assign(filter, symbolQuery(stockSymbol));
+  if (tags) filter.tags = { $in: tags.split(",") };
+  return filter;
+};
+
+const POST_SORTS = {
+  // _id grows with creation time, so newest first is _id descending
+  date: { _id: -1 },
+  reactions: { reactionsCount: -1, _id: -1 },
+  // Older name of the reactions sort, from before reactions replaced likes
+  likes: { reactionsCount: -1, _id: -1 },
+};
+
+/*
+Cursors point just past the last post of the previous page: its _id when
+sorting by date, "<reactionsCount>_<_id>" when sorting by reactions. Returns
+null for a cursor that does not fit the sort.
+*/
+const cursorQuery = (sortBy, cursor) => {
+  const [id, reactionsCount] = cursor.split("_").reverse();
+  if (sortBy !== "date") {
+    if (reactionsCount === undefined) return null;
+    const count = Number(reactionsCount);
+    return { $or: [{ reactionsCount: { $lt: count } }, { reactionsCount: count, _id: { $lt: id } }] };
+  }
+  return reactionsCount === undefined ? { _id: { $lt: id } } : null;
+};
+
+const cursorFor = (sortBy, post) =>
+  sortBy === "date" ? String(post._id) : `${post.reactionsCount}_${post._id}`;
+
+/*
+One page of posts matching `filter`, newest first or most reacted to first.
+Keyset pagination: the cursor narrows the index scan, so every page costs the
+same and no total count is needed. Returns null when the cursor is invalid.
+*/
+const getPostsPage = async (filter, { sortBy = "date", cursor, limit }) => {
+  const query = { $and: [filter] };
+  if (cursor) {
+    const after = cursorQuery(sortBy, cursor);
+    if (!after) return null;
+    query.$and.push(after);
+  }
+
+  // Fetch one extra document to know whether another page exists
+  const posts = await Post_Model.find(query)
+    .sort(POST_SORTS[sortBy])
+    .limit(limit + 1)
+    .select(POST_SUMMARY_FIELDS);
+
+  const hasMore = posts.length > limit;
+  const page = hasMore ? posts.slice(0, limit) : posts;
+  return {
+    posts: page,
+    nextCursor: hasMore ? cursorFor(sortBy, page[page.length - 1]) : null,
+  };
+};
+
+// Posts whose commentsCount disagrees with their comments array
+const DRIFTED_COUNTERS = {
+  $expr: { $ne: ["$commentsCount", { $size: "$comments" }] },
+};
+
+// Recomputes commentsCount from the array; reaction counters have syncReactionCounters
+const syncPostCounters = (filter = DRIFTED_COUNTERS) =>
+  Post_Model.updateMany(filter, [{ $set: { commentsCount: { $size: "$comments" } } }]);
+
+/*
+Builds the indexes the schema declares and drops the named ones an upgrade
+replaced. Unlike syncIndexes it leaves every other index alone, including ones
+added by hand in production. Returns the names it dropped.
+*/
+const replacePostIndexes = async (obsolete) => {
+  await Post_Model.createIndexes();
+  const dropped = [];
+  for (const name of obsolete) {
+    if (await Post_Model.collection.indexExists(name)) {
+      await Post_Model.collection.dropIndex(name);
+      dropped.push(name);
+    }
+  }
+  return dropped;
+};
+
+module.exports = {
+  POST_SUMMARY_FIELDS,
+  POST_SORTS,
+  formatPostSummary,
+  postListFilter,
+  getPostsPage,
+  DRIFTED_COUNTERS,
+  syncPostCounters,
+  replacePostIndexes,
+};
@@ -0,0 +1,95 @@
+const { RateLimit_Model } = require("../models/rateLimit.model");
+const { RATE_LIMIT_STORE } = require("../config/rateLimits");
+
+/*
+Rate limit stores keep fixed-window counters. Every store implements:
+○	increment(key, windowMs) -> { count, resetAt }  starts a new window when the last one ended
+○	get(key)                  -> { count, resetAt } or null when no window is running
+○	reset(key)
+*/
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Per-process counters; fine for a single instance
+const createMemoryStore = () => {
+  const windows = new Map();
+
+  const live = (key, now = Date.now()) => {
+    const entry = windows.get(key);
+    return entry && entry.resetAt > now ? entry : null;
+  };
+
+  // Expired windows are dropped periodically so the map does not grow forever
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    windows.forEach((entry, key) => {
+      if (entry.resetAt <= now) windows.delete(key);
+    });
+  }, SWEEP_INTERVAL_MS);
+  sweep.unref();
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      const entry = live(key, now) || { count: 0, resetAt: now + windowMs };
+      entry.count += 1;
+      windows.set(key, entry);
+      return { count: entry.count, resetAt: new Date(entry.resetAt) };
+    },
+    async get(key) {
+      const entry = live(key);
+      return entry ? { count: entry.count, resetAt: new Date(entry.resetAt) } : null;
+    },
+    async reset(key) {
+      windows.delete(key);
+    },
+  };
+};
+
+// Counters shared by every instance through MongoDB
+const createMongoStore = () => ({
+  async increment(key, windowMs, retried = false) {
+    const now = new Date();
+    const running = { $gt: ["$resetAt", now] };
+    try {
+      // One atomic update either bumps the running window or starts a new one
+      const entry = await RateLimit_Model.findOneAndUpdate(
+        { key },
+        [
+          {
+            $set: {
+              count: { $cond: [running, { $add: ["$count", 1] }, 1] },
+              resetAt: { $cond: [running, "$resetAt", new Date(now.getTime() + windowMs)] },
+            },
+          },
+        ],
+        { upsert: true, new: true }
+      );
+      return { count: entry.count, resetAt: entry.resetAt };
+    } catch (error) {
+      // Two first hits raced to insert the key; the loser retries as an update
+      if (error.code === 11000 && !retried) return this.increment(key, windowMs, true);
+      throw error;
+    }
+  },
+  async get(key) {
+    const entry = await RateLimit_Model.findOne({ key, resetAt: { $gt: new Date() } });
+    return entry ? { count: entry.count, resetAt: entry.resetAt } : null;
+  },
+  async reset(key) {
+    await RateLimit_Model.deleteOne({ key });
+  },
+});
+
+// Whole seconds left in a window, as used by RateLimit-Reset and Retry-After
+const secondsUntil = (date) => Math.max(Math.ceil((date.getTime() - Date.now()) / 1000), 0);
+
+let store = null;
+
+// The store picked by RATE_LIMIT_STORE, created on first use
+const getStore = () => {
+  if (!store) store = RATE_LIMIT_STORE === "mongo" ? createMongoStore() : createMemoryStore();
+  return store;
+};
+
+module.exports = { createMemoryStore, createMongoStore, getStore, secondsUntil };
@@ -0,0 +1,189 @@
+const { Reaction_Model } = require("../models/reaction.model");
+const { Post_Model } = require("../models/post.model");
+const { Comment_Model } = require("../models/comment.model");
+
+const REACTION_TYPES = ["rocket", "bear", "bull", "insightful", "funny"];
+
+// The type old likes were migrated to, and what the like endpoints still add and remove
+const LIKE_REACTION = "rocket";
+
+const TARGET_MODELS = { Post: Post_Model, Comment: Comment_Model };
+
+// Fields of a post or comment that formatReactionCounts reads
+const REACTION_FIELDS = "reactions reactionsCount";
+
+// { rocket, bear, ... } with every type present, from a post or comment
+const formatReactionCounts = (target) =>
+  Object.fromEntries(REACTION_TYPES.map((type) => [type, (target.reactions && target.reactions[type]) || 0]));
+
+const bump = (type, by) => ({ $inc: { [`reactions.${type}`]: by, reactionsCount: by } });
+
+/*
+Adds the user's `type` reaction to a post or comment and bumps its counters.
+Returns the target with its updated counters, null when the user had already
+left that reaction, or false when the target was deleted meanwhile (the new
+reaction is removed again).
+*/
+const addReaction = async (userId, targetType, target, type) => {
+  try {
+    const result = await Reaction_Model.updateOne(
+      { target: target._id, user: userId, type },
+      {
+        $setOnInsert: {
+          targetType,
+          post: targetType === "Post" ? target._id : target.post,
+          createdAt: new Date(),
+        },
+      },
+      { upsert: true }
+    );
+    if (!result.upsertedCount) return null;
+  } catch (error) {
+    // A racing request inserted the same reaction first
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  const updated = await TARGET_MODELS[targetType].findByIdAndUpdate(target._id, bump(type, 1), {
+    new: true,
+    projection: `user post ${REACTION_FIELDS}`,
+  });
+  if (updated) return updated;
+
+  await Reaction_Model.deleteOne({ target: target._id, user: userId, type });
+  return false;
+};
+
+// Takes the reaction back; returns the updated target, or null when there was none
+const removeReaction = async (userId, targetType, target, type) => {
+  const reaction = await Reaction_Model.findOneAndDelete({ target: target._id, user: userId, type });
+  if (!reaction) return null;
+
+  return TARGET_MODELS[targetType].findByIdAndUpdate(target._id, bump(type, -1), {
+    new: true,
+    projection: `user post ${REACTION_FIELDS}`,
+  });
+};
+
+const hasReacted = (userId, targetId) => Reaction_Model.exists({ target: targetId, user: userId });
+
+// Map of target id (as a string) to the types the user left on it
+const reactionsByUser = async (userId, targetIds) => {
+  const byTarget = new Map();
+  if (!userId || !targetIds.length) return byTarget;
+
+  const reactions = await Reaction_Model.find({ user: userId, target: { $in: targetIds } }).select("target type");
+  reactions.forEach((reaction) => {
+    const key = String(reaction.target);
+    if (!byTarget.has(key)) byTarget.set(key, []);
+    byTarget.get(key).push(reaction.type);
+  });
+  return byTarget;
+};
+
+// Adds myReactions to formatted posts or comments; empty for anonymous requests
+const withMyReactions = async (userId, items, idKey) => {
+  const mine = await reactionsByUser(userId, items.map((item) => item[idKey]));
+  return items.map((item) => ({ ...item, myReactions: mine.get(String(item[idKey])) || [] }));
+};
+
+/*
+One page of the reactions on a post or comment, newest first, optionally of a
+single type. The cursor is the last reactionId of the previous page.
+*/
+const getReactionsPage = async (targetId, { type, cursor, limit }) => {
+  const query = { target: targetId };
+  if (type) query.type = type;
+  if (cursor) query._id = { $lt: cursor };
+
+  // Fetch one extra document to know whether another page exists
+  const reactions = await Reaction_Model.find(query)
+    .sort({ _id: -1 })
+    .limit(limit + 1)
+    .populate("user", "username profileThumbnail");
+
+  const hasMore = reactions.length > limit;
+  const page = hasMore ? reactions.slice(0, limit) : reactions;
+  return {
+    reactions: page.map((reaction) => ({
+      reactionId: reaction._id,
+      type: reaction.type,
+      userId: reaction.user && reaction.user._id,
+      username: reaction.user && reaction.user.username,
+      profileThumbnail: reaction.user && reaction.user.profileThumbnail,
+      createdAt: reaction.createdAt,
+    })),
+    nextCursor: hasMore ? page[page.length - 1]._id : null,
+  };
+};
+
+// Takes back every reaction of a user, for account deletion
+const removeUserReactions = async (userId) => {
+  const reactions = await Reaction_Model.find({ user: userId }).select("targetType target type");
+  for (const targetType of Object.keys(TARGET_MODELS)) {
+    const own = reactions.filter((reaction) => reaction.targetType === targetType);
+    if (!own.length) continue;
+    await TARGET_MODELS[targetType].bulkWrite(
+      own.map((reaction) => ({
+        updateOne: { filter: { _id: reaction.target }, update: bump(reaction.type, -1) },
+      }))
+    );
+  }
+  await Reaction_Model.deleteMany({ user: userId });
+};
+
+/*
+Recounts the reaction counters of every post or comment (`targetType`) from
+the Reactions and fixes the ones that drifted. Returns how many were (or,
+with dryRun, would be) changed.
+*/
+const syncReactionCounters = async (targetType, { dryRun = false } = {}) => {
+  const counts = await Reaction_Model.aggregate([
+    { $match: { targetType } },
+    { $group: { _id: { target: "$target", type: "$type" }, count: { $sum: 1 } } },
+  ]);
+  const expected = new Map();
+  counts.forEach(({ _id, count }) => {
+    const key = String(_id.target);
+    if (!expected.has(key)) expected.set(key, Object.fromEntries(REACTION_TYPES.map((type) => [type, 0])));
+    expected.get(key)[_id.type] = count;
+  });
+
+  let changed = 0;
+  let updates = [];
+  const flush = async () => {
+    if (!dryRun && updates.length) await TARGET_MODELS[targetType].bulkWrite(updates);
+    updates = [];
+  };
+
+  const cursor = TARGET_MODELS[targetType].find().select(REACTION_FIELDS).lean().cursor();
+  for await (const target of cursor) {
+    const stored = formatReactionCounts(target);
+    const wanted = expected.get(String(target._id)) || formatReactionCounts({});
+    const total = REACTION_TYPES.reduce((sum, type) => sum + wanted[type], 0);
+    const drifted = target.reactionsCount !== total || REACTION_TYPES.some((type) => stored[type] !== wanted[type]);
+    if (!drifted) continue;
+
+    changed += 1;
+    updates.push({
+      updateOne: { filter: { _id: target._id }, update: { $set: { reactions: wanted, reactionsCount: total } } },
+    });
+    if (updates.length >= 500) await flush();
+  }
+  await flush();
+  return changed;
+};
+
+module.exports = {
+  REACTION_TYPES,
+  LIKE_REACTION,
+  REACTION_FIELDS,
+  formatReactionCounts,
+  addReaction,
+  removeReaction,
+  hasReacted,
+  withMyReactions,
+  getReactionsPage,
+  removeUserReactions,
+  syncReactionCounters,
+};
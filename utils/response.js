@@ -0,0 +1,80 @@
+/*
+Every API response uses the same envelope:
+○	success: { success: true, data, requestId }
+○	failure: { success: false, error: { code, message, details? }, requestId }
+*/
+const sendData = (res, data, status = 200) =>
+  res.status(status).send({ success: true, data, requestId: res.locals.requestId });
+
+const sendError = (res, status, { code, message, details }) =>
+  res.status(status).send({
+    success: false,
+    error: { code, message, details },
+    requestId: res.locals.requestId,
+  });
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     SuccessResponse:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *           example: true
+ *         requestId:
+ *           type: string
+ *           description: Also sent as the X-Request-Id header
+ *     ErrorResponse:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *           example: false
+ *         error:
+ *           type: object
+ *           properties:
+ *             code:
+ *               type: string
+ *               description: Stable machine-readable error code
+ *               example: POST_NOT_FOUND
+ *             message:
+ *               type: string
+ *               example: Post not found
+ *         requestId:
+ *           type: string
+ *           description: Also sent as the X-Request-Id header
+ *   responses:
+ *     TooManyRequests:
+ *       description: Rate limit exceeded (RATE_LIMITED), or too many failed logins (ACCOUNT_LOCKED)
+ *       headers:
+ *         Retry-After:
+ *           description: Seconds to wait before retrying
+ *           schema:
+ *             type: integer
+ *         RateLimit-Limit:
+ *           description: Requests allowed in the window
+ *           schema:
+ *             type: integer
+ *         RateLimit-Remaining:
+ *           description: Requests left in the window
+ *           schema:
+ *             type: integer
+ *         RateLimit-Reset:
+ *           description: Seconds until the window resets
+ *           schema:
+ *             type: integer
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ErrorResponse'
+ *     ServerError:
+ *       description: Server error
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ErrorResponse'
+ */
+
+module.exports = { sendData, sendError };
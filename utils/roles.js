@@ -0,0 +1,11 @@
+// Kept free of model and socket imports so the auth middleware can use it
+const ROLES = ["user", "moderator", "admin"];
+const MODERATOR_ROLES = ["moderator", "admin"];
+
+const isModerator = (user) => Boolean(user) && MODERATOR_ROLES.includes(user.role);
+
+// Suspended while suspendedAt is set and suspendedUntil is empty or in the future
+const isSuspended = (user, now = new Date()) =>
+  Boolean(user.suspendedAt) && (!user.suspendedUntil || user.suspendedUntil > now);
+
+module.exports = { ROLES, MODERATOR_ROLES, isModerator, isSuspended };
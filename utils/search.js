@@ -0,0 +1,47 @@
+const { escapeRegex } = require("./stocks");
+
+const SNIPPET_LENGTH = 160;
+
+// Words of the query, without the quotes and negations of Mongo's $text syntax
+const searchTerms = (q) =>
+  [...new Set(
+    q
+      .replace(/"/g, " ")
+      .split(/\s+/)
+      .filter((word) => word && !word.startsWith("-"))
+      .map((word) => word.toLowerCase())
+  )];
+
+// Matches each term as a word prefix so "earning" also marks "earnings"
+const termPattern = (terms) =>
+  terms.length
+    ? new RegExp(`\\b(${terms.map(escapeRegex).join("|")})\\w*`, "gi")
+    : null;
+
+const escapeHtml = (text) =>
+  text.replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+// Output is HTML: user text is escaped so only the <mark> tags are markup
+const highlight = (text, terms) => {
+  if (!text) return "";
+  const pattern = termPattern(terms);
+  const safe = escapeHtml(text);
+  return pattern ? safe.replace(pattern, (match) => `<mark>${match}</mark>`) : safe;
+};
+
+// A window of the text around the first hit, with the hits marked
+const snippet = (text, terms, length = SNIPPET_LENGTH) => {
+  if (!text) return "";
+  const pattern = termPattern(terms);
+  const hit = pattern ? text.search(pattern) : -1;
+
+  let start = hit > length / 3 ? hit - Math.floor(length / 3) : 0;
+  start = Math.max(0, Math.min(start, text.length - length));
+  const end = Math.min(text.length, start + length);
+
+  const prefix = start > 0 ? "…" : "";
+  const suffix = end < text.length ? "…" : "";
+  return `${prefix}${highlight(text.slice(start, end), terms)}${suffix}`;
+};
+
+module.exports = { searchTerms, highlight, snippet };
@@ -0,0 +1,127 @@
+const { Post_Model } = require("../models/post.model");
+const { normalizeSymbol } = require("./stocks");
+const { VISIBLE } = require("./moderation");
+
+const SENTIMENTS = ["bullish", "bearish", "neutral"];
+const TIME_HORIZONS = ["day", "week", "month", "quarter", "year"];
+
+const HOUR = 60 * 60 * 1000;
+const SENTIMENT_WINDOWS = {
+  "24h": 24 * HOUR,
+  "7d": 7 * 24 * HOUR,
+  "30d": 30 * 24 * HOUR,
+};
+
+const ratio = (part, whole) => (whole ? Math.round((part / whole) * 1000) / 1000 : null);
+
+const emptyWindow = () => ({ bullish: 0, bearish: 0, neutral: 0, total: 0 });
+
+/*
+Bullish/bearish/neutral counts and average price targets of posts filed under
+the symbol, for each rolling window ending at `now`. Only a post's own stockSymbol carries its
+sentiment; cashtag mentions of other tickers do not.
+*/
+const sentimentBreakdown = async (rawSymbol, { now = new Date(), windows = SENTIMENT_WINDOWS } = {}) => {
+  const symbol = normalizeSymbol(rawSymbol);
+  const longest = Math.max(...Object.values(windows));
+
+  const facets = {};
+  Object.entries(windows).forEach(([name, span]) => {
+    facets[name] = [
+      { $match: { createdAt: { $gte: new Date(now - span) } } },
+      {
+        $group: {
+          _id: "$sentiment",
+          count: { $sum: 1 },
+          avgPriceTarget: { $avg: "$priceTarget" },
+        },
+      },
+    ];
+  });
+
+  const [result] = await Post_Model.aggregate([
+    {
+      $match: {
+        stockSymbol: symbol,
+        sentiment: { $in: SENTIMENTS },
+        ...VISIBLE,
+        createdAt: { $gte: new Date(now - longest), $lte: now },
+      },
+    },
+    { $facet: facets },
+  ]);
+
+  const breakdown = {};
+  Object.keys(windows).forEach((name) => {
+    const window = emptyWindow();
+    // Null for a sentiment without posts or without price targets
+    window.avgPriceTarget = { bullish: null, bearish: null, neutral: null };
+    (result[name] || []).forEach((group) => {
+      window[group._id] = group.count;
+      window.total += group.count;
+      window.avgPriceTarget[group._id] = group.avgPriceTarget;
+    });
+
+    const directional = window.bullish + window.bearish;
+    window.bullishRatio = ratio(window.bullish, directional);
+    window.bearishRatio = ratio(window.bearish, directional);
+    breakdown[name] = window;
+  });
+  return breakdown;
+};
+
+/*
+How the symbol's sentiment moved: counts and ratios of the posts filed under
+it from `since` to `now`, against the `baselineMs` before `since`.
+bullishRatioChange is null until both periods have directional posts.
+*/
+const sentimentShift = async (rawSymbol, since, { now = new Date(), baselineMs = 7 * 24 * HOUR } = {}) => {
+  const symbol = normalizeSymbol(rawSymbol);
+  const group = { $group: { _id: "$sentiment", count: { $sum: 1 } } };
+
+  const [result] = await Post_Model.aggregate([
+    {
+      $match: {
+        stockSymbol: symbol,
+        sentiment: { $in: SENTIMENTS },
+        ...VISIBLE,
+        createdAt: { $gte: new Date(since - baselineMs), $lte: now },
+      },
+    },
+    {
+      $facet: {
+        before: [{ $match: { createdAt: { $lt: since } } }, group],
+        since: [{ $match: { createdAt: { $gte: since } } }, group],
+      },
+    },
+  ]);
+
+  const periods = {};
+  ["before", "since"].forEach((name) => {
+    const window = emptyWindow();
+    result[name].forEach(({ _id, count }) => {
+      window[_id] = count;
+      window.total += count;
+    });
+    const directional = window.bullish + window.bearish;
+    window.bullishRatio = ratio(window.bullish, directional);
+    window.bearishRatio = ratio(window.bearish, directional);
+    periods[name] = window;
+  });
+
+  const { before, since: recent } = periods;
+  const bothDirectional = before.bullishRatio !== null && recent.bullishRatio !== null;
+  return {
+    before,
+    since: recent,
+    bullishRatioChange: bothDirectional ? Math.round((recent.bullishRatio - before.bullishRatio) * 1000) / 1000 : null,
+  };
+};
+
+module.exports = {
+  SENTIMENTS,
+  TIME_HORIZONS,
+  SENTIMENT_WINDOWS,
+  sentimentBreakdown,
+  sentimentShift,
+};
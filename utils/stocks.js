@@ -0,0 +1,32 @@
+const { Stock_Model } = require("../models/stock.model");
+
+const SYMBOL_PATTERN = /^[A-Z][A-Z0-9.-]{0,9}$/;
+
+// "aapl", "AAPL " and "$AAPL" all become "AAPL"
+const normalizeSymbol = (raw) => {
+  if (typeof raw !== "string") return "";
+  return raw.trim().replace(/^\$/, "").toUpperCase();
+};
+
+// Returns the registered Stock for a raw symbol, or null when it is unknown
+const findStock = async (raw) => {
+  const symbol = normalizeSymbol(raw);
+  if (!SYMBOL_PATTERN.test(symbol)) return null;
+  return Stock_Model.findOne({ symbol });
+};
+
+// Matches posts filed under the symbol or mentioning it as a cashtag
+const symbolQuery = (raw) => {
+  const symbol = normalizeSymbol(raw);
+  return { $or: [{ stockSymbol: symbol }, { cashtags: symbol }] };
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+module.exports = {
+  SYMBOL_PATTERN,
+  normalizeSymbol,
+  findStock,
+  symbolQuery,
+  escapeRegex,
+};
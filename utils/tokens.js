@@ -0,0 +1,119 @@
+require("dotenv").config();
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { RefreshToken_Model } = require("../models/refreshToken.model");
+
+const ACCESS_TOKEN_TTL = "1h";
+const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+const refreshSecret = () =>
+  process.env.JWT_REFRESH_SECRET_KEY || process.env.JWT_SECRET_KEY;
+
+const signAccessToken = (userId, family) =>
+  jwt.sign({ id: userId, family }, process.env.JWT_SECRET_KEY, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+
+const signRefreshToken = (userId, family, jti) =>
+  jwt.sign({ id: userId, family, type: "refresh" }, refreshSecret(), {
+    jwtid: jti,
+    expiresIn: REFRESH_TOKEN_TTL_MS / 1000,
+  });
+
+// Starts a new token family for a fresh login
+const issueTokens = async (userId) => {
+  const family = crypto.randomUUID();
+  const jti = crypto.randomUUID();
+
+  await RefreshToken_Model.create({
+    user: userId,
+    family,
+    currentJti: jti,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+  });
+
+  return {
+    token: signAccessToken(userId, family),
+    refreshToken: signRefreshToken(userId, family, jti),
+  };
+};
+
+/*
+Called with { family } or { userId, exceptFamily } after sessions are revoked,
+so live connections built on them can be closed. The socket server registers
+itself here; until then revocations only affect future requests.
+*/
+let revocationListener = () => {};
+
+const onSessionsRevoked = (listener) => {
+  revocationListener = listener;
+};
+
+const revokeFamily = async (family, reason = "logout") => {
+  await RefreshToken_Model.updateOne(
+    { family, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  revocationListener({ family });
+};
+
+// Ends every session of a user, e.g. when the account is suspended; `exceptFamily` keeps one alive
+const revokeUserSessions = async (userId, reason, exceptFamily = null) => {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptFamily) filter.family = { $ne: exceptFamily };
+  await RefreshToken_Model.updateMany(
+    filter,
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  revocationListener({ userId, exceptFamily });
+};
+
+/*
+Exchanges a refresh token for a new pair. Presenting a refresh token that has
+already been rotated means it leaked, so the whole family is revoked.
+Returns null when the token cannot be used.
+*/
+const rotateTokens = async (refreshToken) => {
+  let payload;
+  try {
+    payload = jwt.verify(refreshToken, refreshSecret());
+  } catch (error) {
+    return null;
+  }
+  if (payload.type !== "refresh") return null;
+
+  const nextJti = crypto.randomUUID();
+  const record = await RefreshToken_Model.findOneAndUpdate(
+    { family: payload.family, currentJti: payload.jti, revokedAt: null },
+    {
+      currentJti: nextJti,
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    },
+    { new: true }
+  );
+
+  if (!record) {
+    await revokeFamily(payload.family, "refresh token reuse");
+    return null;
+  }
+
+  return {
+    token: signAccessToken(payload.id, payload.family),
+    refreshToken: signRefreshToken(payload.id, payload.family, nextJti),
+  };
+};
+
+const isFamilyActive = async (family) => {
+  if (!family) return false;
+  const record = await RefreshToken_Model.exists({ family, revokedAt: null });
+  return Boolean(record);
+};
+
+module.exports = {
+  issueTokens,
+  rotateTokens,
+  revokeFamily,
+  revokeUserSessions,
+  onSessionsRevoked,
+  isFamilyActive,
+};
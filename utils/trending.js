@@ -0,0 +1,149 @@
+const { Post_Model } = require("../models/post.model");
+const { Stock_Model } = require("../models/stock.model");
+const { Trending_Model } = require("../models/trending.model");
+const { TRENDING } = require("../config/trending");
+const { VISIBLE } = require("./moderation");
+const { startJob } = require("./jobs");
+
+const HOUR = 60 * 60 * 1000;
+
+// points / (ageHours + 2) ^ gravity, as an aggregation expression
+const decayed = (points, now) => ({
+  $divide: [
+    points,
+    {
+      $pow: [
+        { $add: [{ $divide: [{ $subtract: [now, "$createdAt"] }, HOUR] }, 2] },
+        TRENDING.gravity,
+      ],
+    },
+  ],
+});
+
+const engagement = { $add: ["$reactionsCount", { $multiply: ["$commentsCount", TRENDING.commentWeight] }] };
+
+const recentPosts = (now) => [
+  {
+    $match: {
+      ...VISIBLE,
+      createdAt: { $gte: new Date(now - TRENDING.windowHours * HOUR), $lte: now },
+    },
+  },
+  {
+    $project: {
+      stockSymbol: 1,
+      cashtags: 1,
+      createdAt: 1,
+      reactionsCount: 1,
+      commentsCount: 1,
+    },
+  },
+];
+
+// Recent posts ranked by their decayed reactions and comments
+const computeTrendingPosts = async (now) => {
+  const posts = await Post_Model.aggregate([
+    ...recentPosts(now),
+    { $addFields: { score: decayed(engagement, now) } },
+    { $match: { score: { $gt: 0 } } },
+    { $sort: { score: -1, _id: -1 } },
+    { $limit: TRENDING.size },
+  ]);
+  return posts.map((post) => ({
+    post: post._id,
+    score: post.score,
+    reactionsCount: post.reactionsCount,
+    commentsCount: post.commentsCount,
+  }));
+};
+
+/*
+Stocks ranked by the summed decayed scores of the recent posts filed under
+them or mentioning them. Every post is worth a point of its own, so a burst of
+new posts (velocity) lifts a stock before anyone has reacted to them.
+*/
+const computeTrendingStocks = async (now) => {
+  const stocks = await Post_Model.aggregate([
+    ...recentPosts(now),
+    {
+      $project: {
+        createdAt: 1,
+        reactionsCount: 1,
+        commentsCount: 1,
+        symbols: { $setUnion: [["$stockSymbol"], "$cashtags"] },
+      },
+    },
+    { $addFields: { score: decayed({ $add: [1, engagement] }, now) } },
+    { $unwind: "$symbols" },
+    {
+      $group: {
+        _id: "$symbols",
+        score: { $sum: "$score" },
+        postsCount: { $sum: 1 },
+        reactionsCount: { $sum: "$reactionsCount" },
+        commentsCount: { $sum: "$commentsCount" },
+      },
+    },
+    { $sort: { score: -1, _id: 1 } },
+    { $limit: TRENDING.size },
+    {
+      $lookup: {
+        from: Stock_Model.collection.name,
+        localField: "_id",
+        foreignField: "symbol",
+        as: "stock",
+      },
+    },
+  ]);
+  return stocks.map((stock) => ({
+    symbol: stock._id,
+    name: stock.stock.length ? stock.stock[0].name : null,
+    score: stock.score,
+    postsCount: stock.postsCount,
+    reactionsCount: stock.reactionsCount,
+    commentsCount: stock.commentsCount,
+  }));
+};
+
+const COMPUTE = { posts: computeTrendingPosts, stocks: computeTrendingStocks };
+
+// Recomputes the ranking of `kind` and replaces its stored snapshot
+const refreshKind = async (kind, now = new Date()) =>
+  Trending_Model.updateOne(
+    { kind },
+    { windowHours: TRENDING.windowHours, items: await COMPUTE[kind](now), computedAt: now },
+    { upsert: true }
+  );
+
+// Recomputes both rankings and replaces the stored snapshots
+const refreshTrending = async (now = new Date()) => {
+  await Promise.all(Object.keys(COMPUTE).map((kind) => refreshKind(kind, now)));
+};
+
+/*
+The stored snapshot of `kind`; only computed here, for that kind alone, before
+the job's first run. Concurrent cold requests can race to insert the same
+snapshot; the loser's upsert fails on the unique kind and it reads the
+winner's snapshot instead.
+*/
+const getTrending = async (kind) => {
+  const snapshot = await Trending_Model.findOne({ kind }).lean();
+  if (snapshot) return snapshot;
+  try {
+    await refreshKind(kind);
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+  return Trending_Model.findOne({ kind }).lean();
+};
+
+// Refreshes the snapshots now and then every TRENDING.refreshMs
+const startTrendingJob = () => startJob("trending", TRENDING.refreshMs, refreshTrending);
+
+module.exports = {
+  computeTrendingPosts,
+  computeTrendingStocks,
+  refreshTrending,
+  getTrending,
+  startTrendingJob,
+};
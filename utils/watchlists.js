@@ -0,0 +1,113 @@
+const { Comment_Model } = require("../models/comment.model");
+const { Post_Model } = require("../models/post.model");
+const { Stock_Model } = require("../models/stock.model");
+const { formatPostSummary, getPostsPage, postListFilter } = require("./posts");
+const { sentimentShift } = require("./sentiment");
+const { normalizeSymbol } = require("./stocks");
+const { VISIBLE } = require("./moderation");
+
+const MAX_WATCHLIST_SYMBOLS = 50;
+
+// The first digest of a list looks back this far
+const FIRST_VISIT_LOOKBACK_MS = 24 * 60 * 60 * 1000;
+
+// And no digest looks back further, so a long unvisited list does not scan
+// months of comments
+const MAX_LOOKBACK_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Newest posts shown per symbol; newPosts carries the full count
+const LATEST_POSTS_PER_SYMBOL = 3;
+
+// Start of the activity window: the previous visit, within MAX_LOOKBACK_MS of `now`
+const activitySince = (watchlist, now) => {
+  const earliest = new Date(now - MAX_LOOKBACK_MS);
+  if (!watchlist.lastVisitedAt) return new Date(now - FIRST_VISIT_LOOKBACK_MS);
+  return watchlist.lastVisitedAt > earliest ? watchlist.lastVisitedAt : earliest;
+};
+
+const formatWatchlist = (watchlist) => ({
+  watchlistId: watchlist._id,
+  name: watchlist.name,
+  symbols: watchlist.symbols,
+  lastVisitedAt: watchlist.lastVisitedAt,
+  createdAt: watchlist.createdAt,
+});
+
+// Normalizes and dedupes raw symbols; `unknown` lists the ones that are not registered stocks
+const resolveSymbols = async (rawSymbols) => {
+  const symbols = [...new Set(rawSymbols.map(normalizeSymbol))];
+  const stocks = await Stock_Model.find({ symbol: { $in: symbols } }).select("symbol");
+  const known = new Set(stocks.map((stock) => stock.symbol));
+  return { symbols, unknown: symbols.filter((symbol) => !known.has(symbol)) };
+};
+
+/*
+Visible comments written since `since` on visible posts about each symbol, in
+one pass over the new comments; activitySince keeps that pass to at most
+MAX_LOOKBACK_MS. A post counts for its own stockSymbol and for every watched
+symbol it mentions as a cashtag, like the stockSymbol filter of GET /api/posts.
+*/
+const newCommentCounts = async (symbols, since) => {
+  const counts = await Comment_Model.aggregate([
+    { $match: { createdAt: { $gt: since }, ...VISIBLE } },
+    {
+      $lookup: {
+        from: Post_Model.collection.name,
+        localField: "post",
+        foreignField: "_id",
+        pipeline: [{ $match: VISIBLE }, { $project: { stockSymbol: 1, cashtags: 1 } }],
+        as: "post",
+      },
+    },
+    { $unwind: "$post" },
+    {
+      $project: {
+        symbol: {
+          $setIntersection: [
+            { $setUnion: [["$post.stockSymbol"], { $ifNull: ["$post.cashtags", []] }] },
+            symbols,
+          ],
+        },
+      },
+    },
+    { $unwind: "$symbol" },
+    { $group: { _id: "$symbol", count: { $sum: 1 } } },
+  ]);
+  return new Map(counts.map(({ _id, count }) => [_id, count]));
+};
+
+/*
+What happened on each symbol of the list between `since` and `now`: how many
+posts appeared (with the newest few), how many comments were written and how
+the bullish/bearish balance moved against the week before.
+*/
+const watchlistActivity = async (watchlist, since, now = new Date()) => {
+  const { symbols } = watchlist;
+  const period = { createdAt: { $gt: since, $lte: now } };
+
+  const [comments, perSymbol] = await Promise.all([
+    newCommentCounts(symbols, since),
+    Promise.all(
+      symbols.map(async (symbol) => {
+        const filter = { ...postListFilter({ stockSymbol: symbol }), ...period };
+        const [newPosts, latest, sentiment] = await Promise.all([
+          Post_Model.countDocuments(filter),
+          getPostsPage(filter, { limit: LATEST_POSTS_PER_SYMBOL }),
+          sentimentShift(symbol, since, { now }),
+        ]);
+        return { symbol, newPosts, latestPosts: latest.posts.map(formatPostSummary), sentiment };
+      })
+    ),
+  ]);
+
+  return perSymbol.map((activity) => ({ ...activity, newComments: comments.get(activity.symbol) || 0 }));
+};
+
+module.exports = {
+  MAX_WATCHLIST_SYMBOLS,
+  FIRST_VISIT_LOOKBACK_MS,
+  activitySince,
+  formatWatchlist,
+  resolveSymbols,
+  watchlistActivity,
+};
@@ -0,0 +1,75 @@
+const { email, password } = require("./common");
+
+// Tokens mailed by the verification and password reset flows
+const mailedToken = { type: "string", pattern: "^[0-9a-f]{64}$", description: "Token from the email" };
+
+module.exports = {
+  register: {
+    body: {
+      type: "object",
+      required: ["username", "email", "password"],
+      properties: {
+        username: {
+          type: "string",
+          pattern: "^[A-Za-z0-9_.-]{3,30}$",
+          description: "3-30 letters, digits, _ . or -",
+          example: "jane_doe",
+        },
+        email,
+        password,
+      },
+    },
+  },
+
+  login: {
+    body: {
+      type: "object",
+      required: ["email", "password"],
+      properties: {
+        email,
+        password: { type: "string", minLength: 1 },
+      },
+    },
+  },
+
+  refresh: {
+    body: {
+      type: "object",
+      required: ["refreshToken"],
+      properties: {
+        refreshToken: { type: "string", minLength: 1 },
+      },
+    },
+  },
+
+  verifyEmail: {
+    body: {
+      type: "object",
+      required: ["token"],
+      properties: {
+        token: mailedToken,
+      },
+    },
+  },
+
+  forgotPassword: {
+    body: {
+      type: "object",
+      required: ["email"],
+      properties: {
+        email,
+      },
+    },
+  },
+
+  resetPassword: {
+    body: {
+      type: "object",
+      required: ["token", "password"],
+      properties: {
+        token: mailedToken,
+        password,
+      },
+    },
+  },
+};
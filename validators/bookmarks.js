@@ -0,0 +1,60 @@
+const { objectId, limit, cursor, params, postIdParams } = require("./common");
+
+const collectionParams = params({ collectionId: objectId("ID of the collection") });
+
+const collectionPostParams = params({
+  collectionId: objectId("ID of the collection"),
+  postId: objectId("ID of the post"),
+});
+
+const bookmarkListQuery = {
+  type: "object",
+  properties: { cursor, limit: limit(20, 100) },
+};
+
+const name = { type: "string", minLength: 1, maxLength: 100, pattern: "\\S", example: "Q3 earnings ideas" };
+const description = { type: "string", maxLength: 500 };
+const isPublic = { type: "boolean", description: "Whether other users can see the collection" };
+
+module.exports = {
+  bookmarkPost: {
+    params: postIdParams,
+    body: {
+      type: "object",
+      properties: {
+        collectionId: objectId("Also file the bookmark into this collection of yours"),
+      },
+    },
+  },
+
+  unbookmarkPost: { params: postIdParams },
+
+  listBookmarks: { query: bookmarkListQuery },
+
+  createCollection: {
+    body: {
+      type: "object",
+      required: ["name"],
+      properties: { name, description, isPublic: { ...isPublic, default: false } },
+    },
+  },
+
+  updateCollection: {
+    params: collectionParams,
+    body: {
+      type: "object",
+      minProperties: 1,
+      properties: { name, description, isPublic },
+    },
+  },
+
+  deleteCollection: { params: collectionParams },
+
+  listCollectionPosts: { params: collectionParams, query: bookmarkListQuery },
+
+  addToCollection: { params: collectionPostParams },
+
+  removeFromCollection: { params: collectionPostParams },
+
+  listUserCollections: { params: params({ userId: objectId("ID of the user") }) },
+};
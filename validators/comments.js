@@ -0,0 +1,50 @@
+const { objectId, limit, cursor, params, postIdParams, reportBody } = require("./common");
+
+const commentParams = params({
+  postId: objectId("ID of the post"),
+  commentId: objectId("ID of the comment"),
+});
+
+const comment = { type: "string", minLength: 1, maxLength: 5000 };
+
+module.exports = {
+  listComments: {
+    params: postIdParams,
+    query: {
+      type: "object",
+      properties: {
+        parentCommentId: objectId("List replies to this comment instead of top-level comments"),
+        cursor,
+        limit: limit(20, 100),
+      },
+    },
+  },
+
+  createComment: {
+    params: postIdParams,
+    body: {
+      type: "object",
+      required: ["comment"],
+      properties: {
+        comment: {
+          ...comment,
+          description: "Cashtags ($TSLA) and mentions (@username) are parsed; mentioned users are notified.",
+        },
+        parentCommentId: objectId("ID of the comment being replied to"),
+      },
+    },
+  },
+
+  updateComment: {
+    params: commentParams,
+    body: {
+      type: "object",
+      required: ["comment"],
+      properties: { comment },
+    },
+  },
+
+  deleteComment: { params: commentParams },
+
+  reportComment: { params: commentParams, body: reportBody },
+};
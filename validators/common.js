@@ -0,0 +1,83 @@
+// Building blocks shared by the request schemas of every router
+const { REPORT_REASONS } = require("../utils/moderation");
+
+const objectId = (description) => ({
+  type: "string",
+  pattern: "^[0-9a-fA-F]{24}$",
+  description,
+});
+
+const stockSymbol = (description = "Stock symbol (case-insensitive, a leading $ is ignored)") => ({
+  type: "string",
+  pattern: "^\\s*\\$?[A-Za-z][A-Za-z0-9.-]{0,9}\\s*$",
+  description,
+  example: "AAPL",
+});
+
+const isoDate = (description) => ({
+  type: "string",
+  pattern: "^\\d{4}-\\d{2}-\\d{2}([T ][0-9:.]+(Z|[+-]\\d{2}:?\\d{2})?)?$",
+  description,
+  example: "2024-10-01",
+});
+
+const email = {
+  type: "string",
+  pattern: "^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$",
+  maxLength: 254,
+  example: "jane@example.com",
+};
+
+// A new password; checking an existing one only needs a non-empty string
+const password = { type: "string", minLength: 8, maxLength: 128 };
+
+const page = {
+  type: "integer",
+  minimum: 1,
+  default: 1,
+  description: "Page number for pagination",
+  example: 1,
+};
+
+const limit = (defaultValue, maximum) => ({
+  type: "integer",
+  minimum: 1,
+  maximum,
+  default: defaultValue,
+  description: `Number of items per page (max ${maximum})`,
+  example: defaultValue,
+});
+
+const cursor = objectId("nextCursor returned by the previous page");
+
+const params = (properties) => ({
+  type: "object",
+  required: Object.keys(properties),
+  properties,
+});
+
+const postIdParams = params({ postId: objectId("ID of the post") });
+
+// Body of the post and comment report endpoints
+const reportBody = {
+  type: "object",
+  required: ["reason"],
+  properties: {
+    reason: { type: "string", enum: REPORT_REASONS, example: "spam" },
+    details: { type: "string", maxLength: 1000, description: "Anything the moderators should know" },
+  },
+};
+
+module.exports = {
+  objectId,
+  stockSymbol,
+  isoDate,
+  email,
+  password,
+  page,
+  limit,
+  cursor,
+  params,
+  postIdParams,
+  reportBody,
+};
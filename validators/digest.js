@@ -0,0 +1,41 @@
+const { DIGEST_FREQUENCIES } = require("../utils/digests");
+
+const tags = {
+  type: "array",
+  maxItems: 20,
+  items: { type: "string", minLength: 1, maxLength: 50 },
+  description: "Post tags to include besides your followed and watched stocks",
+  example: ["earnings", "dividends"],
+};
+
+module.exports = {
+  updateDigestPreferences: {
+    body: {
+      type: "object",
+      minProperties: 1,
+      properties: {
+        frequency: {
+          type: "string",
+          enum: DIGEST_FREQUENCIES,
+          description: "How often to mail the digest; off stops it",
+          example: "daily",
+        },
+        tags,
+      },
+    },
+  },
+
+  unsubscribeDigest: {
+    body: {
+      type: "object",
+      required: ["token"],
+      properties: {
+        token: {
+          type: "string",
+          pattern: "^[0-9a-fA-F]{24}\\.[0-9a-f]{64}$",
+          description: "Token from the unsubscribe link of a digest",
+        },
+      },
+    },
+  },
+};
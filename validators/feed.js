@@ -0,0 +1,10 @@
+const { limit, cursor } = require("./common");
+
+module.exports = {
+  getFeed: {
+    query: {
+      type: "object",
+      properties: { cursor, limit: limit(10, 50) },
+    },
+  },
+};
@@ -0,0 +1,116 @@
+/*
+Request schemas for every route, keyed by route name. Each entry may have
+params, query and body JSON Schemas; the validate middleware enforces them
+and openApiComponents turns them into the Swagger components the route docs
+reference:
+○	bodies     -> #/components/schemas/<RouteName>Body      (createPost -> CreatePostBody)
+○	params     -> #/components/parameters/<routeName>.<name> (getPost.postId)
+○	query      -> #/components/parameters/<routeName>.<name> (listPosts.page)
+*/
+const groups = [
+  require("./auth"),
+  require("./users"),
+  require("./posts"),
+  require("./comments"),
+  require("./stocks"),
+  require("./notifications"),
+  require("./feed"),
+  require("./search"),
+  require("./moderation"),
+  require("./trending"),
+  require("./bookmarks"),
+  require("./watchlists"),
+  require("./digest"),
+  require("./media"),
+  require("./reactions"),
+];
+
+const schemas = {};
+groups.forEach((group) => {
+  Object.entries(group).forEach(([name, schema]) => {
+    if (schemas[name]) throw new Error(`Duplicate request schema: ${name}`);
+    schemas[name] = schema;
+  });
+});
+
+const bodyName = (routeName) =>
+  `${routeName[0].toUpperCase()}${routeName.slice(1)}Body`;
+
+const toParameters = (routeName, location, schema) =>
+  Object.entries(schema.properties).map(([name, property]) => {
+    const { description, ...rest } = property;
+    return [
+      `${routeName}.${name}`,
+      {
+        name,
+        in: location,
+        required: (schema.required || []).includes(name),
+        description,
+        schema: rest,
+      },
+    ];
+  });
+
+const openApiComponents = () => {
+  const components = {
+    schemas: {
+      // Extends ErrorResponse (utils/response.js) with the failed checks
+      ValidationError: {
+        allOf: [
+          { $ref: "#/components/schemas/ErrorResponse" },
+          {
+            type: "object",
+            properties: {
+              error: {
+                type: "object",
+                properties: {
+                  code: { type: "string", example: "VALIDATION_FAILED" },
+                  details: {
+                    type: "array",
+                    items: {
+                      type: "object",
+                      properties: {
+                        location: { type: "string", enum: ["params", "query", "body"] },
+                        field: { type: "string" },
+                        message: { type: "string" },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        ],
+      },
+    },
+    parameters: {},
+    responses: {
+      ValidationError: {
+        description: "Invalid request parameters, query or body",
+        content: {
+          "application/json": {
+            schema: { $ref: "#/components/schemas/ValidationError" },
+          },
+        },
+      },
+    },
+  };
+
+  Object.entries(schemas).forEach(([routeName, schema]) => {
+    if (schema.body) components.schemas[bodyName(routeName)] = schema.body;
+    if (schema.params) {
+      toParameters(routeName, "path", schema.params).forEach(([key, value]) => {
+        components.parameters[key] = value;
+      });
+    }
+    if (schema.query) {
+      toParameters(routeName, "query", schema.query).forEach(([key, value]) => {
+        components.parameters[key] = value;
+      });
+    }
+  });
+
+  return components;
+};
+
+module.exports = { schemas, openApiComponents };
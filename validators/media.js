@@ -0,0 +1,5 @@
+const { objectId, params } = require("./common");
+
+module.exports = {
+  deleteMedia: { params: params({ mediaId: objectId("ID of the upload") }) },
+};
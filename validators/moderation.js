@@ -0,0 +1,81 @@
+const { objectId, isoDate, page, limit, params } = require("./common");
+const { REPORT_ACTIONS } = require("../utils/moderation");
+const { ROLES } = require("../utils/roles");
+
+const reason = { type: "string", maxLength: 1000, description: "Why the action was taken; kept in the audit log" };
+const reasonBody = { type: "object", properties: { reason } };
+
+const postIdParams = params({ postId: objectId("ID of the post") });
+const commentIdParams = params({ commentId: objectId("ID of the comment") });
+const userIdParams = params({ userId: objectId("ID of the user") });
+
+module.exports = {
+  listReports: {
+    query: {
+      type: "object",
+      properties: {
+        status: { type: "string", enum: ["open", "resolved", "dismissed"], default: "open" },
+        targetType: { type: "string", enum: ["post", "comment"] },
+        page,
+        limit: limit(20, 100),
+      },
+    },
+  },
+
+  resolveReport: {
+    params: params({ reportId: objectId("ID of the report") }),
+    body: {
+      type: "object",
+      required: ["action"],
+      properties: {
+        action: {
+          type: "string",
+          enum: REPORT_ACTIONS,
+          description: "hide or remove the reported content, or dismiss the report",
+        },
+        reason,
+      },
+    },
+  },
+
+  hidePost: { params: postIdParams, body: reasonBody },
+  unhidePost: { params: postIdParams, body: reasonBody },
+  hideComment: { params: commentIdParams, body: reasonBody },
+  unhideComment: { params: commentIdParams, body: reasonBody },
+
+  suspendUser: {
+    params: userIdParams,
+    body: {
+      type: "object",
+      required: ["reason"],
+      properties: {
+        reason: { ...reason, minLength: 1 },
+        until: isoDate("End of the suspension; indefinite when omitted"),
+      },
+    },
+  },
+
+  unsuspendUser: { params: userIdParams, body: reasonBody },
+
+  changeRole: {
+    params: userIdParams,
+    body: {
+      type: "object",
+      required: ["role"],
+      properties: { role: { type: "string", enum: ROLES }, reason },
+    },
+  },
+
+  listAuditLog: {
+    query: {
+      type: "object",
+      properties: {
+        actor: objectId("Only actions taken by this moderator"),
+        action: { type: "string", description: "Only this action, e.g. remove_post" },
+        targetId: objectId("Only actions on this post, comment, report or user"),
+        page,
+        limit: limit(50, 200),
+      },
+    },
+  },
+};
@@ -0,0 +1,28 @@
+const { objectId, page, limit } = require("./common");
+
+module.exports = {
+  listNotifications: {
+    query: {
+      type: "object",
+      properties: {
+        unread: { type: "boolean", description: "Only list unread notifications" },
+        page,
+        limit: limit(20, 100),
+      },
+    },
+  },
+
+  markNotificationsRead: {
+    body: {
+      type: "object",
+      properties: {
+        notificationIds: {
+          type: "array",
+          maxItems: 500,
+          items: objectId(),
+          description: "Notifications to mark as read; all of them when omitted",
+        },
+      },
+    },
+  },
+};
@@ -0,0 +1,125 @@
+const { objectId, stockSymbol, isoDate, limit, postIdParams, reportBody } = require("./common");
+const { SENTIMENTS, TIME_HORIZONS } = require("../utils/sentiment");
+const { MEDIA } = require("../config/media");
+
+const title = { type: "string", minLength: 1, maxLength: 200 };
+const description = { type: "string", minLength: 1, maxLength: 10000 };
+const tags = {
+  type: "array",
+  maxItems: 20,
+  items: { type: "string", minLength: 1, maxLength: 50 },
+  example: ["tag1", "tag2"],
+};
+
+const MAX_POLL_OPTIONS = 6;
+
+const poll = {
+  type: "object",
+  required: ["options", "closesAt"],
+  description: "Optional poll; the post title is its question",
+  properties: {
+    options: {
+      type: "array",
+      minItems: 2,
+      maxItems: MAX_POLL_OPTIONS,
+      uniqueItems: true,
+      items: { type: "string", minLength: 1, maxLength: 100, pattern: "\\S" },
+      example: ["Beat", "Miss", "In line"],
+    },
+    closesAt: isoDate("When voting ends; in the future and at most 30 days away"),
+  },
+};
+
+module.exports = {
+  createPost: {
+    body: {
+      type: "object",
+      required: ["stockSymbol", "title", "description"],
+      properties: {
+        stockSymbol: stockSymbol("Registered stock symbol; normalized, so $amzn becomes AMZN"),
+        title: { ...title, example: "Is Amazon's Cloud Division Driving Its Growth?" },
+        description: {
+          ...description,
+          description: "Cashtags ($TSLA) and mentions (@username) are parsed; mentioned users are notified.",
+          example: "Amazon (AMZN) continues to dominate in e-commerce, but its AWS cloud division is quickly becoming a major profit center.",
+        },
+        tags,
+        sentiment: { type: "string", enum: SENTIMENTS, nullable: true, example: "bullish" },
+        priceTarget: { type: "number", minimum: 0.01, nullable: true, example: 210 },
+        timeHorizon: { type: "string", enum: TIME_HORIZONS, nullable: true, example: "quarter" },
+        poll,
+        attachments: {
+          type: "array",
+          maxItems: MEDIA.maxAttachments,
+          uniqueItems: true,
+          items: objectId("mediaId of an image from POST /api/media/images"),
+          description: `Up to ${MEDIA.maxAttachments} uploaded images, in display order`,
+        },
+      },
+    },
+  },
+
+  listPosts: {
+    query: {
+      type: "object",
+      properties: {
+        stockSymbol: stockSymbol("Filter posts by stock symbol, including posts that mention it as a cashtag"),
+        tags: { type: "string", description: "Filter posts by tags (comma separated)" },
+        sortBy: {
+          type: "string",
+          enum: ["date", "reactions", "likes"],
+          description: "Sort posts by date (newest first, the default) or by number of reactions; likes is an older name for reactions",
+        },
+        cursor: {
+          type: "string",
+          pattern: "^(\\d+_)?[0-9a-fA-F]{24}$",
+          description: "nextCursor returned by the previous page",
+        },
+        page: {
+          type: "integer",
+          minimum: 1,
+          description: "Page number; switches to offset pagination with total counts",
+        },
+        limit: limit(10, 100),
+      },
+    },
+  },
+
+  getPost: { params: postIdParams },
+
+  updatePost: {
+    params: postIdParams,
+    body: {
+      type: "object",
+      minProperties: 1,
+      properties: { title, description, tags },
+    },
+  },
+
+  deletePost: { params: postIdParams },
+
+  listRevisions: { params: postIdParams },
+
+  likePost: { params: postIdParams },
+
+  unlikePost: { params: postIdParams },
+
+  reportPost: { params: postIdParams, body: reportBody },
+
+  votePoll: {
+    params: postIdParams,
+    body: {
+      type: "object",
+      required: ["option"],
+      properties: {
+        option: {
+          type: "integer",
+          minimum: 0,
+          maximum: MAX_POLL_OPTIONS - 1,
+          description: "Index of the chosen option",
+          example: 0,
+        },
+      },
+    },
+  },
+};
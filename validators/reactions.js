@@ -0,0 +1,47 @@
+const { objectId, limit, cursor, params, postIdParams } = require("./common");
+const { REACTION_TYPES } = require("../utils/reactions");
+
+const type = { type: "string", enum: REACTION_TYPES, example: "rocket" };
+
+const postReactionParams = params({
+  postId: objectId("ID of the post"),
+  type: { ...type, description: "Reaction type" },
+});
+
+const commentReactionParams = params({
+  postId: objectId("ID of the post"),
+  commentId: objectId("ID of the comment"),
+  type: { ...type, description: "Reaction type" },
+});
+
+const reactionListQuery = {
+  type: "object",
+  properties: {
+    type: { ...type, description: "Only list reactions of this type" },
+    cursor,
+    limit: limit(20, 100),
+  },
+};
+
+module.exports = {
+  reactPost: { params: postReactionParams },
+
+  unreactPost: { params: postReactionParams },
+
+  listPostReactions: {
+    params: postIdParams,
+    query: reactionListQuery,
+  },
+
+  reactComment: { params: commentReactionParams },
+
+  unreactComment: { params: commentReactionParams },
+
+  listCommentReactions: {
+    params: params({
+      postId: objectId("ID of the post"),
+      commentId: objectId("ID of the comment"),
+    }),
+    query: reactionListQuery,
+  },
+};
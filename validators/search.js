@@ -0,0 +1,27 @@
+const { stockSymbol, limit, isoDate } = require("./common");
+
+module.exports = {
+  search: {
+    query: {
+      type: "object",
+      required: ["q"],
+      properties: {
+        q: {
+          type: "string",
+          minLength: 1,
+          maxLength: 200,
+          pattern: "\\S",
+          description: 'Search words or "quoted phrases"; prefix a word with - to exclude it',
+          example: "earnings guidance",
+        },
+        type: { type: "string", enum: ["posts", "comments", "users"], description: "Only search one group" },
+        stockSymbol: stockSymbol("Only posts (and comments on posts) about this stock"),
+        tag: { type: "string", description: "Only posts (and comments on posts) with this tag" },
+        author: { type: "string", description: "Username of the author" },
+        from: isoDate("Only results created on or after this ISO date"),
+        to: isoDate("Only results created on or before this ISO date"),
+        limit: limit(10, 50),
+      },
+    },
+  },
+};
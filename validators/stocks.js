@@ -0,0 +1,23 @@
+const { stockSymbol, limit, params } = require("./common");
+
+const symbolParams = params({ symbol: stockSymbol() });
+
+module.exports = {
+  searchStocks: {
+    query: {
+      type: "object",
+      properties: {
+        q: { type: "string", maxLength: 50, description: "Prefix of a stock symbol or company name", example: "AM" },
+        limit: limit(10, 50),
+      },
+    },
+  },
+
+  getStock: { params: symbolParams },
+
+  getStockSentiment: { params: symbolParams },
+
+  followStock: { params: symbolParams },
+
+  unfollowStock: { params: symbolParams },
+};
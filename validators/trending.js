@@ -0,0 +1,12 @@
+const { limit } = require("./common");
+
+const trendingQuery = {
+  type: "object",
+  properties: { limit: limit(20, 100) },
+};
+
+module.exports = {
+  trendingPosts: { query: trendingQuery },
+
+  trendingStocks: { query: trendingQuery },
+};
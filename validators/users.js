@@ -0,0 +1,74 @@
+const { objectId, email, password, page, limit, params } = require("./common");
+const { CONTENT_ACTIONS } = require("../utils/accounts");
+
+const userIdParams = params({ userId: objectId("ID of the user") });
+
+const followListQuery = {
+  type: "object",
+  properties: { page, limit: limit(20, 100) },
+};
+
+module.exports = {
+  getProfile: { params: userIdParams },
+
+  updateProfile: {
+    body: {
+      type: "object",
+      minProperties: 1,
+      properties: {
+        username: {
+          type: "string",
+          pattern: "^[A-Za-z0-9_.-]{3,30}$",
+          description: "3-30 letters, digits, _ . or -",
+        },
+        bio: { type: "string", maxLength: 500 },
+      },
+    },
+  },
+
+  changePassword: {
+    body: {
+      type: "object",
+      required: ["currentPassword", "newPassword"],
+      properties: {
+        currentPassword: { type: "string", minLength: 1 },
+        newPassword: password,
+      },
+    },
+  },
+
+  changeEmail: {
+    body: {
+      type: "object",
+      required: ["email", "password"],
+      properties: {
+        email,
+        password: { type: "string", minLength: 1, description: "Current password" },
+      },
+    },
+  },
+
+  deleteAccount: {
+    body: {
+      type: "object",
+      required: ["password"],
+      properties: {
+        password: { type: "string", minLength: 1, description: "Current password" },
+        content: {
+          type: "string",
+          enum: CONTENT_ACTIONS,
+          default: "anonymize",
+          description: "Keep posts and comments under an anonymous name, or delete them",
+        },
+      },
+    },
+  },
+
+  followUser: { params: userIdParams },
+
+  unfollowUser: { params: userIdParams },
+
+  listFollowers: { params: userIdParams, query: followListQuery },
+
+  listFollowing: { params: userIdParams, query: followListQuery },
+};
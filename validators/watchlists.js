@@ -0,0 +1,45 @@
+const { objectId, stockSymbol, params } = require("./common");
+const { MAX_WATCHLIST_SYMBOLS } = require("../utils/watchlists");
+
+const watchlistParams = params({ watchlistId: objectId("ID of the watchlist") });
+
+const symbols = {
+  type: "array",
+  maxItems: MAX_WATCHLIST_SYMBOLS,
+  items: stockSymbol(),
+  description: `Registered stock symbols (at most ${MAX_WATCHLIST_SYMBOLS} per watchlist)`,
+  example: ["AAPL", "TSLA"],
+};
+
+module.exports = {
+  createWatchlist: {
+    body: {
+      type: "object",
+      required: ["name"],
+      properties: {
+        name: { type: "string", minLength: 1, maxLength: 100, pattern: "\\S", example: "Semiconductors" },
+        symbols: { ...symbols, default: [] },
+      },
+    },
+  },
+
+  deleteWatchlist: { params: watchlistParams },
+
+  addWatchlistSymbols: {
+    params: watchlistParams,
+    body: {
+      type: "object",
+      required: ["symbols"],
+      properties: { symbols: { ...symbols, minItems: 1 } },
+    },
+  },
+
+  removeWatchlistSymbol: {
+    params: params({
+      watchlistId: objectId("ID of the watchlist"),
+      symbol: stockSymbol(),
+    }),
+  },
+
+  getWatchlistActivity: { params: watchlistParams },
+};